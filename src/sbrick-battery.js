@@ -0,0 +1,172 @@
+/*
+ * Copyright (c) 2016-17 Francesco Marino
+ *
+ * @author Francesco Marino <francesco@360fun.net>
+ * @website www.360fun.net
+ *
+ * Battery profiles used by SBrick.getBattery(): the charge of a battery pack is read on the discharge curve
+ * of its chemistry, since the voltage drops faster at the start and at the end of the charge.
+ * Every profile has a low and a critical voltage, see SBrick.monitorBattery().
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+let SBrickBattery = (function() {
+	'use strict';
+
+	// States
+	const OK       = 'ok';
+	const LOW      = 'low';
+	const CRITICAL = 'critical';
+
+	const profiles = {};
+
+	/**
+	* Add a battery profile
+	* @param {string} name - Unique name of the profile (e.g. "nimh")
+	* @param {object} profile - {label, curve, low, critical}
+	*		label: {string} A description of the battery pack
+	*		curve: {array} Points of the discharge curve [ [volts, percentage], ... ], from the full to the empty battery
+	*		low: {number} Voltage (V) under which the battery is low
+	*		critical: {number} Voltage (V) under which the battery is about to be flat
+	*/
+	function register( name, profile ) {
+		if( typeof name !== 'string' ) {
+			throw new TypeError( "A battery profile needs a name" );
+		}
+		profiles[name] = check( Object.assign( { name: name, label: name }, profile ) );
+	}
+
+	/**
+	* Remove a battery profile
+	* @param {string} name
+	*/
+	function unregister( name ) {
+		delete profiles[name];
+	}
+
+	/**
+	* Get a battery profile
+	* @param {string} name
+	* @returns {object|undefined}
+	*/
+	function get( name ) {
+		return profiles[name];
+	}
+
+	/**
+	* Get the names of all the registered profiles
+	* @returns {array}
+	*/
+	function list() {
+		return Object.keys(profiles);
+	}
+
+	/**
+	* Check a profile
+	* @param {object} profile - see register()
+	* @returns {object} - the profile, with the curve sorted from the full to the empty battery
+	*/
+	function check( profile ) {
+		let curve = profile.curve;
+		if( !Array.isArray(curve) || curve.length < 2 || curve.some( point => !Array.isArray(point) || typeof point[0] !== 'number' || typeof point[1] !== 'number' ) ) {
+			throw new TypeError( "The curve of a battery profile needs at least two points [volts, percentage]" );
+		}
+		if( typeof profile.low !== 'number' || typeof profile.critical !== 'number' || profile.critical > profile.low ) {
+			throw new TypeError( "A battery profile needs a low and a lower critical voltage" );
+		}
+		return Object.assign( {}, profile, { curve: curve.slice().sort( (a, b) => b[0] - a[0] ) } );
+	}
+
+	/**
+	* Get the charge of a battery from its voltage
+	* @param {string|object} profile - a profile or its name
+	* @param {number} volts
+	* @returns {number} - percentage 0-100
+	*/
+	function percentage( profile, volts ) {
+		let curve = resolve( profile ).curve;
+		if( volts >= curve[0][0] ) {
+			return Math.round( curve[0][1] );
+		}
+		for( let i = 1; i < curve.length; i++ ) {
+			if( volts >= curve[i][0] ) {
+				let high = curve[i - 1], low = curve[i];
+				return Math.round( low[1] + ( volts - low[0] ) * ( high[1] - low[1] ) / ( high[0] - low[0] ) );
+			}
+		}
+		return Math.round( curve[curve.length - 1][1] );
+	}
+
+	/**
+	* Get the state of a battery from its voltage
+	* @param {string|object} profile - a profile or its name
+	* @param {number} volts
+	* @returns {string} - "ok", "low" or "critical"
+	*/
+	function state( profile, volts ) {
+		profile = resolve( profile );
+		if( volts < profile.critical ) {
+			return CRITICAL;
+		}
+		return volts < profile.low ? LOW : OK;
+	}
+
+	/**
+	* Find a profile
+	* @param {string|object} profile - a profile or its name
+	* @returns {object}
+	*/
+	function resolve( profile ) {
+		let found = typeof profile === 'string' ? profiles[profile] : profile;
+		if( !found ) {
+			throw new TypeError( "Unknown battery profile " + profile );
+		}
+		return found;
+	}
+
+
+	// BUILT-IN PROFILES
+
+	// 6 AA alkaline batteries (Power Functions battery box 8881, default)
+	register( 'alkaline', {
+		label:    '6 x AA alkaline (9 V)',
+		curve:    [ [ 9.3, 100 ], [ 8.7, 90 ], [ 8.1, 70 ], [ 7.7, 50 ], [ 7.3, 30 ], [ 6.9, 15 ], [ 6.6, 5 ], [ 6.0, 0 ] ],
+		low:      7.3,
+		critical: 6.6
+	} );
+
+	// 6 AA NiMH rechargeable batteries
+	register( 'nimh', {
+		label:    '6 x AA NiMH (7.2 V)',
+		curve:    [ [ 8.4, 100 ], [ 7.8, 90 ], [ 7.5, 70 ], [ 7.3, 50 ], [ 7.2, 30 ], [ 7.0, 15 ], [ 6.6, 5 ], [ 6.0, 0 ] ],
+		low:      7.0,
+		critical: 6.6
+	} );
+
+	// 2 Li-ion / Li-Po cells (Power Functions rechargeable battery box 8878)
+	register( 'liion', {
+		label:    '2S Li-ion (7.4 V)',
+		curve:    [ [ 8.4, 100 ], [ 8.2, 90 ], [ 7.9, 75 ], [ 7.7, 60 ], [ 7.5, 45 ], [ 7.4, 35 ], [ 7.3, 25 ], [ 7.2, 15 ], [ 7.0, 8 ], [ 6.8, 3 ], [ 6.0, 0 ] ],
+		low:      7.2,
+		critical: 6.8
+	} );
+
+	// the old linear 0-9 V scale
+	register( 'linear', {
+		label:    'Linear 0-9 V',
+		curve:    [ [ 9, 100 ], [ 0, 0 ] ],
+		low:      6.3,
+		critical: 5.4
+	} );
+
+	return {
+		OK, LOW, CRITICAL,
+		register, unregister, get, list, percentage, state
+	};
+
+})();
+
+if( typeof module !== 'undefined' && module.exports ) {
+	module.exports = SBrickBattery;
+}
@@ -0,0 +1,127 @@
+/*
+ * Copyright (c) 2016-17 Francesco Marino
+ *
+ * @author Francesco Marino <francesco@360fun.net>
+ * @website www.360fun.net
+ *
+ * Capabilities of an SBrick, from its model and firmware version, used by SBrick.connect():
+ * the firmware versions are compared part by part ("4.2" is older than "4.17"),
+ * every feature needs a minimum firmware and some of them an SBrick Plus.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+let SBrickCapabilities = (function() {
+	'use strict';
+
+	const MODEL_PLUS = 'SBrick Plus';
+
+	// Features, with the minimum firmware and the models supporting them
+	const FEATURES = {
+		quickDrive : { label: 'Quick Drive',                 firmware: '4.17' },
+		pvm        : { label: 'Periodic Voltage Measurement', firmware: '4.17' },
+		sensor     : { label: 'sensor inputs',                firmware: '4.17', plus: true },
+		ota        : { label: 'firmware update (OTA)',        firmware: '4.0' }
+	};
+
+	// Oldest firmware fully supported by the library
+	const COMPATIBILITY = '4.17';
+
+	/**
+	* Parse a firmware version: major.minor.patch, the missing parts are 0
+	* @param {string} version - e.g. "4.17", "4.2", "v5.0.1"
+	* @returns {object|null} - {major, minor, patch, raw}, null if it isn't a version
+	*/
+	function parseVersion( version ) {
+		if( version !== null && typeof version === 'object' && Number.isInteger(version.major) ) {
+			return version;
+		}
+		let match = /(\d+)(?:\.(\d+))?(?:\.(\d+))?/.exec( String(version) );
+		if( version === null || version === undefined || !match ) {
+			return null;
+		}
+		return {
+			major: parseInt( match[1] ),
+			minor: parseInt( match[2] || 0 ),
+			patch: parseInt( match[3] || 0 ),
+			raw:   String(version).trim()
+		};
+	}
+
+	/**
+	* Compare two firmware versions
+	* @param {string|object} a - a version or a parsed one
+	* @param {string|object} b - a version or a parsed one
+	* @returns {number} - < 0 if a is older, 0 if the same, > 0 if a is newer
+	*/
+	function compareVersions( a, b ) {
+		let va = parseVersion(a), vb = parseVersion(b);
+		if( !va || !vb ) {
+			throw new TypeError( "Not a firmware version: " + ( va ? b : a ) );
+		}
+		return ( va.major - vb.major ) || ( va.minor - vb.minor ) || ( va.patch - vb.patch );
+	}
+
+	/**
+	* Check if a firmware version is the same or newer than another
+	* @param {string|object} version
+	* @param {string|object} minimum
+	* @returns {boolean} - false if the version can't be parsed
+	*/
+	function atLeast( version, minimum ) {
+		return parseVersion(version) !== null && compareVersions( version, minimum ) >= 0;
+	}
+
+	/**
+	* Find the capabilities of an SBrick
+	* @param {object} info - {model, firmware}
+	*		model: {string} "SBrick", "SBrick Plus" or null if unknown (the features of the Plus are then missing)
+	*		firmware: {string} The firmware revision
+	* @returns {object} - {model, firmware, version, compatible, quickDrive, pvm, sensor, ota}
+	*		version: {object} {major, minor, patch}, null if the firmware revision can't be parsed
+	*		compatible: {boolean} The firmware is 4.17 or newer
+	*		quickDrive, pvm, sensor, ota: {boolean} The feature can be used
+	*/
+	function detect( info = {} ) {
+		let model = info.model || null;
+		let version = parseVersion( info.firmware );
+		let capabilities = {
+			model:      model,
+			firmware:   version ? version.raw : null,
+			version:    version ? { major: version.major, minor: version.minor, patch: version.patch } : null,
+			compatible: atLeast( version, COMPATIBILITY )
+		};
+		Object.keys(FEATURES).forEach( name => {
+			let feature = FEATURES[name];
+			capabilities[name] = atLeast( version, feature.firmware ) && !( feature.plus && model !== MODEL_PLUS );
+		});
+		return capabilities;
+	}
+
+	/**
+	* Explain why a feature is missing
+	* @param {object} capabilities - as returned by detect()
+	* @param {string} name - the feature (e.g. "sensor")
+	* @returns {string|null} - null if the feature can be used
+	*/
+	function reason( capabilities, name ) {
+		let feature = FEATURES[name];
+		if( !feature || capabilities[name] ) {
+			return null;
+		}
+		if( feature.plus && capabilities.model !== MODEL_PLUS ) {
+			return "Not supported (" + feature.label + "): needs an " + MODEL_PLUS + ", " + ( capabilities.model ? "this is an " + capabilities.model : "the model of this SBrick is unknown" );
+		}
+		return "Not supported (" + feature.label + "): needs firmware " + feature.firmware + " or newer, this SBrick has " + ( capabilities.firmware || "an unknown firmware" );
+	}
+
+	return {
+		FEATURES, COMPATIBILITY,
+		parseVersion, compareVersions, atLeast, detect, reason
+	};
+
+})();
+
+if( typeof module !== 'undefined' && module.exports ) {
+	module.exports = SBrickCapabilities;
+}
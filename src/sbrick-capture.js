@@ -0,0 +1,133 @@
+/*
+ * Copyright (c) 2016-17 Francesco Marino
+ *
+ * @author Francesco Marino <francesco@360fun.net>
+ * @website www.360fun.net
+ *
+ * Capture of the BLE traffic of an SBrick, used by SBrick.startCapture(): a ring buffer keeping
+ * the last writes and reads of the Remote Control and Quick Drive characteristics, to attach to bug reports.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+let SBrickCapture = (function() {
+	'use strict';
+
+	const VERSION = 1;   // format of the export
+	const SIZE    = 500; // default number of entries kept
+
+	// Directions
+	const WRITE = 'write';
+	const READ  = 'read';
+
+	// Capture class definition
+	class SBrickCapture {
+
+		// CONSTRUCTOR
+
+		/**
+		* Create an empty capture
+		* @param {object} options - {size}
+		*		size: {number} How many entries are kept, the oldest ones are dropped (default 500)
+		*/
+		constructor( options = {} ) {
+			this.WRITE = WRITE;
+			this.READ  = READ;
+
+			this.size = options.size === undefined ? SIZE : options.size;
+			if( !Number.isInteger(this.size) || this.size < 1 ) {
+				throw new TypeError( "The size of a capture must be an integer > 0" );
+			}
+
+			// status
+			this.startedAt = Date.now();
+			this.dropped   = 0;  // entries dropped to make room
+			this._entries  = [];
+			this._first    = 0;  // index of the oldest entry once the buffer is full
+		}
+
+
+		// PUBLIC FUNCTIONS
+
+		/**
+		* Add an entry, dropping the oldest one if the buffer is full
+		* @param {object} entry - {time, direction, characteristic, command, bytes, latency, error}
+		*		time: {number} When the write or read started (ms since 1970)
+		*		direction: {string} "write" or "read"
+		*		characteristic: {string} "remotecontrol" or "quickdrive"
+		*		command: {string} The decoded command name (e.g. "DRIVE", "QUICKDRIVE"), the command replied to for the reads
+		*		bytes: {array} The raw bytes
+		*		latency: {number} Milliseconds to complete the write or read
+		*		error: {string} The error message, if it failed
+		*/
+		record( entry ) {
+			if( this._entries.length < this.size ) {
+				this._entries.push( entry );
+				return;
+			}
+			this._entries[this._first] = entry;
+			this._first = ( this._first + 1 ) % this.size;
+			this.dropped++;
+		}
+
+		/**
+		* Get the entries, from the oldest one
+		* @returns {array}
+		*/
+		entries() {
+			return this._entries.slice( this._first ).concat( this._entries.slice( 0, this._first ) );
+		}
+
+		/**
+		* Remove all the entries
+		*/
+		clear() {
+			this._entries = [];
+			this._first   = 0;
+			this.dropped  = 0;
+		}
+
+		/**
+		* Get the capture to export
+		* @param {object} info - more fields to add (e.g. the deviceId)
+		* @returns {object} - { version, startedAt, exportedAt, size, dropped, entries, ... }
+		*/
+		export( info = {} ) {
+			return Object.assign( {
+				version:    VERSION,
+				startedAt:  new Date( this.startedAt ).toISOString(),
+				exportedAt: new Date().toISOString(),
+				size:       this.size,
+				dropped:    this.dropped
+			}, info, { entries: this.entries() } );
+		}
+
+		/**
+		* Get the capture as a JSON string
+		* @param {object} info - more fields to add, see export()
+		* @returns {string}
+		*/
+		stringify( info = {} ) {
+			return JSON.stringify( this.export( info ) );
+		}
+
+		/**
+		* Used by JSON.stringify(): the capture is serialized as export() returns it
+		* @returns {object}
+		*/
+		toJSON() {
+			return this.export();
+		}
+
+	}
+
+	SBrickCapture.WRITE = WRITE;
+	SBrickCapture.READ  = READ;
+
+	return SBrickCapture;
+
+})();
+
+if( typeof module !== 'undefined' && module.exports ) {
+	module.exports = SBrickCapture;
+}
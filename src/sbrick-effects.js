@@ -0,0 +1,176 @@
+/*
+ * Copyright (c) 2016-17 Francesco Marino
+ *
+ * @author Francesco Marino <francesco@360fun.net>
+ * @website www.360fun.net
+ *
+ * Light effects used by SBrick.lightEffect() for Power Functions lights.
+ * An effect is a pattern: a function of the time returning the power and the direction of the port,
+ * the direction selects the LED when two of them are connected with opposite polarities.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+let SBrickEffects = (function() {
+	'use strict';
+
+	const MAX = 255; // Max power
+	const CLOCKWISE        = 0x00;
+	const COUNTERCLOCKWISE = 0x01;
+
+	const effects = {};
+
+	/**
+	* Add a light effect
+	* @param {string} name - Unique name of the effect (e.g. "blink")
+	* @param {function} factory - Receives the options of lightEffect(), returns the pattern:
+	*		a function receiving the milliseconds since the start and returning {power, direction, done}
+	*		(done: the effect is over, this is the final state)
+	*/
+	function register( name, factory ) {
+		if( typeof name !== 'string' || typeof factory !== 'function' ) {
+			throw new TypeError( "A light effect needs a name and a factory function" );
+		}
+		effects[name] = factory;
+	}
+
+	/**
+	* Remove a light effect
+	* @param {string} name
+	*/
+	function unregister( name ) {
+		delete effects[name];
+	}
+
+	/**
+	* Get the factory of a light effect
+	* @param {string} name
+	* @returns {function|undefined}
+	*/
+	function get( name ) {
+		return effects[name];
+	}
+
+	/**
+	* Get the names of all the registered effects
+	* @returns {array}
+	*/
+	function list() {
+		return Object.keys(effects);
+	}
+
+	/**
+	* Create the pattern of an effect
+	* @param {string} name
+	* @param {object} options - see the effects, all of them accept brightness (0-255, default 255) and direction
+	* @returns {function} - see register()
+	*/
+	function create( name, options = {} ) {
+		let factory = effects[name];
+		if( !factory ) {
+			throw new TypeError( "Unknown light effect " + name );
+		}
+		return factory( Object.assign( { brightness: MAX, direction: CLOCKWISE }, options ) );
+	}
+
+	/**
+	* Scale a level (0-1) to a power
+	* @param {number} level
+	* @param {number} brightness - the power of the level 1
+	* @returns {number}
+	*/
+	function power( level, brightness ) {
+		return Math.round( Math.min( Math.max( level, 0 ), 1 ) * brightness );
+	}
+
+	/**
+	* The opposite direction
+	* @param {number} direction
+	* @returns {number}
+	*/
+	function opposite( direction ) {
+		return direction ? CLOCKWISE : COUNTERCLOCKWISE;
+	}
+
+
+	// BUILT-IN EFFECTS
+
+	// steady light
+	register( 'brightness', options => {
+		return () => ( { power: power( 1, options.brightness ), direction: options.direction, done: true } );
+	} );
+
+	// on and off: {periodMs = 1000, duty = 0.5} (duty: fraction of the period the light is on)
+	register( 'blink', options => {
+		let periodMs = options.periodMs || 1000;
+		let duty = options.duty === undefined ? 0.5 : options.duty;
+		return t => ( { power: ( t % periodMs ) < periodMs * duty ? power( 1, options.brightness ) : 0, direction: options.direction } );
+	} );
+
+	// short flashes: {periodMs = 1000, flashMs = 50, flashes = 1} (flashes: how many flashes at the start of every period)
+	register( 'strobe', options => {
+		let periodMs = options.periodMs || 1000;
+		let flashMs = options.flashMs || 50;
+		let flashes = options.flashes || 1;
+		return t => {
+			let phase = t % periodMs;
+			let on = phase < flashMs * 2 * flashes && ( phase % ( flashMs * 2 ) ) < flashMs;
+			return { power: on ? power( 1, options.brightness ) : 0, direction: options.direction };
+		};
+	} );
+
+	// from a brightness to another, then stay there: {from = 0, to = brightness, durationMs = 1000}
+	register( 'fade', options => {
+		let from = options.from === undefined ? 0 : options.from;
+		let to = options.to === undefined ? options.brightness : options.to;
+		let durationMs = options.durationMs === undefined ? 1000 : options.durationMs;
+		return t => {
+			let progress = durationMs > 0 ? Math.min( t / durationMs, 1 ) : 1;
+			return { power: Math.round( from + ( to - from ) * progress ), direction: options.direction, done: progress === 1 };
+		};
+	} );
+
+	// slowly on and off: {periodMs = 2000, min = 0} (min: the lowest power)
+	register( 'breathe', options => {
+		let periodMs = options.periodMs || 2000;
+		let min = options.min || 0;
+		return t => {
+			let level = ( 1 - Math.cos( 2 * Math.PI * ( t % periodMs ) / periodMs ) ) / 2;
+			return { power: Math.round( min + level * ( options.brightness - min ) ), direction: options.direction };
+		};
+	} );
+
+	// candle or fire: {variation = 0.5, stepMs = 80} (variation: how much the brightness can drop, 0-1)
+	register( 'flicker', options => {
+		let variation = options.variation === undefined ? 0.5 : options.variation;
+		let stepMs = options.stepMs || 80;
+		let random = options.random || Math.random;
+		let step = -1;
+		let level = 1;
+		return t => {
+			if( Math.floor( t / stepMs ) !== step ) {
+				step = Math.floor( t / stepMs );
+				level = 1 - random() * variation;
+			}
+			return { power: power( level, options.brightness ), direction: options.direction };
+		};
+	} );
+
+	// two LEDs with opposite polarities on the same port, lit in turn: {periodMs = 1000}
+	register( 'alternate', options => {
+		let periodMs = options.periodMs || 1000;
+		return t => ( {
+			power: power( 1, options.brightness ),
+			direction: ( t % periodMs ) < periodMs / 2 ? options.direction : opposite( options.direction )
+		} );
+	} );
+
+	return {
+		register, unregister, get, list, create
+	};
+
+})();
+
+if( typeof module !== 'undefined' && module.exports ) {
+	module.exports = SBrickEffects;
+}
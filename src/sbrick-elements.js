@@ -0,0 +1,685 @@
+/*
+ * Copyright (c) 2016-17 Francesco Marino
+ *
+ * @author Francesco Marino <francesco@360fun.net>
+ * @website www.360fun.net
+ *
+ * Custom elements for a control panel: <sbrick-connect>, <sbrick-port>, <sbrick-battery>,
+ * <sbrick-temperature> and <sbrick-sensor>. They use a shared SBrick instance (registered here,
+ * or given to their sbrick property) and follow its events, so they stay in sync with any other
+ * code driving the same SBrick. They are styled through CSS custom properties and ::part().
+ * In a browser they are defined when loaded, elsewhere call define() with a window (e.g. of a DOM emulator).
+ * Requires sbrick-errors.js
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+let SBrickElements = (function() {
+	'use strict';
+
+	const Errors = ( typeof SBrickErrors !== 'undefined' ) ? SBrickErrors : require('./sbrick-errors.js');
+
+	const DEFAULT = 'default'; // name of the instance used when the sbrick attribute is missing
+
+	// Values limits
+	const MAX = 255; // Max Speed
+
+	// Direction
+	const CLOCKWISE        = 0x00;
+	const COUNTERCLOCKWISE = 0x01;
+
+	// Times in milliseconds
+	const T_BATTERY     = 5000; // Time between two battery readings
+	const T_TEMPERATURE = 5000; // Time between two temperature readings
+	const T_SENSOR      = 500;  // Time between two sensor readings
+
+	// SBrick events changing the connection status
+	const CONNECTION_EVENTS = [ 'connect', 'disconnect', 'connectionlost', 'reconnecting', 'reconnected', 'gaveup' ];
+
+	// Common style: every color and size can be overridden with the --sbrick-* custom properties
+	const STYLE = `
+		:host {
+			display: inline-flex;
+			align-items: center;
+			gap: var(--sbrick-gap, .5em);
+			padding: var(--sbrick-padding, .25em .5em);
+			font: var(--sbrick-font, inherit);
+			color: var(--sbrick-color, inherit);
+			background: var(--sbrick-background, transparent);
+			border: var(--sbrick-border, 1px solid #ccc);
+			border-radius: var(--sbrick-radius, 4px);
+		}
+		:host([hidden]) { display: none; }
+		:host(:not([connected])) { opacity: var(--sbrick-disconnected-opacity, .6); }
+		button {
+			font: inherit;
+			color: var(--sbrick-button-color, #fff);
+			background: var(--sbrick-accent, #e30613);
+			border: 0;
+			border-radius: var(--sbrick-radius, 4px);
+			padding: .25em .75em;
+			cursor: pointer;
+		}
+		button:disabled { cursor: default; opacity: .5; }
+		input[type=range] { accent-color: var(--sbrick-accent, #e30613); width: var(--sbrick-slider-width, 10em); }
+		meter { width: var(--sbrick-gauge-width, 6em); }
+		[part~=value] { font-variant-numeric: tabular-nums; }
+		[part~=status] { color: var(--sbrick-error-color, #c00); font-size: .8em; }
+		[part~=status]:empty { display: none; }
+	`;
+
+	const instances = {};
+	const attached  = new Set();     // elements in a document, bound again when their instance changes
+	const defined   = new WeakMap(); // the classes defined for every window
+
+	/**
+	* Share an SBrick with the elements, by name
+	* @param {string} name - the value of the sbrick attribute of the elements, "default" for the elements without it
+	* @param {SBrick} sbrick - an SBrick, or any EventTarget with the same methods (e.g. a fake one for tests)
+	*/
+	function register( name, sbrick ) {
+		if( typeof name !== 'string' || !sbrick || typeof sbrick.addEventListener !== 'function' ) {
+			throw new TypeError( "An SBrick for the elements needs a name and must be an EventTarget" );
+		}
+		instances[name] = sbrick;
+		attached.forEach( element => element._bind() );
+	}
+
+	/**
+	* Stop sharing an SBrick
+	* @param {string} name
+	*/
+	function unregister( name ) {
+		delete instances[name];
+		attached.forEach( element => element._bind() );
+	}
+
+	/**
+	* Get a shared SBrick
+	* @param {string} name - "default" if not given
+	* @returns {SBrick|undefined}
+	*/
+	function get( name = DEFAULT ) {
+		return instances[name];
+	}
+
+	/**
+	* Get the names of all the shared SBricks
+	* @returns {array}
+	*/
+	function list() {
+		return Object.keys(instances);
+	}
+
+	/**
+	* Define the custom elements in a window, once
+	* @param {object} win - the window (default the global one), e.g. the window of a DOM emulator
+	* @returns {object} - the classes { SBrickElement, SBrickConnect, SBrickPort, SBrickBattery, SBrickTemperature, SBrickSensor }
+	*/
+	function define( win ) {
+		win = win || ( typeof window !== 'undefined' ? window : null );
+		if( !win || !win.HTMLElement || !win.customElements ) {
+			throw new TypeError( "The SBrick elements need a window with custom elements" );
+		}
+		if( defined.has(win) ) {
+			return defined.get(win);
+		}
+		let classes = build( win.HTMLElement );
+		Object.keys(TAGS).forEach( tag => {
+			if( !win.customElements.get(tag) ) {
+				win.customElements.define( tag, classes[TAGS[tag]] );
+			}
+		});
+		defined.set( win, classes );
+		return classes;
+	}
+
+	// Tag of every element class
+	const TAGS = {
+		'sbrick-connect':     'SBrickConnect',
+		'sbrick-port':        'SBrickPort',
+		'sbrick-battery':     'SBrickBattery',
+		'sbrick-temperature': 'SBrickTemperature',
+		'sbrick-sensor':      'SBrickSensor'
+	};
+
+	/**
+	* Create the element classes
+	* @param {function} HTMLElement - the HTMLElement class of the window
+	* @returns {object} - see define()
+	*/
+	function build( HTMLElement ) {
+
+		// Base class: binding to the SBrick, rendering, polling and errors
+		class SBrickElement extends HTMLElement {
+
+			// CONSTRUCTOR
+
+			constructor() {
+				super();
+				this._sbrick    = null;  // given to the sbrick property
+				this._bound     = null;  // the SBrick listened to
+				this._listeners = {};
+				this._timer     = null;
+				this._polling   = false;
+				this.attachShadow( { mode: 'open' } );
+				this.shadowRoot.innerHTML = '<style>' + STYLE + '</style>' + this._template();
+			}
+
+			static get observedAttributes() {
+				return [ 'sbrick' ];
+			}
+
+
+			// PUBLIC FUNCTIONS
+
+			/**
+			* The SBrick of the element: the one given to this property, otherwise the one registered
+			* with the name in the sbrick attribute (or "default")
+			*/
+			get sbrick() {
+				return this._sbrick || get( this.getAttribute('sbrick') || DEFAULT ) || null;
+			}
+
+			set sbrick( sbrick ) {
+				this._sbrick = sbrick || null;
+				this._bind();
+			}
+
+			/**
+			* Check if the SBrick of the element is connected
+			* @returns {boolean}
+			*/
+			isLive() {
+				return !!( this._bound && this._bound.isConnected() );
+			}
+
+			connectedCallback() {
+				attached.add( this );
+				this._bind();
+			}
+
+			disconnectedCallback() {
+				attached.delete( this );
+				this._bind();
+			}
+
+			attributeChangedCallback( name, oldValue, newValue ) {
+				if( name === 'sbrick' ) {
+					this._bind();
+				} else {
+					this._update();
+				}
+			}
+
+
+			// PRIVATE FUNCTIONS
+
+			/**
+			* The content of the shadow root, after the style
+			* @returns {string}
+			*/
+			_template() {
+				return '';
+			}
+
+			/**
+			* The SBrick events listened to, besides the connection ones
+			* @returns {object} - { type: listener }
+			*/
+			_events() {
+				return {};
+			}
+
+			/**
+			* Listen to the current SBrick, if it changed (none while the element isn't in a document), and show its status
+			*/
+			_bind() {
+				let sbrick = this.isConnected ? this.sbrick : null;
+				if( sbrick === this._bound ) {
+					this._update();
+					return;
+				}
+				if( this._bound ) {
+					Object.keys(this._listeners).forEach( type => this._bound.removeEventListener( type, this._listeners[type] ) );
+					this._listeners = {};
+				}
+				this._bound = sbrick;
+				if( sbrick ) {
+					let events = this._events();
+					CONNECTION_EVENTS.forEach( type => {
+						let listener = events[type];
+						events[type] = e => {
+							if( listener ) {
+								listener(e);
+							}
+							this._update();
+						};
+					});
+					Object.keys(events).forEach( type => {
+						this._listeners[type] = events[type];
+						sbrick.addEventListener( type, events[type] );
+					});
+				}
+				this._fail( null );
+				this._update();
+			}
+
+			/**
+			* Show the status of the SBrick and start or stop polling
+			*/
+			_update() {
+				let live = this.isLive();
+				this.toggleAttribute( 'connected', live );
+				this.shadowRoot.querySelectorAll('input, button[data-live]').forEach( control => {
+					control.disabled = !live;
+				});
+				if( live && this._interval() > 0 ) {
+					this._startPolling();
+				} else {
+					this._stopPolling();
+				}
+			}
+
+			/**
+			* Time between two readings (0 to only follow the events)
+			* @returns {number}
+			*/
+			_interval() {
+				return 0;
+			}
+
+			/**
+			* Read the SBrick, the value is shown by the event of the reading
+			* @returns {promise}
+			*/
+			_read() {
+				return Promise.resolve();
+			}
+
+			/**
+			* Read now and then every interval, while the SBrick is connected
+			*/
+			_startPolling() {
+				if( this._polling ) {
+					return;
+				}
+				this._polling = true;
+				let tick = () => {
+					this._timer = null;
+					this._read()
+					.then( () => this._fail( null ), e => {
+						if( !this._polling ) {
+							return; // disconnected meanwhile
+						}
+						this._fail( e );
+						if( e instanceof Errors.NotSupportedError ) {
+							// no point in trying again
+							this._polling = false;
+						}
+					})
+					.then( () => {
+						if( this._polling ) {
+							this._timer = setTimeout( tick, this._interval() );
+						}
+					});
+				};
+				tick();
+			}
+
+			/**
+			* Stop polling
+			*/
+			_stopPolling() {
+				this._polling = false;
+				clearTimeout( this._timer );
+				this._timer = null;
+			}
+
+			/**
+			* Show an error, or remove it
+			* @param {*} e - null to remove it
+			*/
+			_fail( e ) {
+				let status = this.shadowRoot.querySelector('[part~=status]');
+				if( status ) {
+					status.textContent = e ? ( e.message || String(e) ) : '';
+				}
+				this.toggleAttribute( 'error', !!e );
+			}
+
+			/**
+			* Get a numeric attribute
+			* @param {string} name
+			* @param {number} fallback - returned if the attribute is missing or not a number
+			* @returns {number}
+			*/
+			_number( name, fallback ) {
+				let value = parseFloat( this.getAttribute(name) );
+				return isNaN(value) ? fallback : value;
+			}
+
+			/**
+			* Set the text of a part
+			* @param {string} part
+			* @param {string} text
+			*/
+			_text( part, text ) {
+				this.shadowRoot.querySelector('[part~=' + part + ']').textContent = text;
+			}
+
+		}
+
+		// <sbrick-connect remembered>: connect and disconnect button with the name of the SBrick
+		class SBrickConnect extends SBrickElement {
+
+			constructor() {
+				super();
+				this.connectOptions = {}; // given to connect(), e.g. { password }
+				this._busy = false;
+				this.shadowRoot.querySelector('button').addEventListener( 'click', () => this.toggle() );
+			}
+
+			static get observedAttributes() {
+				return [ 'sbrick', 'remembered' ];
+			}
+
+			/**
+			* Connect the SBrick, or disconnect it if connected
+			* @returns {promise}
+			*/
+			toggle() {
+				let sbrick = this._bound;
+				if( !sbrick || this._busy ) {
+					return Promise.resolve();
+				}
+				let live = sbrick.isConnected() || this.hasAttribute('reconnecting'); // disconnect() also stops reconnecting
+				let options = Object.assign( { remembered: this.hasAttribute('remembered') }, this.connectOptions );
+				this._busy = true;
+				this._fail( null );
+				this._update();
+				return ( live ? sbrick.disconnect() : sbrick.connect( options ) )
+				.catch( e => this._fail(e) )
+				.then( () => {
+					this._busy = false;
+					this._update();
+				});
+			}
+
+			_template() {
+				return '<button part="button" type="button">Connect</button><span part="name"></span><span part="status"></span>';
+			}
+
+			_update() {
+				super._update();
+				let sbrick = this._bound;
+				let live = this.isLive();
+				let reconnecting = !!( sbrick && typeof sbrick.isReconnecting === 'function' && sbrick.isReconnecting() );
+				let button = this.shadowRoot.querySelector('button');
+				button.disabled = !sbrick || this._busy;
+				button.textContent = this._busy ? ( live ? 'Disconnecting…' : 'Connecting…' ) : ( live || reconnecting ? 'Disconnect' : 'Connect' );
+				this.toggleAttribute( 'busy', this._busy );
+				this.toggleAttribute( 'reconnecting', reconnecting );
+				let device = live && sbrick.transport && sbrick.transport.device;
+				this._text( 'name', reconnecting ? 'Reconnecting…' : ( device ? device.name + ( sbrick.model ? ' (' + sbrick.model + ')' : '' ) : '' ) );
+			}
+
+		}
+
+		// <sbrick-port port="0" label="left track">: slider from full counterclockwise to full clockwise, and a stop button
+		class SBrickPort extends SBrickElement {
+
+			constructor() {
+				super();
+				let slider = this.shadowRoot.querySelector('input');
+				slider.addEventListener( 'input', () => this.drive( parseInt( slider.value ) ) );
+				this.shadowRoot.querySelector('button').addEventListener( 'click', () => this.stop() );
+			}
+
+			static get observedAttributes() {
+				return [ 'sbrick', 'port', 'label' ];
+			}
+
+			/**
+			* The port of the element (0-3)
+			*/
+			get portId() {
+				return this._number( 'port', 0 );
+			}
+
+			/**
+			* Drive the port
+			* @param {number} value - -255 (full counterclockwise) to 255 (full clockwise)
+			* @returns {promise}
+			*/
+			drive( value ) {
+				if( !this.isLive() ) {
+					return Promise.resolve();
+				}
+				value = Math.min( Math.max( Math.round(value) || 0, -MAX ), MAX );
+				return this._bound.drive( {
+					portId:    this.portId,
+					direction: value < 0 ? COUNTERCLOCKWISE : CLOCKWISE,
+					power:     Math.abs(value)
+				})
+				.then( () => this._fail( null ), e => this._fail( e ) );
+			}
+
+			/**
+			* Stop the port
+			* @returns {promise}
+			*/
+			stop() {
+				if( !this.isLive() ) {
+					return Promise.resolve();
+				}
+				return this._bound.stop( this.portId )
+				.then( () => this._fail( null ), e => this._fail( e ) );
+			}
+
+			_template() {
+				return '<span part="label"></span>' +
+					'<input part="slider" type="range" min="' + ( -MAX ) + '" max="' + MAX + '" step="1" value="0">' +
+					'<output part="value">0</output>' +
+					'<button part="stop" type="button" data-live>Stop</button>' +
+					'<span part="status"></span>';
+			}
+
+			_events() {
+				return {
+					portchange: e => {
+						if( e.detail && e.detail.portId === this.portId ) {
+							this._show( e.detail );
+						}
+					}
+				};
+			}
+
+			_update() {
+				super._update();
+				this._text( 'label', this.getAttribute('label') || 'Port ' + this.portId );
+				let port = this._bound && this._bound.ports && this._bound.ports[this.portId];
+				if( port ) {
+					this._show( port );
+				}
+			}
+
+			/**
+			* Show the values of the port
+			* @param {object} port - {direction, power}
+			*/
+			_show( port ) {
+				let value = port.direction === COUNTERCLOCKWISE ? -port.power : port.power;
+				this.shadowRoot.querySelector('input').value = String(value);
+				this._text( 'value', String(value) );
+				this.toggleAttribute( 'driving', value !== 0 );
+			}
+
+		}
+
+		// <sbrick-battery interval="5000">: charge gauge, with the state of the battery in the state attribute
+		class SBrickBattery extends SBrickElement {
+
+			static get observedAttributes() {
+				return [ 'sbrick', 'interval' ];
+			}
+
+			_template() {
+				return '<meter part="gauge" min="0" max="100" low="30" high="60" optimum="100" value="0"></meter>' +
+					'<span part="value">–</span><span part="status"></span>';
+			}
+
+			_events() {
+				return {
+					battery: e => this._show( e.detail )
+				};
+			}
+
+			_interval() {
+				return this._number( 'interval', T_BATTERY );
+			}
+
+			_read() {
+				return this._bound.getBattery();
+			}
+
+			_update() {
+				super._update();
+				if( this._bound && this._bound.battery ) {
+					this._show( this._bound.battery );
+				}
+			}
+
+			/**
+			* Show a battery reading, a placeholder before the first one
+			* @param {object} battery - {percentage, voltage, state}, percentage is null if not read yet
+			*/
+			_show( battery ) {
+				let meter = this.shadowRoot.querySelector('meter');
+				if( battery.percentage === null || battery.percentage === undefined ) {
+					meter.removeAttribute( 'value' );
+					this._text( 'value', '–' );
+					this.removeAttribute( 'state' );
+					return;
+				}
+				meter.setAttribute( 'value', battery.percentage );
+				this._text( 'value', battery.percentage + '% ' + Number(battery.voltage).toFixed(1) + ' V' );
+				if( battery.state ) {
+					this.setAttribute( 'state', battery.state );
+				}
+			}
+
+		}
+
+		// <sbrick-temperature interval="5000" fahrenheit>: temperature gauge
+		class SBrickTemperature extends SBrickElement {
+
+			static get observedAttributes() {
+				return [ 'sbrick', 'interval', 'fahrenheit' ];
+			}
+
+			_template() {
+				return '<meter part="gauge" min="0" max="100" high="70" optimum="25" value="0"></meter>' +
+					'<span part="value">–</span><span part="status"></span>';
+			}
+
+			_events() {
+				return {
+					temperature: e => this._show( e.detail.celsius )
+				};
+			}
+
+			_interval() {
+				return this._number( 'interval', T_TEMPERATURE );
+			}
+
+			_read() {
+				return this._bound.getTemp();
+			}
+
+			/**
+			* Show a temperature reading
+			* @param {number} celsius
+			*/
+			_show( celsius ) {
+				this.shadowRoot.querySelector('meter').setAttribute( 'value', celsius );
+				let fahrenheit = this.hasAttribute('fahrenheit');
+				let value = fahrenheit ? celsius * 9/5 + 32 : celsius;
+				this._text( 'value', value.toFixed(1) + ( fahrenheit ? ' °F' : ' °C' ) );
+			}
+
+		}
+
+		// <sbrick-sensor port="1" series="wedo" field="distance" interval="500">: sensor readout
+		class SBrickSensor extends SBrickElement {
+
+			constructor() {
+				super();
+				this.reading = null; // the last sensor measurement Object
+			}
+
+			static get observedAttributes() {
+				return [ 'sbrick', 'port', 'series', 'field', 'interval' ];
+			}
+
+			/**
+			* The port of the element (0-3)
+			*/
+			get portId() {
+				return this._number( 'port', 0 );
+			}
+
+			_template() {
+				return '<span part="type"></span><span part="value">–</span><span part="status"></span>';
+			}
+
+			_events() {
+				return {
+					sensor: e => {
+						if( e.detail && e.detail.portId === this.portId ) {
+							this._show( e.detail );
+						}
+					}
+				};
+			}
+
+			_interval() {
+				return this._number( 'interval', T_SENSOR );
+			}
+
+			_read() {
+				return this._bound.getSensor( this.portId, this.getAttribute('series') || 'auto' );
+			}
+
+			/**
+			* Show a sensor measurement
+			* @param {object} reading - {type, value, ...}
+			*/
+			_show( reading ) {
+				this.reading = reading;
+				let value = reading[ this.getAttribute('field') || 'value' ];
+				this._text( 'type', reading.type || '' );
+				this._text( 'value', value === undefined ? '–' : String(value) );
+				this.setAttribute( 'type', reading.type || '' );
+			}
+
+		}
+
+		return { SBrickElement, SBrickConnect, SBrickPort, SBrickBattery, SBrickTemperature, SBrickSensor };
+	}
+
+	// in a browser the elements are ready to use
+	if( typeof window !== 'undefined' && window.customElements && window.HTMLElement ) {
+		define( window );
+	}
+
+	return {
+		DEFAULT,
+		register, unregister, get, list, define
+	};
+
+})();
+
+if( typeof module !== 'undefined' && module.exports ) {
+	module.exports = SBrickElements;
+}
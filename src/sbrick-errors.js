@@ -0,0 +1,129 @@
+/*
+ * Copyright (c) 2016-17 Francesco Marino
+ *
+ * @author Francesco Marino <francesco@360fun.net>
+ * @website www.360fun.net
+ *
+ * Error classes used by the SBrick class to reject its promises,
+ * mapped from the SBrick protocol return codes (0x80-0x88).
+ * Requires sbrick-protocol.js
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+let SBrickErrors = (function() {
+	'use strict';
+
+	const Protocol = ( typeof SBrickProtocol !== 'undefined' ) ? SBrickProtocol : require('./sbrick-protocol.js');
+
+	/**
+	* Base class of every error of the library
+	* code: {number} The protocol return code (0x80-0x88), undefined if the error didn't come from the SBrick
+	* command: {number} The protocol command that failed (see SBrickProtocol.CMD_*), if any
+	* commandName: {string} The name of that command
+	* portId: {number} The port involved, if any
+	* cause: {*} The original error, if any
+	*/
+	class SBrickError extends Error {
+		/**
+		* @param {string} message
+		* @param {object} details - {code, command, portId, cause}
+		*/
+		constructor( message, details = {} ) {
+			super(message);
+			this.name        = this.constructor.name;
+			this.code        = details.code;
+			this.command     = details.command;
+			this.commandName = details.command === undefined ? undefined : Protocol.commandName(details.command);
+			this.portId      = details.portId;
+			this.cause       = details.cause;
+		}
+	}
+
+	// Protocol return codes
+	class InvalidLengthError extends SBrickError {}          // 0x80
+	class InvalidParameterError extends SBrickError {}       // 0x81, also used for wrong inputs
+	class UnknownCommandError extends SBrickError {}         // 0x82
+	class NoAuthenticationNeededError extends SBrickError {} // 0x83
+	class AuthenticationError extends SBrickError {}         // 0x84
+	class AuthenticationRequiredError extends SBrickError {} // 0x85
+	class AuthorizationError extends SBrickError {}          // 0x86
+	class ThermalProtectionError extends SBrickError {}      // 0x87
+	class InvalidStateError extends SBrickError {}           // 0x88
+
+	// Library errors
+	class NotConnectedError extends SBrickError {}
+	class FirmwareNotCompatibleError extends SBrickError {}
+	class TimeoutError extends SBrickError {}
+	class NotSupportedError extends SBrickError {}
+
+	const CODES = {
+		[Protocol.ERROR_LENGTH]  : InvalidLengthError,
+		[Protocol.ERROR_PARAM]   : InvalidParameterError,
+		[Protocol.ERROR_COMMAND] : UnknownCommandError,
+		[Protocol.ERROR_NOAUTH]  : NoAuthenticationNeededError,
+		[Protocol.ERROR_AUTH]    : AuthenticationError,
+		[Protocol.ERROR_DOAUTH]  : AuthenticationRequiredError,
+		[Protocol.ERROR_AUTHOR]  : AuthorizationError,
+		[Protocol.ERROR_THERMAL] : ThermalProtectionError,
+		[Protocol.ERROR_STATE]   : InvalidStateError
+	};
+
+	/**
+	* Create the error of a protocol return code
+	* @param {number} code - 0x80-0x88
+	* @param {object} details - {command, portId, cause}
+	* @returns {SBrickError}
+	*/
+	function fromCode( code, details = {} ) {
+		let error = Protocol.decodeError(code);
+		let ErrorClass = CODES[code] || SBrickError;
+		let message = error ? error.message : "Unknown return code 0x" + Number(code).toString(16);
+		return new ErrorClass( message, Object.assign( {}, details, { code: code } ) );
+	}
+
+	/**
+	* Find the protocol return code of a transport error (GATT write/read errors)
+	* @param {*} e
+	* @returns {number|undefined}
+	*/
+	function codeOf( e ) {
+		if( e && CODES[e.code] ) {
+			return e.code;
+		}
+		let match = /0x(8[0-8])\b/i.exec( e && e.message ? e.message : String(e) );
+		return match ? parseInt( match[1], 16 ) : undefined;
+	}
+
+	/**
+	* Convert anything thrown by the transport or the library to an SBrickError
+	* @param {*} e - error, message string or SBrickError (returned as it is)
+	* @param {object} details - {command, portId}
+	* @returns {SBrickError}
+	*/
+	function fromError( e, details = {} ) {
+		if( e instanceof SBrickError ) {
+			return e;
+		}
+		let code = codeOf(e);
+		if( code !== undefined ) {
+			return fromCode( code, Object.assign( {}, details, { cause: e } ) );
+		}
+		let message = e && e.message ? e.message : String(e);
+		return new SBrickError( message, Object.assign( {}, details, { cause: e } ) );
+	}
+
+	return {
+		SBrickError,
+		InvalidLengthError, InvalidParameterError, UnknownCommandError,
+		NoAuthenticationNeededError, AuthenticationError, AuthenticationRequiredError,
+		AuthorizationError, ThermalProtectionError, InvalidStateError,
+		NotConnectedError, FirmwareNotCompatibleError, TimeoutError, NotSupportedError,
+		fromCode, fromError
+	};
+
+})();
+
+if( typeof module !== 'undefined' && module.exports ) {
+	module.exports = SBrickErrors;
+}
@@ -0,0 +1,444 @@
+/*
+ * Copyright (c) 2016-17 Francesco Marino
+ *
+ * @author Francesco Marino <francesco@360fun.net>
+ * @website www.360fun.net
+ *
+ * Coordinate several SBricks: ports are addressed as "brickName.port" (e.g. "train1.0" or "train1.TOPLEFT"),
+ * grouped commands are sent to every SBrick at once and the status of the whole fleet can be read in a call.
+ * Requires sbrick.js and sbrick-errors.js
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+let SBrickFleet = (function() {
+	'use strict';
+
+	const SBrickClass = ( typeof SBrick !== 'undefined' ) ? SBrick : require('./sbrick.js');
+	const Errors      = ( typeof SBrickErrors !== 'undefined' ) ? SBrickErrors : require('./sbrick-errors.js');
+
+	// Health status
+	const CONNECTED    = 'connected';
+	const RECONNECTING = 'reconnecting';
+	const LOST         = 'lost';         // connection lost, not reconnecting
+	const DISCONNECTED = 'disconnected';
+
+	const PORT_NAMES = [ 'PORT0', 'PORT1', 'PORT2', 'PORT3', 'TOPLEFT', 'BOTTOMLEFT', 'TOPRIGHT', 'BOTTOMRIGHT' ];
+
+	// Fleet class definition
+	class SBrickFleet {
+
+		// CONSTRUCTOR
+
+		/**
+		* Create an empty fleet, add the SBricks with add()
+		*/
+		constructor() {
+			this.CONNECTED    = CONNECTED;
+			this.RECONNECTING = RECONNECTING;
+			this.LOST         = LOST;
+			this.DISCONNECTED = DISCONNECTED;
+
+			this.bricks = {}; // by name: { name, sbrick, connectOptions, health, listeners }
+		}
+
+
+		// PUBLIC FUNCTIONS
+
+		/**
+		* Add an SBrick to the fleet
+		* @param {string} name - The name used in the port addresses, without dots (only an alias: it isn't the name of the device)
+		* @param {SBrick|object} sbrick - An SBrick instance, or the options to create one (see the SBrick constructor) and deviceName
+		*		deviceName: {string} The name of the device to connect to (default: any SBrick)
+		* @param {object} connectOptions - The options given to SBrick.connect() by connect()
+		* @returns {SBrick}
+		*/
+		add( name, sbrick = {}, connectOptions = {} ) {
+			if( typeof name !== 'string' || name === '' || name.indexOf('.') !== -1 ) {
+				throw new Errors.InvalidParameterError('Wrong input: the name of an SBrick must be a non empty string without dots');
+			}
+			if( this.bricks[name] ) {
+				throw new Errors.InvalidParameterError('Wrong input: an SBrick named "' + name + '" is already in the fleet');
+			}
+			if( sbrick === null || typeof sbrick !== 'object' ) {
+				throw new Errors.InvalidParameterError('Wrong input: add expects an SBrick instance or the options to create one');
+			}
+			if( !( sbrick instanceof SBrickClass ) ) {
+				sbrick = new SBrickClass( sbrick.deviceName, sbrick );
+			}
+			let brick = {
+				name: name,
+				sbrick: sbrick,
+				connectOptions: connectOptions,
+				lost: false, // the connection was lost, not closed by disconnect()
+				health: {
+					errors: 0,
+					lastError: null,
+					battery: null,
+					temperature: null,
+					thermal: false,
+					lastSeen: null
+				},
+				listeners: {}
+			};
+			this._track( brick );
+			this.bricks[name] = brick;
+			return sbrick;
+		}
+
+		/**
+		* Remove an SBrick from the fleet, it is not disconnected
+		* @param {string} name
+		*/
+		remove( name ) {
+			let brick = this.bricks[name];
+			if( brick ) {
+				Object.keys(brick.listeners).forEach( type => brick.sbrick.removeEventListener( type, brick.listeners[type] ) );
+				delete this.bricks[name];
+			}
+		}
+
+		/**
+		* Get an SBrick of the fleet
+		* @param {string} nameOrId - The name given to add() or the device id
+		* @returns {SBrick|undefined}
+		*/
+		get( nameOrId ) {
+			let brick = this._brick( nameOrId );
+			return brick ? brick.sbrick : undefined;
+		}
+
+		/**
+		* Get the names of the SBricks in the fleet
+		* @returns {array}
+		*/
+		names() {
+			return Object.keys(this.bricks);
+		}
+
+		/**
+		* Connect the SBricks one after the other (every connection can show a popup)
+		* @param {string|array} names - The SBricks to connect, by default all the disconnected ones
+		* @returns {promise returning object} - { name: { status: "fulfilled" } or { status: "rejected", reason }, ... }
+		*/
+		connect( names ) {
+			let selected = this._select( names ).filter( brick => !brick.sbrick.isConnected() );
+			let results = {};
+			return selected.reduce( (previous, brick) => {
+				return previous.then( () => {
+					return this._settle( brick.sbrick.connect( brick.connectOptions ) )
+					.then( result => { results[brick.name] = result; } );
+				});
+			}, Promise.resolve() )
+			.then( () => results );
+		}
+
+		/**
+		* Disconnect the SBricks
+		* @param {string|array} names - The SBricks to disconnect, by default all of them
+		* @returns {promise returning object} - the result of every SBrick, see connect()
+		*/
+		disconnect( names ) {
+			let selected = this._select( names ).filter( brick => brick.sbrick.isConnected() || brick.sbrick.isReconnecting() );
+			return this._each( selected, brick => brick.sbrick.disconnect() );
+		}
+
+		/**
+		* Drive ports of different SBricks at the same time: the commands are grouped by SBrick
+		* and every SBrick gets a single quickDrive, all sent without waiting for each other
+		* @param {array} commands - [ { port: "brickName.port", direction, power }, ... ]
+		* @returns {promise returning object} - the result of every SBrick, see connect()
+		*/
+		quickDrive( commands ) {
+			return new Promise( (resolve, reject) => {
+				if( Array.isArray(commands) ) {
+					resolve();
+				} else {
+					reject( new Errors.InvalidParameterError('Wrong input: quickDrive expects array') );
+				}
+			} )
+			.then( () => {
+				let groups = {};
+				commands.forEach( command => {
+					let address = this.resolve( command.port );
+					if( !groups[address.name] ) {
+						groups[address.name] = [];
+					}
+					groups[address.name].push( { portId: address.portId, direction: command.direction, power: command.power } );
+				});
+				return this._each( Object.keys(groups).map( name => this.bricks[name] ), brick => brick.sbrick.quickDrive( groups[brick.name] ) );
+			});
+		}
+
+		/**
+		* Drive a single port
+		* @param {object} command - {port, direction, power}, as in SBrick.drive() with the port address
+		*		port: {string} "brickName.port"
+		*		direction: {hexadecimal number} SBrick.CW (default) or SBrick.CCW
+		*		power: {number} 0-255 (default 255)
+		* @returns {promise returning object} - see SBrick.drive()
+		*/
+		drive( command ) {
+			return new Promise( (resolve, reject) => {
+				if( command !== null && typeof command === 'object' ) {
+					resolve( this.resolve( command.port ) );
+				} else {
+					reject( new Errors.InvalidParameterError('Wrong input: drive expects an object {port, direction, power}') );
+				}
+			} )
+			.then( address => address.sbrick.drive( { portId: address.portId, direction: command.direction, power: command.power } ) );
+		}
+
+		/**
+		* Stop some ports, grouped by SBrick
+		* @param {string|array} ports - "brickName.port" or an array of them
+		* @returns {promise returning object} - the result of every SBrick, see connect()
+		*/
+		stop( ports ) {
+			return new Promise( resolve => resolve( Array.isArray(ports) ? ports : [ ports ] ) )
+			.then( ports => {
+				let groups = {};
+				ports.forEach( port => {
+					let address = this.resolve( port );
+					groups[address.name] = ( groups[address.name] || [] ).concat( address.portId );
+				});
+				return this._each( Object.keys(groups).map( name => this.bricks[name] ), brick => brick.sbrick.stop( groups[brick.name] ) );
+			});
+		}
+
+		/**
+		* Stop all the ports of all the connected SBricks, a failure on a SBrick doesn't stop the others
+		* @returns {promise returning object} - the result of every SBrick, see connect()
+		*/
+		stopAll() {
+			let selected = this._select().filter( brick => brick.sbrick.isConnected() );
+			return this._each( selected, brick => brick.sbrick.stopAll() );
+		}
+
+		/**
+		* Read the battery of all the connected SBricks
+		* @returns {promise returning object} - { bricks: { name: percentage or null }, min, max, average, lowest }
+		*		lowest: {string} The name of the SBrick with the lowest battery
+		*/
+		getBatterySummary() {
+			return this._summary( sbrick => sbrick.getBattery() )
+			.then( summary => {
+				summary.lowest = summary.minName;
+				delete summary.minName;
+				delete summary.maxName;
+				return summary;
+			});
+		}
+
+		/**
+		* Read the temperature of all the connected SBricks
+		* @param {boolean} fahrenheit - see SBrick.getTemp()
+		* @returns {promise returning object} - { bricks: { name: temperature or null }, min, max, average, hottest }
+		*		hottest: {string} The name of the hottest SBrick
+		*/
+		getTemperatureSummary( fahrenheit ) {
+			return this._summary( sbrick => sbrick.getTemp( fahrenheit ) )
+			.then( summary => {
+				summary.hottest = summary.maxName;
+				delete summary.minName;
+				delete summary.maxName;
+				return summary;
+			});
+		}
+
+		/**
+		* Get the health of every SBrick, from what the fleet saw so far (nothing is read)
+		* @returns {object} - { name: { status, deviceId, errors, lastError, battery, temperature, thermal, lastSeen }, ... }
+		*		status: {string} "connected", "reconnecting", "lost" or "disconnected"
+		*		errors: {number} How many errors were reported by the SBrick
+		*		battery, temperature: {number} The last values read, null if never read
+		*		thermal: {boolean} The thermal protection refused a command since the last successful drive
+		*		lastSeen: {number} Time (Date.now()) of the last event received from the SBrick
+		*/
+		getHealth() {
+			let health = {};
+			this._select().forEach( brick => {
+				health[brick.name] = Object.assign( {
+					status: this._status( brick ),
+					deviceId: brick.sbrick.transport.device ? brick.sbrick.transport.device.id : undefined
+				}, brick.health );
+			});
+			return health;
+		}
+
+		/**
+		* Find the SBrick and the port of an address
+		* @param {string} port - "brickName.port", the port is 0-3 or a port constant (PORT0, TOPLEFT, ...)
+		* @returns {object} - { name, sbrick, portId }
+		*/
+		resolve( port ) {
+			let separator = typeof port === 'string' ? port.lastIndexOf('.') : -1;
+			if( separator === -1 ) {
+				throw new Errors.InvalidParameterError('Wrong input: ports are addressed as "brickName.port"');
+			}
+			let name = port.slice( 0, separator );
+			let portName = port.slice( separator + 1 );
+			let brick = this._brick( name );
+			if( !brick ) {
+				throw new Errors.InvalidParameterError('Wrong input: no SBrick named "' + name + '" in the fleet');
+			}
+			let portId = PORT_NAMES.indexOf( portName ) !== -1 ? brick.sbrick[portName] : Number( portName );
+			if( portName === '' || !Number.isInteger(portId) || portId < brick.sbrick.PORT0 || portId > brick.sbrick.PORT3 ) {
+				throw new Errors.InvalidParameterError('Wrong input: unknown port "' + portName + '"', { portId: portId });
+			}
+			return { name: brick.name, sbrick: brick.sbrick, portId: portId };
+		}
+
+
+		// PRIVATE FUNCTIONS
+
+		/**
+		* Find a brick by name or device id
+		* @param {string} nameOrId
+		* @returns {object|undefined}
+		*/
+		_brick( nameOrId ) {
+			return this.bricks[nameOrId] || this._select().find( brick => {
+				let device = brick.sbrick.transport.device;
+				return device && device.id === nameOrId;
+			});
+		}
+
+		/**
+		* Get the bricks by name
+		* @param {string|array} names - all the bricks if undefined
+		* @returns {array}
+		*/
+		_select( names ) {
+			if( names === undefined ) {
+				return Object.keys(this.bricks).map( name => this.bricks[name] );
+			}
+			return ( Array.isArray(names) ? names : [ names ] ).map( name => {
+				let brick = this._brick( name );
+				if( !brick ) {
+					throw new Errors.InvalidParameterError('Wrong input: no SBrick named "' + name + '" in the fleet');
+				}
+				return brick;
+			});
+		}
+
+		/**
+		* Run a command on every brick at the same time, waiting for all of them
+		* @param {array} bricks
+		* @param {function} command - receives the brick, returns a promise
+		* @returns {promise returning object} - { name: { status: "fulfilled", value } or { status: "rejected", reason }, ... }
+		*/
+		_each( bricks, command ) {
+			let names = bricks.map( brick => brick.name );
+			// start all the commands before waiting for any of them
+			let pending = bricks.map( brick => this._settle( new Promise( resolve => resolve( command(brick) ) ) ) );
+			return Promise.all( pending )
+			.then( results => {
+				let byName = {};
+				results.forEach( (result, i) => { byName[names[i]] = result; } );
+				return byName;
+			});
+		}
+
+		/**
+		* Never reject
+		* @param {promise} promise
+		* @returns {promise returning object} - { status: "fulfilled", value } or { status: "rejected", reason }
+		*/
+		_settle( promise ) {
+			return promise.then(
+				value => ( { status: 'fulfilled', value: value } ),
+				reason => ( { status: 'rejected', reason: reason } )
+			);
+		}
+
+		/**
+		* Read a value from every connected brick and summarize it
+		* @param {function} read - receives the SBrick, returns a promise of a number
+		* @returns {promise returning object} - { bricks, min, max, average, minName, maxName }
+		*/
+		_summary( read ) {
+			let selected = this._select().filter( brick => brick.sbrick.isConnected() );
+			return this._each( selected, brick => read( brick.sbrick ) )
+			.then( results => {
+				let summary = { bricks: {}, min: null, max: null, average: null, minName: null, maxName: null };
+				let values = [];
+				Object.keys(results).forEach( name => {
+					let value = results[name].status === 'fulfilled' ? results[name].value : null;
+					summary.bricks[name] = value;
+					if( value === null ) {
+						return;
+					}
+					values.push( value );
+					if( summary.min === null || value < summary.min ) {
+						summary.min = value;
+						summary.minName = name;
+					}
+					if( summary.max === null || value > summary.max ) {
+						summary.max = value;
+						summary.maxName = name;
+					}
+				});
+				if( values.length ) {
+					summary.average = values.reduce( (a, b) => a + b, 0 ) / values.length;
+				}
+				return summary;
+			});
+		}
+
+		/**
+		* Keep the health of a brick up to date with its events
+		* @param {object} brick
+		*/
+		_track( brick ) {
+			let health = brick.health;
+			let on = ( type, listener ) => {
+				brick.listeners[type] = e => {
+					health.lastSeen = Date.now();
+					listener( e.detail );
+				};
+				brick.sbrick.addEventListener( type, brick.listeners[type] );
+			};
+			on( 'connect',        () => { brick.lost = false; } );
+			on( 'reconnected',    () => { brick.lost = false; } );
+			on( 'disconnect',     () => { brick.lost = false; } );
+			on( 'connectionlost', () => { brick.lost = true; } );
+			on( 'gaveup',         () => { brick.lost = true; } );
+			on( 'battery',        detail => { health.battery = detail.percentage; } );
+			on( 'temperature',    detail => { health.temperature = detail.celsius; } );
+			on( 'thermal',        () => { health.thermal = true; } );
+			on( 'portchange',     detail => {
+				if( detail.power > 0 ) {
+					health.thermal = false;
+				}
+			});
+			on( 'error',          detail => {
+				health.errors++;
+				health.lastError = detail.error;
+			});
+		}
+
+		/**
+		* Get the connection status of a brick
+		* @param {object} brick
+		* @returns {string}
+		*/
+		_status( brick ) {
+			if( brick.sbrick.isReconnecting() ) {
+				return RECONNECTING;
+			}
+			if( brick.sbrick.isConnected() ) {
+				return CONNECTED;
+			}
+			return brick.lost ? LOST : DISCONNECTED;
+		}
+
+	}
+
+	return SBrickFleet;
+
+})();
+
+if( typeof module !== 'undefined' && module.exports ) {
+	module.exports = SBrickFleet;
+}
@@ -0,0 +1,505 @@
+/*
+ * Copyright (c) 2016-17 Francesco Marino
+ *
+ * @author Francesco Marino <francesco@360fun.net>
+ * @website www.360fun.net
+ *
+ * Drive an SBrick with a gamepad (Gamepad API): the axes and the buttons are mapped to ports and actions,
+ * the ports are updated with a single quickDrive so multi-motor models stay in sync.
+ * Mappings are plain objects, they can be saved as JSON and loaded again.
+ * Requires sbrick-errors.js
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+let GamepadController = (function() {
+	'use strict';
+
+	const Errors = ( typeof SBrickErrors !== 'undefined' ) ? SBrickErrors : require('./sbrick-errors.js');
+
+	// Values limits
+	const MIN = 0;   // No Speed
+	const MAX = 255; // Max Speed
+	const PORTS_COUNT = 4;
+
+	// Direction
+	const CLOCKWISE        = 0x00;
+	const COUNTERCLOCKWISE = 0x01;
+
+	// Times in milliseconds
+	const T_POLL = 50; // Time between two readings of the gamepad
+
+	// Axis defaults
+	const DEAD_ZONE = 0.1;
+	const EXPO      = 0.5;
+
+	// Response curves: input 0-1, output 0-1
+	const CURVES = {
+		linear:    ( v ) => v,
+		quadratic: ( v ) => v * v,
+		cubic:     ( v ) => v * v * v,
+		expo:      ( v, expo ) => ( 1 - expo ) * v + expo * v * v * v // fine control around the center
+	};
+
+	// Button actions
+	const ACTIONS = [ 'drive', 'stop', 'stopAll', 'toggle', 'speed' ];
+
+	// Mapping presets for standard gamepads (left stick: axes 0-1, right stick: axes 2-3)
+	const PRESETS = {
+		// a motor on each side
+		tank: {
+			axes: [
+				{ axis: 1, portId: 0, invert: true },
+				{ axis: 3, portId: 1, invert: true }
+			],
+			buttons: [
+				{ button: 0, action: 'stopAll' },
+				{ button: 4, action: 'speed', scale: 0.5 },
+				{ button: 5, action: 'speed', scale: 1 }
+			]
+		},
+		// drive on the left stick, steering (e.g. a servo) on the right stick
+		car: {
+			axes: [
+				{ axis: 1, portId: 0, invert: true, curve: 'expo' },
+				{ axis: 2, portId: 1, curve: 'linear', deadZone: 0.05 }
+			],
+			buttons: [
+				{ button: 0, action: 'stopAll' },
+				{ button: 3, action: 'toggle', portId: 2, power: MAX }
+			]
+		}
+	};
+
+	// Controller class definition
+	class GamepadController {
+
+		// CONSTRUCTOR
+
+		/**
+		* Create a controller for an SBrick, call start() to begin reading the gamepad
+		* @param {SBrick} sbrick - The SBrick to drive
+		* @param {object} options - {mapping, index, intervalMs, source, presets}
+		*		mapping: {string|object} A preset name ("tank", "car") or a mapping, see setMapping() (default "tank")
+		*		presets: {object} Presets of this controller, by name (e.g. saved before with getPresets()), see savePreset()
+		*		index: {number} The gamepad to read, as in navigator.getGamepads() (default 0)
+		*		intervalMs: {number} Time between two readings (default 50)
+		*		source: {object} Where the gamepads are read: any object with a getGamepads() method (default navigator)
+		*/
+		constructor( sbrick, options = {} ) {
+			this.sbrick     = sbrick;
+			this.index      = options.index || 0;
+			this.intervalMs = options.intervalMs || T_POLL;
+			this.source     = options.source || ( typeof navigator !== 'undefined' ? navigator : null );
+			this.presets    = {};    // the presets saved by savePreset(), the built-in ones are shared and read only
+			Object.keys( options.presets || {} ).forEach( name => this._addPreset( name, options.presets[name] ) );
+
+			// status
+			this.mapping  = null;
+			this.scale    = 1;     // speed preset applied to the axes
+			this.toggles  = {};    // toggled ports by portId
+			this.latched  = {};    // stopped ports by portId, until their axes and buttons are released
+			this.pressed  = [];    // buttons pressed at the last reading
+			this.sent     = {};    // last values sent by portId: { direction, power }
+			this.loop     = null;
+			this._sending = null;  // the quickDrive in progress
+			this._pending = null;  // the values to send once it's done
+
+			this.setMapping( options.mapping || 'tank' );
+		}
+
+
+		// PUBLIC FUNCTIONS
+
+		/**
+		* Start reading the gamepad
+		*/
+		start() {
+			if( !this.source || typeof this.source.getGamepads !== 'function' ) {
+				throw new Errors.InvalidParameterError('Gamepad API not available: give a source with a getGamepads() method');
+			}
+			if( !this.loop ) {
+				this.loop = setInterval( () => this.poll(), this.intervalMs );
+			}
+		}
+
+		/**
+		* Stop reading the gamepad and stop the ports it was driving
+		* @returns {promise}
+		*/
+		stop() {
+			clearInterval( this.loop );
+			this.loop = null;
+			this.toggles = {};
+			return this._release();
+		}
+
+		/**
+		* Check if the gamepad is being read
+		* @returns {boolean}
+		*/
+		isRunning() {
+			return this.loop !== null;
+		}
+
+		/**
+		* Read the gamepad once and update the ports (called by the loop, useful to test a mapping)
+		* @returns {promise} - resolved when the values are sent
+		*/
+		poll() {
+			if( !this.sbrick.isConnected() ) {
+				// everything is sent again once connected
+				this.sent = {};
+				return Promise.resolve();
+			}
+			let gamepad = this._gamepad();
+			if( !gamepad ) {
+				// disconnected: never leave the motors running
+				this.pressed = [];
+				return this._release();
+			}
+			let pressed = gamepad.buttons.map( button => typeof button === 'object' ? button.pressed : button > 0.5 );
+			let actions = [];
+			this.mapping.buttons.forEach( binding => {
+				let now = !!pressed[binding.button];
+				let before = !!this.pressed[binding.button];
+				if( now && !before ) {
+					actions.push( this._press( binding ) );
+				}
+			});
+			this.pressed = pressed;
+			return Promise.all( actions )
+			.then( () => this._send( this._outputs( gamepad, pressed ) ) );
+		}
+
+		/**
+		* Use a mapping
+		* @param {string|object} mapping - A preset name, a mapping or its JSON: {axes, buttons}
+		*		axes: [ { axis, portId, invert, deadZone, curve, expo, maxPower }, ... ]
+		*			axis: {number} The index in gamepad.axes
+		*			portId: {number} The port driven, -1 is counterclockwise and 1 clockwise at maxPower
+		*			invert: {boolean} Swap the directions (default false)
+		*			deadZone: {number} Values closer to 0 are ignored, 0-1 (default 0.1)
+		*			curve: {string} "linear" (default), "quadratic", "cubic" or "expo"
+		*			expo: {number} How much "expo" softens the center, 0-1 (default 0.5)
+		*			maxPower: {number} The power at full stick, 0-255 (default 255)
+		*		buttons: [ { button, action, portId, power, direction, scale }, ... ]
+		*			button: {number} The index in gamepad.buttons
+		*			action: {string} "drive" (portId at power/direction while pressed), "stop" (portId), "stopAll",
+		*				"toggle" (portId at power/direction, on and off at every press) or "speed" (scale all the axes by scale, 0-1)
+		*/
+		setMapping( mapping ) {
+			if( typeof mapping === 'string' ) {
+				mapping = this._preset( mapping ) || JSON.parse( mapping );
+			}
+			if( !mapping || typeof mapping !== 'object' ) {
+				throw new Errors.InvalidParameterError('Wrong input: mapping must be a preset name, a mapping or its JSON');
+			}
+			let axes = ( mapping.axes || [] ).map( binding => this._checkAxis( binding ) );
+			let buttons = ( mapping.buttons || [] ).map( binding => this._checkButton( binding ) );
+			this.mapping = { axes: axes, buttons: buttons };
+			this.toggles = {};
+			this.latched = {};
+			this.scale = 1;
+		}
+
+		/**
+		* Get the mapping in use, ready for JSON.stringify()
+		* @returns {object} - {axes, buttons}
+		*/
+		getMapping() {
+			return JSON.parse( JSON.stringify( this.mapping ) );
+		}
+
+		/**
+		* Save the mapping in use as a preset of this controller
+		* @param {string} name - not the name of a built-in preset ("tank", "car")
+		*/
+		savePreset( name ) {
+			this._addPreset( name, this.getMapping() );
+		}
+
+		/**
+		* Use a saved or built-in preset
+		* @param {string} name
+		*/
+		loadPreset( name ) {
+			let preset = this._preset( name );
+			if( !preset ) {
+				throw new Errors.InvalidParameterError('Wrong input: unknown preset "' + name + '"');
+			}
+			this.setMapping( preset );
+		}
+
+		/**
+		* Get the presets saved in this controller, ready for JSON.stringify()
+		* @returns {object} - { name: mapping }
+		*/
+		getPresets() {
+			return JSON.parse( JSON.stringify( this.presets ) );
+		}
+
+
+		// PRIVATE FUNCTIONS
+
+		/**
+		* Add a preset of this controller
+		* @param {string} name
+		* @param {object} mapping
+		*/
+		_addPreset( name, mapping ) {
+			if( typeof name !== 'string' || name === '' ) {
+				throw new Errors.InvalidParameterError('Wrong input: a preset needs a name');
+			}
+			if( PRESETS[name] ) {
+				throw new Errors.InvalidParameterError('Wrong input: "' + name + '" is a built-in preset');
+			}
+			this.presets[name] = JSON.parse( JSON.stringify( mapping ) );
+		}
+
+		/**
+		* Find a preset, built-in or of this controller
+		* @param {string} name
+		* @returns {object|undefined}
+		*/
+		_preset( name ) {
+			return PRESETS[name] || this.presets[name];
+		}
+
+		/**
+		* Get the gamepad, if connected
+		* @returns {object|null}
+		*/
+		_gamepad() {
+			let gamepads = this.source.getGamepads() || [];
+			let gamepad = gamepads[this.index];
+			return gamepad && gamepad.connected !== false ? gamepad : null;
+		}
+
+		/**
+		* Validate an axis binding and fill the defaults
+		* @param {object} binding
+		* @returns {object}
+		*/
+		_checkAxis( binding ) {
+			let axis = Object.assign( { invert: false, deadZone: DEAD_ZONE, curve: 'linear', expo: EXPO, maxPower: MAX }, binding );
+			if( !Number.isInteger(axis.axis) || axis.axis < 0 ) {
+				throw new Errors.InvalidParameterError('Wrong input: axis must be the index of a gamepad axis');
+			}
+			this._checkPort( axis.portId );
+			if( !CURVES[axis.curve] ) {
+				throw new Errors.InvalidParameterError('Wrong input: curve must be one of ' + Object.keys(CURVES).join(', '), { portId: axis.portId });
+			}
+			if( !( axis.deadZone >= 0 && axis.deadZone < 1 ) || !( axis.expo >= 0 && axis.expo <= 1 ) || !( axis.maxPower >= MIN && axis.maxPower <= MAX ) ) {
+				throw new Errors.InvalidParameterError('Wrong input: deadZone must be 0-1 (excluded), expo 0-1 and maxPower ' + MIN + '-' + MAX, { portId: axis.portId });
+			}
+			return axis;
+		}
+
+		/**
+		* Validate a button binding
+		* @param {object} binding
+		* @returns {object}
+		*/
+		_checkButton( binding ) {
+			let button = Object.assign( {}, binding );
+			if( !Number.isInteger(button.button) || button.button < 0 ) {
+				throw new Errors.InvalidParameterError('Wrong input: button must be the index of a gamepad button');
+			}
+			if( ACTIONS.indexOf(button.action) === -1 ) {
+				throw new Errors.InvalidParameterError('Wrong input: action must be one of ' + ACTIONS.join(', '));
+			}
+			if( button.action === 'drive' || button.action === 'stop' || button.action === 'toggle' ) {
+				this._checkPort( button.portId );
+			}
+			if( button.action === 'drive' || button.action === 'toggle' ) {
+				button.power = button.power === undefined ? MAX : button.power;
+				button.direction = button.direction ? COUNTERCLOCKWISE : CLOCKWISE;
+			}
+			if( button.action === 'speed' && !( button.scale >= 0 && button.scale <= 1 ) ) {
+				throw new Errors.InvalidParameterError('Wrong input: the scale of a speed button must be 0-1');
+			}
+			return button;
+		}
+
+		/**
+		* Validate a port id
+		* @param {number} portId
+		*/
+		_checkPort( portId ) {
+			if( !Number.isInteger(portId) || portId < 0 || portId >= PORTS_COUNT ) {
+				throw new Errors.InvalidParameterError('Wrong input: unknown port', { portId: portId });
+			}
+		}
+
+		/**
+		* Run the action of a button just pressed
+		* @param {object} binding
+		* @returns {promise}
+		*/
+		_press( binding ) {
+			switch( binding.action ) {
+				case 'stop':
+					delete this.toggles[binding.portId];
+					this.latched[binding.portId] = true;
+					this.sent[binding.portId] = { direction: CLOCKWISE, power: MIN };
+					return this.sbrick.stop( binding.portId ).catch( () => {} );
+				case 'stopAll':
+					this.toggles = {};
+					for( let portId = 0; portId < PORTS_COUNT; portId++ ) {
+						this.latched[portId] = true;
+					}
+					Object.keys(this.sent).forEach( portId => { this.sent[portId] = { direction: CLOCKWISE, power: MIN }; } );
+					return this.sbrick.stopAll().catch( () => {} );
+				case 'drive':
+					// pressed on purpose: no more stopped
+					delete this.latched[binding.portId];
+					break;
+				case 'toggle':
+					delete this.latched[binding.portId];
+					if( this.toggles[binding.portId] ) {
+						delete this.toggles[binding.portId];
+					} else {
+						this.toggles[binding.portId] = binding;
+					}
+					break;
+				case 'speed':
+					this.scale = binding.scale;
+					break;
+			}
+			return Promise.resolve();
+		}
+
+		/**
+		* Compute the value of every mapped port: held buttons win over toggles, toggles over axes,
+		* stopped ports stay at 0 until released
+		* @param {object} gamepad
+		* @param {array} pressed
+		* @returns {object} - { portId: { direction, power } }
+		*/
+		_outputs( gamepad, pressed ) {
+			let outputs = {};
+			this.mapping.axes.forEach( binding => {
+				let value = this._axisValue( binding, gamepad.axes[binding.axis] || 0 );
+				let current = outputs[binding.portId];
+				// several axes on a port: the strongest wins
+				if( !current || Math.abs(value) > current.value ) {
+					outputs[binding.portId] = {
+						value: Math.abs(value),
+						direction: value < 0 ? COUNTERCLOCKWISE : CLOCKWISE,
+						power: Math.round( Math.abs(value) * binding.maxPower * this.scale )
+					};
+				}
+			});
+			Object.keys(this.toggles).forEach( portId => {
+				let binding = this.toggles[portId];
+				outputs[portId] = { direction: binding.direction, power: binding.power };
+			});
+			this.mapping.buttons.forEach( binding => {
+				if( binding.action === 'drive' && pressed[binding.button] ) {
+					outputs[binding.portId] = { direction: binding.direction, power: binding.power };
+				} else if( ( binding.action === 'drive' || binding.action === 'toggle' ) && !outputs[binding.portId] ) {
+					outputs[binding.portId] = { direction: CLOCKWISE, power: MIN };
+				}
+			});
+			Object.keys(outputs).forEach( portId => {
+				let output = outputs[portId];
+				if( this.latched[portId] ) {
+					if( output.power > MIN ) {
+						output = { direction: CLOCKWISE, power: MIN };
+					} else {
+						delete this.latched[portId];
+					}
+				}
+				outputs[portId] = { direction: output.direction, power: output.power };
+			});
+			return outputs;
+		}
+
+		/**
+		* Apply dead zone, curve and inversion to an axis value
+		* @param {object} binding
+		* @param {number} raw - -1 to 1
+		* @returns {number} - -1 to 1
+		*/
+		_axisValue( binding, raw ) {
+			let magnitude = Math.min( Math.abs(raw), 1 );
+			if( magnitude <= binding.deadZone ) {
+				return 0;
+			}
+			magnitude = ( magnitude - binding.deadZone ) / ( 1 - binding.deadZone );
+			magnitude = CURVES[binding.curve]( magnitude, binding.expo );
+			let sign = ( raw < 0 ) !== binding.invert ? -1 : 1;
+			return sign * magnitude;
+		}
+
+		/**
+		* Send the ports that changed with a single quickDrive, one at a time: while a quickDrive is
+		* in progress only the latest values are kept
+		* @param {object} outputs - { portId: { direction, power } }
+		* @returns {promise}
+		*/
+		_send( outputs ) {
+			let changed = Object.keys(outputs).filter( portId => {
+				let sent = this.sent[portId];
+				return !sent || sent.power !== outputs[portId].power || ( outputs[portId].power > MIN && sent.direction !== outputs[portId].direction );
+			});
+			if( !changed.length ) {
+				return this._sending || Promise.resolve();
+			}
+			if( this._sending ) {
+				this._pending = Object.assign( this._pending || {}, outputs );
+				return this._sending;
+			}
+			changed.forEach( portId => { this.sent[portId] = outputs[portId]; } );
+			this._sending = this.sbrick.quickDrive( changed.map( portId => ( {
+				portId: parseInt(portId),
+				direction: outputs[portId].direction,
+				power: outputs[portId].power
+			} ) ) )
+			.catch( () => {
+				// already reported by the SBrick (error event): send everything again at the next reading
+				this.sent = {};
+			})
+			.then( () => {
+				this._sending = null;
+				let pending = this._pending;
+				this._pending = null;
+				if( pending ) {
+					return this._send( pending );
+				}
+			});
+			return this._sending;
+		}
+
+		/**
+		* Stop the ports driven by the gamepad
+		* @returns {promise}
+		*/
+		_release() {
+			let outputs = {};
+			Object.keys(this.sent).forEach( portId => {
+				outputs[portId] = { direction: CLOCKWISE, power: MIN };
+			});
+			return this._send( outputs );
+		}
+
+	}
+
+	// the built-in presets can't be changed
+	Object.keys(PRESETS).forEach( name => {
+		PRESETS[name].axes.forEach( Object.freeze );
+		PRESETS[name].buttons.forEach( Object.freeze );
+		Object.freeze( PRESETS[name].axes );
+		Object.freeze( PRESETS[name].buttons );
+		Object.freeze( PRESETS[name] );
+	});
+	GamepadController.PRESETS = Object.freeze( PRESETS );
+
+	return GamepadController;
+
+})();
+
+if( typeof module !== 'undefined' && module.exports ) {
+	module.exports = GamepadController;
+}
@@ -0,0 +1,694 @@
+/*
+ * Copyright (c) 2016-17 Francesco Marino
+ *
+ * @author Francesco Marino <francesco@360fun.net>
+ * @website www.360fun.net
+ *
+ * Pure encoder / decoder of the SBrick Protocol 17 commands and replies
+ * (Remote Control, Quick Drive and OTA characteristics), without any Bluetooth code:
+ * use it to test the wire format, in tools like a packet sniffer or in the simulator.
+ * https://social.sbrick.com/wiki/view/pageId/11/slug/the-sbrick-ble-protocol
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+let SBrickProtocol = (function() {
+	'use strict';
+
+	// Exceptions
+	const ERROR_LENGTH  = 0x80; // Invalid command length
+	const ERROR_PARAM   = 0x81; // Invalid parameter
+	const ERROR_COMMAND = 0x82; // No such command
+	const ERROR_NOAUTH  = 0x83; // No authentication needed
+	const ERROR_AUTH    = 0x84; // Authentication error
+	const ERROR_DOAUTH  = 0x85; // Authentication needed
+	const ERROR_AUTHOR  = 0x86; // Authorization error
+	const ERROR_THERMAL = 0x87; // Thermal protection is active
+	const ERROR_STATE   = 0x88; // The system is in a state where the command does not make sense
+
+	const ERRORS = {
+		[ERROR_LENGTH]  : { name: "ERROR_LENGTH",  message: "Invalid command length" },
+		[ERROR_PARAM]   : { name: "ERROR_PARAM",   message: "Invalid parameter" },
+		[ERROR_COMMAND] : { name: "ERROR_COMMAND", message: "No such command" },
+		[ERROR_NOAUTH]  : { name: "ERROR_NOAUTH",  message: "No authentication needed" },
+		[ERROR_AUTH]    : { name: "ERROR_AUTH",    message: "Authentication error" },
+		[ERROR_DOAUTH]  : { name: "ERROR_DOAUTH",  message: "Authentication needed" },
+		[ERROR_AUTHOR]  : { name: "ERROR_AUTHOR",  message: "Authorization error" },
+		[ERROR_THERMAL] : { name: "ERROR_THERMAL", message: "Thermal protection is active" },
+		[ERROR_STATE]   : { name: "ERROR_STATE",   message: "The system is in a state where the command does not make sense" }
+	};
+
+	// Commands
+	const CMD_BREAK                 = 0x00; // Stop command
+	const CMD_DRIVE                 = 0x01; // Drive command
+	const CMD_RESET                 = 0x02; // Reset the device
+	const CMD_GET_CHANNEL_STATUS_OLD = 0x03; // Get channel status (old version of 0x1E, brake and direction bits only)
+	const CMD_AUTHENTICATE          = 0x04; // Authenticate as owner or guest
+	const CMD_IS_AUTHENTICATED      = 0x05; // Is the given user authenticated
+	const CMD_GET_USER_ID           = 0x06; // Which user is authenticated
+	const CMD_SET_PASSWORD          = 0x07; // Set (or clear, with an empty password) a password
+	const CMD_SET_AUTH_TIMEOUT      = 0x08; // Set authentication timeout
+	const CMD_GET_AUTH_TIMEOUT      = 0x09; // Get authentication timeout
+	const CMD_GET_BRICK_ID          = 0x0A; // Get the brick ID (Bluetooth address)
+	const CMD_QUICKDRIVE_SETUP      = 0x0B; // Set the channels of the Quick Drive bytes
+	const CMD_READ_QUICKDRIVE_SETUP = 0x0C; // Get the channels of the Quick Drive bytes
+	const CMD_SET_WATCHDOG          = 0x0D; // Set watchdog timeout
+	const CMD_GET_WATCHDOG          = 0x0E; // Get watchdog timeout
+	const CMD_ADC                   = 0x0F; // Query ADC
+	const CMD_SEND_EVENT            = 0x10; // Send event
+	const CMD_ERASE_USER_FLASH      = 0x11; // Erase user flash on next reboot
+	const CMD_REBOOT                = 0x12; // Reboot
+	const CMD_BREAK_PWM             = 0x13; // Brake with PWM support
+	const CMD_SET_THERMAL_LIMIT     = 0x14; // Set thermal limit
+	const CMD_GET_THERMAL_LIMIT     = 0x15; // Get thermal limit
+	const CMD_WRITE_PROGRAM         = 0x16; // Write program
+	const CMD_READ_PROGRAM          = 0x17; // Read program
+	const CMD_SAVE_PROGRAM          = 0x18; // Save program
+	const CMD_START_PROGRAM         = 0x19; // Start program
+	const CMD_STOP_PROGRAM          = 0x1A; // Stop program
+	const CMD_SET_PWM_COUNTER       = 0x1B; // Set PWM counter value
+	const CMD_GET_PWM_COUNTER       = 0x1C; // Get PWM counter value
+	const CMD_SAVE_PWM_COUNTER      = 0x1D; // Save PWM counter value
+	const CMD_GET_CHANNEL_STATUS    = 0x1E; // Get channel status
+	const CMD_IS_GUEST_PASSWORD_SET = 0x1F; // Is guest password set
+	const CMD_SET_CONNECTION_PARAMS = 0x20; // Set connection parameters
+	const CMD_GET_CONNECTION_PARAMS = 0x21; // Get connection parameters
+	const CMD_SET_RELEASE_ON_RESET  = 0x22; // Set release on reset
+	const CMD_GET_RELEASE_ON_RESET  = 0x23; // Get release on reset
+	const CMD_GET_POWER_CYCLES      = 0x24; // Read power cycle counter
+	const CMD_GET_UPTIME            = 0x25; // Read uptime counter
+	const CMD_SET_DEVICE_NAME       = 0x26; // Set device name
+	const CMD_GET_DEVICE_NAME       = 0x27; // Get device name
+	const CMD_SET_TX_POWER          = 0x28; // Set the BLE transmit power
+	const CMD_GET_TX_POWER          = 0x29; // Get the BLE transmit power
+	const CMD_SET_PWM_FREQUENCY     = 0x2A; // Set the PWM frequency of the outputs
+	const CMD_GET_PWM_FREQUENCY     = 0x2B; // Get the PWM frequency of the outputs
+	const CMD_PVM                   = 0x2C; // Periodic Voltage Measurements
+	const CMD_PVM_VALUES            = 0x2D; // Periodic Voltage Measurements values, as notified by the SBrick
+
+	// OTA control commands
+	const OTA_BEGIN = 0x00; // Erase the flash and start receiving the image on the OTA data characteristic
+	const OTA_END   = 0x03; // Image complete: verify it and boot the new firmware
+	const OTA_CLOSE = 0x04; // Abort the update and close the connection
+
+	// ADC channels
+	const CHANNEL_VOLT = 0x08; // Battery voltage
+	const CHANNEL_TEMP = 0x09; // Chip temperature
+
+	// Users
+	const OWNER = 0x00;
+	const GUEST = 0x01;
+
+	// Values limits
+	const MAX          = 255; // Max Speed
+	const MAX_QD       = 127; // Max Speed for QuickDrive
+	const PASSWORD_LEN = 8;   // Password length in bytes
+	const T_UNIT       = 100; // Time unit of timeouts in milliseconds
+	const PORTS_COUNT  = 4;
+
+
+	// PARAMETERS HELPERS
+
+	/**
+	* Read an 8 bytes password (string or array of bytes), padded with zeros
+	* @param {string|array} password
+	* @returns {array}
+	*/
+	function passwordBytes( password ) {
+		let bytes = new Array(PASSWORD_LEN).fill(0);
+		if( typeof password === 'string' ) {
+			password = stringBytes(password);
+		}
+		Array.from( password || [] ).slice(0, PASSWORD_LEN).forEach( (byte, i) => {
+			bytes[i] = byte & 0xFF;
+		});
+		return bytes;
+	}
+
+	/**
+	* Convert a string to an array of char codes
+	* @param {string} str
+	* @returns {array}
+	*/
+	function stringBytes( str ) {
+		let bytes = [];
+		for( let i = 0; i < str.length; i++ ) {
+			bytes.push( str.charCodeAt(i) & 0xFF );
+		}
+		return bytes;
+	}
+
+	/**
+	* Convert a DataView (or array of bytes) to a string, stopping at the first zero
+	* @param {DataView|array} data
+	* @returns {string}
+	*/
+	function decodeString( data ) {
+		let bytes = toBytes(data);
+		let str = "";
+		for( let i = 0; i < bytes.length && bytes[i] !== 0; i++ ) {
+			str += String.fromCharCode(bytes[i]);
+		}
+		return str;
+	}
+
+	/**
+	* Convert a DataView, an ArrayBuffer or a typed array to an array of bytes
+	* @param {DataView|ArrayBuffer|array} data
+	* @returns {array}
+	*/
+	function toBytes( data ) {
+		if( data instanceof DataView ) {
+			return Array.from( new Uint8Array( data.buffer, data.byteOffset, data.byteLength ) );
+		}
+		if( data instanceof ArrayBuffer ) {
+			return Array.from( new Uint8Array(data) );
+		}
+		return Array.from( data || [] );
+	}
+
+	/**
+	* Convert a timeout in milliseconds to the protocol unit (0.1 seconds, 1 byte)
+	* @param {number} ms
+	* @returns {number}
+	*/
+	function timeoutByte( ms ) {
+		return Math.min( Math.max( Math.round( ms / T_UNIT ), 0 ), 0xFF );
+	}
+
+	/**
+	* Little endian unsigned integer of the given size from an array of bytes
+	* @param {array} bytes
+	* @param {number} offset
+	* @param {number} size - in bytes
+	* @returns {number}
+	*/
+	function readUint( bytes, offset, size ) {
+		let value = 0;
+		for( let i = size - 1; i >= 0; i-- ) {
+			value = value * 256 + ( bytes[offset + i] || 0 );
+		}
+		return value;
+	}
+
+	/**
+	* Little endian unsigned integer of the given size as an array of bytes
+	* @param {number} value
+	* @param {number} size - in bytes
+	* @returns {array}
+	*/
+	function writeUint( value, size ) {
+		let bytes = [];
+		for( let i = 0; i < size; i++ ) {
+			bytes.push( Math.floor( value / Math.pow( 256, i ) ) & 0xFF );
+		}
+		return bytes;
+	}
+
+	/**
+	* Decode ADC measures: 16 bits each, the 12 bit value in the high bits
+	* @param {array} bytes
+	* @param {function} channelOf - receives the index and the raw measure, returns the channel
+	* @returns {array} - [{channel, raw, value, volt|celsius}, ...]
+	*/
+	function adcValues( bytes, channelOf ) {
+		let values = [];
+		for( let i = 0; i + 1 < bytes.length; i += 2 ) {
+			let raw   = readUint( bytes, i, 2 );
+			let value = { channel: channelOf( i/2, raw ), raw: raw, value: raw >> 4 };
+			if( value.channel === CHANNEL_VOLT ) {
+				value.volt = rawToVolt(raw);
+			} else if( value.channel === CHANNEL_TEMP ) {
+				value.celsius = rawToCelsius(raw);
+			}
+			values.push(value);
+		}
+		return values;
+	}
+
+	/**
+	* Decode the status of the channels: brake bits, direction bits, then the power of every port
+	* @param {array} bytes
+	* @returns {array} - [{portId, brake, direction, power}, ...]
+	*/
+	function channelStatus( bytes ) {
+		let ports = [];
+		for( let portId = 0; portId < PORTS_COUNT; portId++ ) {
+			let port = {
+				portId:    portId,
+				brake:     ( ( bytes[0] >> portId ) & 0x01 ) === 0x01,
+				direction: ( bytes[1] >> portId ) & 0x01
+			};
+			if( bytes.length > 2 ) {
+				port.power = bytes[2 + portId] || 0;
+			}
+			ports.push( port );
+		}
+		return ports;
+	}
+
+	/**
+	* Convert a raw ADC measure to Volts
+	* @param {number} raw - the 16 bit ADC value
+	* @returns {number}
+	*/
+	function rawToVolt( raw ) {
+		return parseFloat( raw * 0.83875 / 2047.0 );
+	}
+
+	/**
+	* Convert Volts to a raw ADC measure
+	* @param {number} volt
+	* @returns {number}
+	*/
+	function voltToRaw( volt ) {
+		return Math.round( volt * 2047.0 / 0.83875 );
+	}
+
+	/**
+	* Convert a raw ADC measure to degrees Celsius
+	* @param {number} raw - the 16 bit ADC value
+	* @returns {number}
+	*/
+	function rawToCelsius( raw ) {
+		return parseFloat( raw / 118.85795 - 160 );
+	}
+
+	/**
+	* Convert degrees Celsius to a raw ADC measure
+	* @param {number} celsius
+	* @returns {number}
+	*/
+	function celsiusToRaw( celsius ) {
+		return Math.round( ( celsius + 160 ) * 118.85795 );
+	}
+
+
+	/**
+	* CRC-32 (IEEE 802.3) checksum, used to verify firmware images
+	* @param {ArrayBuffer|Uint8Array|array} data
+	* @returns {number} - unsigned 32 bit checksum
+	*/
+	function crc32( data ) {
+		let bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+		let crc = 0xFFFFFFFF;
+		for( let i = 0; i < bytes.length; i++ ) {
+			crc ^= bytes[i];
+			for( let bit = 0; bit < 8; bit++ ) {
+				crc = ( crc >>> 1 ) ^ ( 0xEDB88320 & -( crc & 1 ) );
+			}
+		}
+		return ( crc ^ 0xFFFFFFFF ) >>> 0;
+	}
+
+
+	// COMMANDS DEFINITION
+	// encode: params object -> array of bytes (without the command code)
+	// decode: array of bytes (without the command code) -> params object
+	// reply:  array of bytes read after the command -> typed reply object
+
+	const COMMANDS = {
+		[CMD_BREAK] : {
+			name   : "BREAK",
+			encode : params => params.portIds.slice(),
+			decode : bytes => ( { portIds: bytes } )
+		},
+		[CMD_DRIVE] : {
+			name   : "DRIVE",
+			encode : params => {
+				let bytes = [];
+				params.ports.forEach( port => {
+					bytes.push( port.portId, port.direction ? 0x01 : 0x00, Math.min( Math.max( parseInt(port.power) || 0, 0 ), MAX ) );
+				});
+				return bytes;
+			},
+			decode : bytes => {
+				let ports = [];
+				for( let i = 0; i + 2 < bytes.length; i += 3 ) {
+					ports.push( { portId: bytes[i], direction: bytes[i+1], power: bytes[i+2] } );
+				}
+				return { ports: ports };
+			}
+		},
+		[CMD_RESET] : {
+			name   : "RESET"
+		},
+		[CMD_GET_CHANNEL_STATUS_OLD] : {
+			name   : "GET_CHANNEL_STATUS_OLD",
+			reply  : bytes => ( { type: "channelStatus", ports: channelStatus( bytes.slice(0, 2) ) } )
+		},
+		[CMD_AUTHENTICATE] : {
+			name   : "AUTHENTICATE",
+			encode : params => [ params.user ].concat( passwordBytes(params.password) ),
+			decode : bytes => ( { user: bytes[0], password: bytes.slice(1) } )
+		},
+		[CMD_IS_AUTHENTICATED] : {
+			name   : "IS_AUTHENTICATED",
+			encode : params => [ params.user ],
+			decode : bytes => ( { user: bytes[0] } ),
+			reply  : bytes => ( { type: "authenticated", authenticated: bytes[0] === 0x01 } )
+		},
+		[CMD_GET_USER_ID] : {
+			name   : "GET_USER_ID",
+			reply  : bytes => ( { type: "user", user: bytes[0] } )
+		},
+		[CMD_SET_PASSWORD] : {
+			name   : "SET_PASSWORD",
+			encode : params => [ params.user ].concat( passwordBytes(params.password) ),
+			decode : bytes => ( { user: bytes[0], password: bytes.slice(1) } )
+		},
+		[CMD_SET_AUTH_TIMEOUT] : {
+			name   : "SET_AUTH_TIMEOUT",
+			encode : params => [ timeoutByte(params.timeout) ],
+			decode : bytes => ( { timeout: bytes[0] * T_UNIT } )
+		},
+		[CMD_GET_AUTH_TIMEOUT] : {
+			name   : "GET_AUTH_TIMEOUT",
+			reply  : bytes => ( { type: "authTimeout", timeout: bytes[0] * T_UNIT } )
+		},
+		[CMD_GET_BRICK_ID] : {
+			name   : "GET_BRICK_ID",
+			reply  : bytes => ( {
+				type: "brickId",
+				brickId: bytes.map( byte => ( "0" + byte.toString(16) ).slice(-2) ).join(":").toUpperCase()
+			} )
+		},
+		[CMD_QUICKDRIVE_SETUP] : {
+			name   : "QUICKDRIVE_SETUP",
+			encode : params => params.channels.slice(),
+			decode : bytes => ( { channels: bytes } )
+		},
+		[CMD_READ_QUICKDRIVE_SETUP] : {
+			name   : "READ_QUICKDRIVE_SETUP",
+			reply  : bytes => ( { type: "quickDriveSetup", channels: bytes } )
+		},
+		[CMD_SET_WATCHDOG] : {
+			name   : "SET_WATCHDOG",
+			encode : params => [ timeoutByte(params.timeout) ],
+			decode : bytes => ( { timeout: bytes[0] * T_UNIT } )
+		},
+		[CMD_GET_WATCHDOG] : {
+			name   : "GET_WATCHDOG",
+			reply  : bytes => ( { type: "watchdog", timeout: bytes[0] * T_UNIT } )
+		},
+		[CMD_ADC] : {
+			name   : "ADC",
+			encode : params => params.channels.slice(),
+			decode : bytes => ( { channels: bytes } ),
+			reply  : ( bytes, params ) => {
+				let channels = params ? params.channels : [];
+				return { type: "adc", values: adcValues( bytes, i => channels[i] ) };
+			}
+		},
+		[CMD_SEND_EVENT] : {
+			name   : "SEND_EVENT",
+			encode : params => [ params.eventId ],
+			decode : bytes => ( { eventId: bytes[0] } )
+		},
+		[CMD_ERASE_USER_FLASH] : {
+			name   : "ERASE_USER_FLASH"
+		},
+		[CMD_REBOOT] : {
+			name   : "REBOOT"
+		},
+		[CMD_BREAK_PWM] : {
+			name   : "BREAK_PWM",
+			encode : params => {
+				let bytes = [];
+				params.ports.forEach( port => {
+					bytes.push( port.portId, Math.min( Math.max( parseInt(port.power) || 0, 0 ), MAX ) );
+				});
+				return bytes;
+			},
+			decode : bytes => {
+				let ports = [];
+				for( let i = 0; i + 1 < bytes.length; i += 2 ) {
+					ports.push( { portId: bytes[i], power: bytes[i+1] } );
+				}
+				return { ports: ports };
+			}
+		},
+		[CMD_SET_THERMAL_LIMIT] : {
+			name   : "SET_THERMAL_LIMIT",
+			encode : params => {
+				let raw = celsiusToRaw(params.celsius);
+				return [ raw & 0xFF, ( raw >> 8 ) & 0xFF ];
+			},
+			decode : bytes => ( { celsius: rawToCelsius( readUint(bytes, 0, 2) ) } )
+		},
+		[CMD_GET_THERMAL_LIMIT] : {
+			name   : "GET_THERMAL_LIMIT",
+			reply  : bytes => ( { type: "thermalLimit", celsius: rawToCelsius( readUint(bytes, 0, 2) ) } )
+		},
+		[CMD_WRITE_PROGRAM] : {
+			name   : "WRITE_PROGRAM",
+			encode : params => writeUint( params.offset, 2 ).concat( Array.from(params.bytes) ),
+			decode : bytes => ( { offset: readUint(bytes, 0, 2), bytes: bytes.slice(2) } )
+		},
+		[CMD_READ_PROGRAM] : {
+			name   : "READ_PROGRAM",
+			encode : params => writeUint( params.offset, 2 ).concat( [ params.length ] ),
+			decode : bytes => ( { offset: readUint(bytes, 0, 2), length: bytes[2] } ),
+			reply  : bytes => ( { type: "program", bytes: bytes } )
+		},
+		[CMD_SAVE_PROGRAM] : {
+			name   : "SAVE_PROGRAM"
+		},
+		[CMD_START_PROGRAM] : {
+			name   : "START_PROGRAM"
+		},
+		[CMD_STOP_PROGRAM] : {
+			name   : "STOP_PROGRAM"
+		},
+		[CMD_SET_PWM_COUNTER] : {
+			name   : "SET_PWM_COUNTER",
+			encode : params => writeUint( params.value, 2 ),
+			decode : bytes => ( { value: readUint(bytes, 0, 2) } )
+		},
+		[CMD_GET_PWM_COUNTER] : {
+			name   : "GET_PWM_COUNTER",
+			reply  : bytes => ( { type: "pwmCounter", value: readUint(bytes, 0, 2) } )
+		},
+		[CMD_SAVE_PWM_COUNTER] : {
+			name   : "SAVE_PWM_COUNTER"
+		},
+		[CMD_GET_CHANNEL_STATUS] : {
+			name   : "GET_CHANNEL_STATUS",
+			reply  : bytes => ( { type: "channelStatus", ports: channelStatus(bytes) } )
+		},
+		[CMD_IS_GUEST_PASSWORD_SET] : {
+			name   : "IS_GUEST_PASSWORD_SET",
+			reply  : bytes => ( { type: "guestPassword", set: bytes[0] === 0x01 } )
+		},
+		[CMD_SET_CONNECTION_PARAMS] : {
+			name   : "SET_CONNECTION_PARAMS",
+			// intervals in units of 1.25 ms, supervision timeout in units of 10 ms
+			encode : params => [].concat(
+				writeUint( params.minInterval, 2 ), writeUint( params.maxInterval, 2 ),
+				writeUint( params.latency, 2 ), writeUint( params.timeout, 2 )
+			),
+			decode : bytes => ( {
+				minInterval: readUint(bytes, 0, 2), maxInterval: readUint(bytes, 2, 2),
+				latency:     readUint(bytes, 4, 2), timeout:     readUint(bytes, 6, 2)
+			} )
+		},
+		[CMD_GET_CONNECTION_PARAMS] : {
+			name   : "GET_CONNECTION_PARAMS",
+			reply  : bytes => ( {
+				type: "connectionParams",
+				minInterval: readUint(bytes, 0, 2), maxInterval: readUint(bytes, 2, 2),
+				latency:     readUint(bytes, 4, 2), timeout:     readUint(bytes, 6, 2)
+			} )
+		},
+		[CMD_SET_RELEASE_ON_RESET] : {
+			name   : "SET_RELEASE_ON_RESET",
+			encode : params => [ params.release ? 0x01 : 0x00 ],
+			decode : bytes => ( { release: bytes[0] === 0x01 } )
+		},
+		[CMD_GET_RELEASE_ON_RESET] : {
+			name   : "GET_RELEASE_ON_RESET",
+			reply  : bytes => ( { type: "releaseOnReset", release: bytes[0] === 0x01 } )
+		},
+		[CMD_GET_POWER_CYCLES] : {
+			name   : "GET_POWER_CYCLES",
+			reply  : bytes => ( { type: "powerCycles", count: readUint(bytes, 0, 4) } )
+		},
+		[CMD_GET_UPTIME] : {
+			name   : "GET_UPTIME",
+			reply  : bytes => ( { type: "uptime", uptime: readUint(bytes, 0, 4) * T_UNIT } )
+		},
+		[CMD_SET_DEVICE_NAME] : {
+			name   : "SET_DEVICE_NAME",
+			encode : params => stringBytes(params.name),
+			decode : bytes => ( { name: decodeString(bytes) } )
+		},
+		[CMD_GET_DEVICE_NAME] : {
+			name   : "GET_DEVICE_NAME",
+			reply  : bytes => ( { type: "deviceName", name: decodeString(bytes) } )
+		},
+		[CMD_SET_TX_POWER] : {
+			name   : "SET_TX_POWER",
+			encode : params => [ params.dbm & 0xFF ],
+			decode : bytes => ( { dbm: bytes[0] << 24 >> 24 } ) // signed
+		},
+		[CMD_GET_TX_POWER] : {
+			name   : "GET_TX_POWER",
+			reply  : bytes => ( { type: "txPower", dbm: bytes[0] << 24 >> 24 } )
+		},
+		[CMD_SET_PWM_FREQUENCY] : {
+			name   : "SET_PWM_FREQUENCY",
+			encode : params => writeUint( params.hz, 2 ),
+			decode : bytes => ( { hz: readUint(bytes, 0, 2) } )
+		},
+		[CMD_GET_PWM_FREQUENCY] : {
+			name   : "GET_PWM_FREQUENCY",
+			reply  : bytes => ( { type: "pwmFrequency", hz: readUint(bytes, 0, 2) } )
+		},
+		[CMD_PVM] : {
+			name   : "PVM",
+			encode : params => params.channels.slice(),
+			decode : bytes => ( { channels: bytes } )
+		},
+		[CMD_PVM_VALUES] : {
+			name   : "PVM_VALUES",
+			// every measure carries its channel in the low 4 bits
+			encode : params => params.values.reduce( (bytes, value) => bytes.concat( writeUint( ( value.value << 4 ) | ( value.channel & 0x0F ), 2 ) ), [] ),
+			decode : bytes => ( { values: adcValues( bytes, (i, raw) => raw & 0x0F ) } ),
+			reply  : bytes => ( { type: "pvm", values: adcValues( bytes, (i, raw) => raw & 0x0F ) } )
+		}
+	};
+
+
+	// PUBLIC FUNCTIONS
+
+	/**
+	* Encode a Remote Control command
+	* @param {hexadecimal number} command - one of the CMD_* constants
+	* @param {object} params - command parameters, see COMMANDS (e.g. { ports: [{portId, direction, power}] } for CMD_DRIVE)
+	* @returns {Uint8Array}
+	*/
+	function encode( command, params = {} ) {
+		let definition = COMMANDS[command];
+		if( !definition ) {
+			throw new Error( "Unknown command 0x" + Number(command).toString(16) );
+		}
+		let bytes = definition.encode ? definition.encode(params) : [];
+		return new Uint8Array( [ command ].concat(bytes) );
+	}
+
+	/**
+	* Decode a Remote Control command, the opposite of encode()
+	* @param {Uint8Array|DataView|array} data
+	* @returns {object} - { command, name, params }, name is undefined for unknown commands
+	*/
+	function decode( data ) {
+		let bytes = toBytes(data);
+		let command = bytes[0];
+		let definition = COMMANDS[command];
+		if( !definition ) {
+			return { command: command, name: undefined, params: { bytes: bytes.slice(1) } };
+		}
+		return {
+			command: command,
+			name:    definition.name,
+			params:  definition.decode ? definition.decode( bytes.slice(1) ) : {}
+		};
+	}
+
+	/**
+	* Decode the value read from the Remote Control characteristic after a command
+	* @param {hexadecimal number} command - the command that was sent
+	* @param {DataView|Uint8Array|array} data - the value read
+	* @param {object} params - the parameters of the command that was sent (needed by CMD_ADC)
+	* @returns {object} - typed reply { type, ... }
+	*/
+	function decodeReply( command, data, params ) {
+		let bytes = toBytes(data);
+		let definition = COMMANDS[command];
+		if( !definition || !definition.reply ) {
+			return { type: "raw", bytes: bytes };
+		}
+		return definition.reply( bytes, params );
+	}
+
+	/**
+	* Encode a Quick Drive packet: one byte for each port, the 7 bit power shifted left and the direction
+	* @param {array} ports - [{direction, power}, ...] ordered by port, power is 0-255
+	* @returns {Uint8Array}
+	*/
+	function encodeQuickDrive( ports ) {
+		return new Uint8Array( ports.map( port => {
+			let power = Math.min( Math.max( parseInt(port.power) || 0, 0 ), MAX );
+			return ( parseInt( power / MAX * MAX_QD ) << 1 ) | ( port.direction ? 0x01 : 0x00 );
+		}) );
+	}
+
+	/**
+	* Decode a Quick Drive packet, the opposite of encodeQuickDrive()
+	* @param {Uint8Array|DataView|array} data
+	* @returns {array} - [{portId, direction, power}, ...], power is 0-255
+	*/
+	function decodeQuickDrive( data ) {
+		return toBytes(data).map( (byte, portId) => {
+			return {
+				portId:    portId,
+				direction: byte & 0x01,
+				power:     Math.round( ( byte >> 1 ) / MAX_QD * MAX )
+			};
+		});
+	}
+
+	/**
+	* Describe a protocol return code
+	* @param {hexadecimal number} code
+	* @returns {object|null} - { type: "error", code, name, message } or null if it is not an error code
+	*/
+	function decodeError( code ) {
+		let error = ERRORS[code];
+		if( !error ) {
+			return null;
+		}
+		return { type: "error", code: code, name: error.name, message: error.message };
+	}
+
+	/**
+	* Get the name of a command
+	* @param {hexadecimal number} command
+	* @returns {string|undefined}
+	*/
+	function commandName( command ) {
+		return COMMANDS[command] ? COMMANDS[command].name : undefined;
+	}
+
+	return {
+		// Exceptions
+		ERROR_LENGTH, ERROR_PARAM, ERROR_COMMAND, ERROR_NOAUTH, ERROR_AUTH,
+		ERROR_DOAUTH, ERROR_AUTHOR, ERROR_THERMAL, ERROR_STATE,
+		// Commands
+		CMD_BREAK, CMD_DRIVE, CMD_RESET, CMD_GET_CHANNEL_STATUS_OLD, CMD_AUTHENTICATE, CMD_IS_AUTHENTICATED,
+		CMD_GET_USER_ID, CMD_SET_PASSWORD, CMD_SET_AUTH_TIMEOUT, CMD_GET_AUTH_TIMEOUT,
+		CMD_GET_BRICK_ID, CMD_QUICKDRIVE_SETUP, CMD_READ_QUICKDRIVE_SETUP,
+		CMD_SET_WATCHDOG, CMD_GET_WATCHDOG, CMD_ADC, CMD_SEND_EVENT,
+		CMD_ERASE_USER_FLASH, CMD_REBOOT, CMD_BREAK_PWM, CMD_SET_THERMAL_LIMIT, CMD_GET_THERMAL_LIMIT,
+		CMD_WRITE_PROGRAM, CMD_READ_PROGRAM, CMD_SAVE_PROGRAM, CMD_START_PROGRAM, CMD_STOP_PROGRAM,
+		CMD_SET_PWM_COUNTER, CMD_GET_PWM_COUNTER, CMD_SAVE_PWM_COUNTER, CMD_GET_CHANNEL_STATUS,
+		CMD_IS_GUEST_PASSWORD_SET, CMD_SET_CONNECTION_PARAMS, CMD_GET_CONNECTION_PARAMS,
+		CMD_SET_RELEASE_ON_RESET, CMD_GET_RELEASE_ON_RESET, CMD_GET_POWER_CYCLES,
+		CMD_GET_UPTIME, CMD_SET_DEVICE_NAME, CMD_GET_DEVICE_NAME,
+		CMD_SET_TX_POWER, CMD_GET_TX_POWER, CMD_SET_PWM_FREQUENCY, CMD_GET_PWM_FREQUENCY,
+		CMD_PVM, CMD_PVM_VALUES,
+		// OTA control commands
+		OTA_BEGIN, OTA_END, OTA_CLOSE,
+		// ADC channels, users, limits
+		CHANNEL_VOLT, CHANNEL_TEMP, OWNER, GUEST, MAX, MAX_QD, PASSWORD_LEN,
+		// Functions
+		encode, decode, decodeReply, encodeQuickDrive, decodeQuickDrive,
+		decodeError, commandName, decodeString, toBytes,
+		rawToVolt, voltToRaw, rawToCelsius, celsiusToRaw, crc32
+	};
+
+})();
+
+if( typeof module !== 'undefined' && module.exports ) {
+	module.exports = SBrickProtocol;
+}
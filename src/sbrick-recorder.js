@@ -0,0 +1,411 @@
+/*
+ * Copyright (c) 2016-17 Francesco Marino
+ *
+ * @author Francesco Marino <francesco@360fun.net>
+ * @website www.360fun.net
+ *
+ * Record the drive, quickDrive and stop commands of an SBrick with their timestamps, export them as JSON
+ * and replay them on the same or another SBrick (speed, loops, pause and resume).
+ * A replay always leaves every port stopped, when it ends or when it is cancelled.
+ * Requires sbrick-errors.js
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+let SBrickRecorder = (function() {
+	'use strict';
+
+	const Errors = ( typeof SBrickErrors !== 'undefined' ) ? SBrickErrors : require('./sbrick-errors.js');
+
+	const VERSION = 1; // format of the recordings
+
+	// Sources
+	const API        = 'api';        // the calls to drive(), quickDrive() and stop()
+	const PORTCHANGE = 'portchange'; // the portchange events: also ramps, effects, servos, ...
+
+	const COMMANDS = [ 'drive', 'quickDrive', 'stop' ];
+
+	// Recorder class definition
+	class SBrickRecorder {
+
+		// CONSTRUCTOR
+
+		/**
+		* Create a recorder for an SBrick, call start() to begin recording
+		* @param {SBrick} sbrick
+		* @param {object} options - {source}
+		*		source: {string} "portchange" (default) to record every change of the ports, "api" to record the calls to drive(), quickDrive() and stop()
+		*/
+		constructor( sbrick, options = {} ) {
+			this.API        = API;
+			this.PORTCHANGE = PORTCHANGE;
+
+			this.sbrick = sbrick;
+			this.source = options.source || PORTCHANGE;
+			if( this.source !== API && this.source !== PORTCHANGE ) {
+				throw new Errors.InvalidParameterError('Wrong input: source must be "' + API + '" or "' + PORTCHANGE + '"');
+			}
+
+			// status
+			this.recording = null;
+			this._start    = 0;
+			this._undo     = null; // stops listening to the SBrick
+		}
+
+
+		// PUBLIC FUNCTIONS
+
+		/**
+		* Start a new recording
+		*/
+		start() {
+			if( this.isRecording() ) {
+				return;
+			}
+			this._start = Date.now();
+			this.recording = {
+				version:   VERSION,
+				source:    this.source,
+				startedAt: new Date(this._start).toISOString(),
+				duration:  0,
+				commands:  []
+			};
+			this._undo = this.source === API ? this._wrap() : this._listen();
+		}
+
+		/**
+		* Stop recording
+		* @returns {object} - the recording: { version, source, startedAt, duration, commands: [ { t, command, args }, ... ] }
+		*/
+		stop() {
+			if( this.isRecording() ) {
+				this._undo();
+				this._undo = null;
+				this.recording.duration = Date.now() - this._start;
+			}
+			return this.recording;
+		}
+
+		/**
+		* Check if recording
+		* @returns {boolean}
+		*/
+		isRecording() {
+			return this._undo !== null;
+		}
+
+		/**
+		* Get the recording as a JSON string
+		* @returns {string}
+		*/
+		stringify() {
+			return JSON.stringify( this.recording );
+		}
+
+		/**
+		* Used by JSON.stringify(): the recorder is serialized as its recording
+		* @returns {object}
+		*/
+		toJSON() {
+			return this.recording;
+		}
+
+		/**
+		* Replay a recording
+		* @param {SBrick} sbrick - The SBrick to drive, any SBrick can replay any recording
+		* @param {object|string} recording - A recording or its JSON
+		* @param {object} options - see SBrickReplay
+		* @returns {SBrickReplay}
+		*/
+		static replay( sbrick, recording, options ) {
+			return new SBrickReplay( sbrick, recording, options );
+		}
+
+
+		// PRIVATE FUNCTIONS
+
+		/**
+		* Add a command to the recording
+		* @param {string} command - "drive", "quickDrive" or "stop"
+		* @param {*} args - the argument of the command
+		*/
+		_add( command, args ) {
+			this.recording.commands.push( { t: Date.now() - this._start, command: command, args: JSON.parse( JSON.stringify(args) ) } );
+		}
+
+		/**
+		* Record the portchange events
+		* @returns {function} - stop recording
+		*/
+		_listen() {
+			const listener = e => {
+				let port = e.detail;
+				if( port.mode === 'input' ) {
+					return;
+				}
+				if( port.mode === 'break' ) {
+					this._add( 'stop', [ port.portId ] );
+				} else {
+					this._add( 'drive', { portId: port.portId, direction: port.direction, power: port.power } );
+				}
+			};
+			this.sbrick.addEventListener( 'portchange', listener );
+			return () => this.sbrick.removeEventListener( 'portchange', listener );
+		}
+
+		/**
+		* Record the calls to drive(), quickDrive() and stop() of the SBrick
+		* @returns {function} - stop recording
+		*/
+		_wrap() {
+			const sbrick = this.sbrick;
+			const wrapped = {};
+			COMMANDS.forEach( command => {
+				// methods of the instance, if any, or of the class
+				wrapped[command] = Object.prototype.hasOwnProperty.call( sbrick, command ) ? sbrick[command] : null;
+				const original = sbrick[command];
+				sbrick[command] = function() {
+					this._add( command, this._arguments( command, Array.from(arguments) ) );
+					return original.apply( sbrick, arguments );
+				}.bind(this);
+			});
+			return () => {
+				COMMANDS.forEach( command => {
+					if( wrapped[command] ) {
+						sbrick[command] = wrapped[command];
+					} else {
+						delete sbrick[command];
+					}
+				});
+			};
+		}
+
+		/**
+		* Normalize the arguments of a command
+		* @param {string} command
+		* @param {array} args
+		* @returns {*}
+		*/
+		_arguments( command, args ) {
+			switch( command ) {
+				case 'drive':
+					// the old version with 3 params
+					return typeof args[0] === 'object' ? args[0] : { portId: args[0], direction: args[1], power: args[2] };
+				case 'quickDrive':
+					return args[0];
+				case 'stop':
+					return [].concat( args[0] );
+			}
+		}
+
+	}
+
+
+	// Replay class definition
+	class SBrickReplay {
+
+		// CONSTRUCTOR
+
+		/**
+		* Replay a recording on an SBrick, it starts immediately
+		* @param {SBrick} sbrick
+		* @param {object|string} recording - A recording or its JSON
+		* @param {object} options - {speed, loop}
+		*		speed: {number} 2 is twice as fast, 0.5 half as fast (default 1)
+		*		loop: {boolean|number} Replay forever (true) or the given number of times (default false: once)
+		*/
+		constructor( sbrick, recording, options = {} ) {
+			if( typeof recording === 'string' ) {
+				recording = JSON.parse( recording );
+			}
+			if( !recording || !Array.isArray(recording.commands) || recording.commands.some( command => COMMANDS.indexOf(command.command) === -1 || !( command.t >= 0 ) ) ) {
+				throw new Errors.InvalidParameterError('Wrong input: not a recording');
+			}
+			let speed = options.speed === undefined ? 1 : options.speed;
+			if( typeof speed !== 'number' || !( speed > 0 ) ) {
+				throw new Errors.InvalidParameterError('Wrong input: speed must be a positive number');
+			}
+
+			this.sbrick    = sbrick;
+			this.commands  = recording.commands.slice().sort( (a, b) => a.t - b.t );
+			this.duration  = Math.max( recording.duration || 0, this.commands.length ? this.commands[this.commands.length - 1].t : 0 );
+			this.speed     = speed;
+			this.loops     = options.loop === true ? Infinity : ( options.loop > 1 ? options.loop : 1 );
+
+			// status
+			this.index   = 0;     // next command
+			this.loop    = 0;     // loops completed
+			this.paused  = false;
+			this.ended   = false;
+			this._offset = 0;     // recording time (ms) reached at the last resume
+			this._resume = Date.now();
+			this._timer  = null;
+			this._ports  = {};    // the last command replayed for every port, to restore them on resume
+
+			// resolved at the end with { completed, loops }, completed is false if cancelled
+			this.promise = new Promise( (resolve, reject) => {
+				this._resolve = resolve;
+				this._reject  = reject;
+			});
+			this._next();
+		}
+
+
+		// PUBLIC FUNCTIONS
+
+		/**
+		* Pause the replay, the ports are stopped
+		* @returns {promise}
+		*/
+		pause() {
+			if( this.paused || this.ended ) {
+				return Promise.resolve();
+			}
+			this._offset = this.position();
+			this.paused = true;
+			clearTimeout( this._timer );
+			return this.sbrick.stopAll().catch( () => {} );
+		}
+
+		/**
+		* Resume the replay, the ports are driven as they were when paused
+		* @returns {promise}
+		*/
+		resume() {
+			if( !this.paused || this.ended ) {
+				return Promise.resolve();
+			}
+			this.paused = false;
+			let driving = Object.keys(this._ports).map( portId => this._ports[portId] ).filter( port => port.power > 0 );
+			let restore = driving.length ? this.sbrick.quickDrive( driving ) : Promise.resolve();
+			return restore
+			.then( () => {
+				this._resume = Date.now();
+				this._next();
+			}, e => this._end( e ) );
+		}
+
+		/**
+		* Stop the replay, the ports are stopped
+		* @returns {promise returning object} - see promise
+		*/
+		cancel() {
+			this._end( null, false );
+			return this.promise;
+		}
+
+		/**
+		* Check if paused
+		* @returns {boolean}
+		*/
+		isPaused() {
+			return this.paused;
+		}
+
+		/**
+		* Get the time reached in the recording
+		* @returns {number} - milliseconds of the recording
+		*/
+		position() {
+			if( this.paused || this.ended ) {
+				return this._offset;
+			}
+			return this._offset + ( Date.now() - this._resume ) * this.speed;
+		}
+
+
+		// PRIVATE FUNCTIONS
+
+		/**
+		* Wait for the next command and replay it
+		*/
+		_next() {
+			if( this.paused || this.ended ) {
+				return;
+			}
+			if( this.index >= this.commands.length ) {
+				// wait for the end of the recording, then loop
+				this._timer = setTimeout( () => {
+					this.loop++;
+					if( this.loop >= this.loops ) {
+						this._end( null, true );
+						return;
+					}
+					this.index = 0;
+					this._offset = 0;
+					this._resume = Date.now();
+					this._next();
+				}, Math.max( this.duration - this.position(), 0 ) / this.speed );
+				return;
+			}
+			let command = this.commands[this.index];
+			this._timer = setTimeout( () => {
+				this._apply( command )
+				.then( () => {
+					this.index++;
+					this._next();
+				}, e => this._end( e ) );
+			}, Math.max( command.t - this.position(), 0 ) / this.speed );
+		}
+
+		/**
+		* Replay a command, keeping track of the ports
+		* @param {object} command - { t, command, args }
+		* @returns {promise}
+		*/
+		_apply( command ) {
+			let args = command.args;
+			switch( command.command ) {
+				case 'drive':
+					this._ports[args.portId] = { portId: args.portId, direction: args.direction, power: args.power };
+					return this.sbrick.drive( args );
+				case 'quickDrive':
+					args.forEach( port => {
+						let portId = port.portId === undefined ? port.port : port.portId;
+						this._ports[portId] = { portId: portId, direction: port.direction, power: port.power };
+					});
+					return this.sbrick.quickDrive( args );
+				case 'stop':
+					args.forEach( portId => { delete this._ports[portId]; } );
+					return this.sbrick.stop( args );
+			}
+		}
+
+		/**
+		* End the replay: stop all the ports and settle the promise
+		* @param {SBrickError} error - the error that stopped the replay, if any
+		* @param {boolean} completed - all the loops were replayed
+		*/
+		_end( error, completed ) {
+			if( this.ended ) {
+				return;
+			}
+			this._offset = this.position();
+			this.ended = true;
+			clearTimeout( this._timer );
+			let result = { completed: !!completed, loops: this.loop };
+			let stop = this.sbrick.isConnected() ? this.sbrick.stopAll() : Promise.resolve();
+			stop
+			.catch( e => {
+				error = error || e;
+			})
+			.then( () => {
+				if( error ) {
+					this._reject( error );
+				} else {
+					this._resolve( result );
+				}
+			});
+		}
+
+	}
+
+	SBrickRecorder.Replay = SBrickReplay;
+
+	return SBrickRecorder;
+
+})();
+
+if( typeof module !== 'undefined' && module.exports ) {
+	module.exports = SBrickRecorder;
+}
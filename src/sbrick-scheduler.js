@@ -0,0 +1,260 @@
+/*
+ * Copyright (c) 2016-17 Francesco Marino
+ *
+ * @author Francesco Marino <francesco@360fun.net>
+ * @website www.360fun.net
+ *
+ * Command scheduler of an SBrick: one write at a time, the latest value wins.
+ * A port waiting to be driven is written once with its latest value, the ports waiting together
+ * are written with one packet, stops jump the queue and the low priority tasks (keepalive) wait
+ * until nothing else is pending. Used by sbrick.js in place of a plain queue.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+let SBrickScheduler = (function() {
+	'use strict';
+
+	// Priorities of the tasks
+	const NORMAL = 'normal';
+	const LOW    = 'low'; // only when nothing else is pending
+
+	// Scheduler class definition
+	class SBrickScheduler {
+
+		// CONSTRUCTOR
+
+		/**
+		* Create a scheduler
+		* @param {object} writer - {drive, brake}
+		*		drive: {function} Receives the ids of the ports to drive, writes their current values, returns a promise
+		*		brake: {function} Receives the ids of the ports to stop, writes the break command, returns a promise
+		*/
+		constructor( writer ) {
+			this.NORMAL = NORMAL;
+			this.LOW    = LOW;
+
+			this.writer = writer;
+
+			// pending
+			this._brakes  = null;      // { portIds, waiters, since }
+			this._drives  = new Map(); // by portId: { waiters, since, order }
+			this._tasks   = [];        // { task, priority, waiters, since, order }
+			this._order   = 0;
+			this._running = false;
+			this._flushing = false;
+
+			this.resetMetrics();
+		}
+
+
+		// PUBLIC FUNCTIONS
+
+		/**
+		* Drive a port with the values it has when the write is sent, merged with its pending drive if any
+		* @param {number} portId
+		* @returns {promise} - resolved once the latest value is written (or the port is stopped)
+		*/
+		drive( portId ) {
+			return this._request( waiter => {
+				let drive = this._drives.get( portId );
+				if( drive ) {
+					this._metrics.merged++;
+				} else {
+					drive = { waiters: [], since: Date.now(), order: this._order++ };
+					this._drives.set( portId, drive );
+				}
+				drive.waiters.push( waiter );
+			});
+		}
+
+		/**
+		* Stop some ports before anything else pending: the drives of the ports requested before it are dropped,
+		* the ones requested after it are written after it (the latest value wins)
+		* @param {array} portIds
+		* @returns {promise} - resolved once the ports are stopped
+		*/
+		brake( portIds ) {
+			return this._request( waiter => {
+				if( this._brakes ) {
+					this._metrics.merged++;
+				} else {
+					this._brakes = { portIds: [], waiters: [], since: Date.now() };
+				}
+				let brakes = this._brakes;
+				portIds.forEach( portId => {
+					if( brakes.portIds.indexOf( portId ) === -1 ) {
+						brakes.portIds.push( portId );
+					}
+					// the stop is the latest value
+					let drive = this._drives.get( portId );
+					if( drive ) {
+						this._drives.delete( portId );
+						brakes.waiters = brakes.waiters.concat( drive.waiters );
+						this._metrics.merged += drive.waiters.length;
+					}
+				});
+				brakes.waiters.push( waiter );
+			});
+		}
+
+		/**
+		* Run a task (any other command or read), in order with the other tasks
+		* @param {function} task - returns a promise
+		* @param {string} priority - NORMAL (default) or LOW
+		* @returns {promise} - resolved with the result of the task
+		*/
+		add( task, priority = NORMAL ) {
+			return this._request( waiter => {
+				this._tasks.push( { task: task, priority: priority, waiters: [ waiter ], since: Date.now(), order: this._order++ } );
+			});
+		}
+
+		/**
+		* Get the number of pending writes
+		* @returns {number}
+		*/
+		size() {
+			return this._drives.size + this._tasks.length + ( this._brakes ? 1 : 0 );
+		}
+
+		/**
+		* Check if nothing is pending nor running
+		* @returns {boolean}
+		*/
+		isIdle() {
+			return !this._running && this.size() === 0;
+		}
+
+		/**
+		* Get the metrics
+		* @returns {object} - {depth, maxDepth, requests, writes, merged, latency: {last, average, max}}
+		*		depth: {number} Pending writes now
+		*		requests: {number} Requests received, merged: how many of them were merged into another write
+		*		latency: {object} Milliseconds between the oldest request of a write and the end of the write
+		*/
+		metrics() {
+			let m = this._metrics;
+			return {
+				depth:    this.size(),
+				maxDepth: m.maxDepth,
+				requests: m.requests,
+				writes:   m.writes,
+				merged:   m.merged,
+				latency:  {
+					last:    m.lastLatency,
+					average: m.writes ? Math.round( m.totalLatency / m.writes ) : 0,
+					max:     m.maxLatency
+				}
+			};
+		}
+
+		/**
+		* Reset the metrics
+		*/
+		resetMetrics() {
+			this._metrics = { maxDepth: 0, requests: 0, writes: 0, merged: 0, lastLatency: 0, totalLatency: 0, maxLatency: 0 };
+		}
+
+
+		// PRIVATE FUNCTIONS
+
+		/**
+		* Add a request and flush the pending writes at the next tick, so the requests of the same tick are merged
+		* @param {function} enqueue - receives the waiter {resolve, reject} and adds it
+		* @returns {promise}
+		*/
+		_request( enqueue ) {
+			return new Promise( (resolve, reject) => {
+				this._metrics.requests++;
+				enqueue( { resolve: resolve, reject: reject } );
+				this._metrics.maxDepth = Math.max( this._metrics.maxDepth, this.size() );
+				if( !this._flushing ) {
+					this._flushing = true;
+					Promise.resolve().then( () => {
+						this._flushing = false;
+						this._flush();
+					});
+				}
+			});
+		}
+
+		/**
+		* Send the next write, if not already sending one
+		*/
+		_flush() {
+			if( this._running ) {
+				return;
+			}
+			let job = this._next();
+			if( !job ) {
+				return;
+			}
+			this._running = true;
+			let settle = ( error, result ) => {
+				let latency = Date.now() - job.since;
+				let m = this._metrics;
+				m.writes++;
+				m.lastLatency = latency;
+				m.totalLatency += latency;
+				m.maxLatency = Math.max( m.maxLatency, latency );
+				this._running = false;
+				job.waiters.forEach( waiter => {
+					if( error ) {
+						waiter.reject( error );
+					} else {
+						waiter.resolve( result );
+					}
+				});
+				this._flush();
+			};
+			new Promise( resolve => resolve( job.run() ) )
+			.then( result => settle( null, result ), error => settle( error || new Error('Write failed') ) );
+		}
+
+		/**
+		* Take the next write: the stops, then the oldest between the drives (all of them at once) and the tasks
+		* @returns {object|null} - { run, waiters, since }
+		*/
+		_next() {
+			if( this._brakes ) {
+				let brakes = this._brakes;
+				this._brakes = null;
+				return { run: () => this.writer.brake( brakes.portIds ), waiters: brakes.waiters, since: brakes.since };
+			}
+			let firstDrive = null;
+			this._drives.forEach( drive => {
+				if( !firstDrive || drive.order < firstDrive.order ) {
+					firstDrive = drive;
+				}
+			});
+			let task = this._tasks.find( task => task.priority !== LOW ) || ( firstDrive ? null : this._tasks[0] );
+			if( firstDrive && ( !task || firstDrive.order < task.order ) ) {
+				let portIds = [];
+				let waiters = [];
+				this._drives.forEach( (drive, portId) => {
+					portIds.push( portId );
+					waiters = waiters.concat( drive.waiters );
+				});
+				this._drives.clear();
+				return { run: () => this.writer.drive( portIds.sort( (a, b) => a - b ) ), waiters: waiters, since: firstDrive.since };
+			}
+			if( task ) {
+				this._tasks.splice( this._tasks.indexOf( task ), 1 );
+				return { run: task.task, waiters: task.waiters, since: task.since };
+			}
+			return null;
+		}
+
+	}
+
+	SBrickScheduler.NORMAL = NORMAL;
+	SBrickScheduler.LOW    = LOW;
+
+	return SBrickScheduler;
+
+})();
+
+if( typeof module !== 'undefined' && module.exports ) {
+	module.exports = SBrickScheduler;
+}
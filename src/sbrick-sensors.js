@@ -0,0 +1,185 @@
+/*
+ * Copyright (c) 2016-17 Francesco Marino
+ *
+ * @author Francesco Marino <francesco@360fun.net>
+ * @website www.360fun.net
+ *
+ * Registry of the sensor drivers used by SBrick.getSensor() and SBrick.subscribeSensor() (SBrick Plus only).
+ * A sensor is identified by the voltage on the channel 0 of its port (type ID) and measures on the channel 1,
+ * both read as ratio (0-255) of the battery voltage.
+ * Requires sbrick-protocol.js
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+let SBrickSensors = (function() {
+	'use strict';
+
+	const Protocol = ( typeof SBrickProtocol !== 'undefined' ) ? SBrickProtocol : require('./sbrick-protocol.js');
+
+	// Series
+	const AUTO = 'auto'; // pick the driver from the type ID
+	const RAW  = 'raw';  // no decoding
+
+	// WeDo tilt sensor: measure thresholds between the positions
+	const TILT_UP    = 49;
+	const TILT_RIGHT = 100;
+	const TILT_LEVEL = 154;
+	const TILT_DOWN  = 205;
+
+	// WeDo motion sensor: measure with no object in front and with an object touching it
+	const MOTION_FAR   = 70;
+	const MOTION_NEAR  = 180;
+	const MOTION_RANGE = 15; // cm, max distance detected
+
+	const drivers = [];
+
+	/**
+	* Add a sensor driver, drivers registered later are tried first
+	* @param {object} driver - {name, type, series, detect, decode, fallback}
+	*		name: {string} Unique name of the driver (e.g. "wedo-tilt")
+	*		type: {string} The type of sensor reported in the measurement (e.g. "tilt")
+	*		series: {string} The series of the sensor (e.g. "wedo", "nxt", "ev3")
+	*		detect: {function} Receives the type ID (0-255), returns true if the sensor is handled by this driver
+	*		decode: {function} Receives the measure {typeId, value, ratio, volts}, returns the fields to add to the measurement
+	*		fallback: {boolean} Use this driver when its series is requested but no driver detects the sensor
+	*/
+	function register( driver ) {
+		if( !driver || typeof driver.name !== 'string' || typeof driver.detect !== 'function' || typeof driver.decode !== 'function' ) {
+			throw new TypeError( "A sensor driver needs a name, a detect() and a decode() function" );
+		}
+		unregister( driver.name );
+		drivers.unshift( Object.assign( { type: driver.name, series: driver.name }, driver ) );
+	}
+
+	/**
+	* Remove a sensor driver
+	* @param {string} name
+	*/
+	function unregister( name ) {
+		let index = drivers.findIndex( driver => driver.name === name );
+		if( index !== -1 ) {
+			drivers.splice( index, 1 );
+		}
+	}
+
+	/**
+	* Get a sensor driver by name
+	* @param {string} name
+	* @returns {object|undefined}
+	*/
+	function get( name ) {
+		return drivers.find( driver => driver.name === name );
+	}
+
+	/**
+	* Get all the registered drivers
+	* @returns {array}
+	*/
+	function list() {
+		return drivers.slice();
+	}
+
+	/**
+	* Find the driver of a sensor
+	* @param {number} typeId - the type ID (0-255) read on the channel 0
+	* @param {string} series - a sensor series, AUTO to look in all of them, RAW (or undefined) for no decoding
+	* @returns {object} - the driver, the raw one if nothing matches
+	*/
+	function find( typeId, series ) {
+		if( series === undefined || series === RAW ) {
+			return get(RAW);
+		}
+		let candidates = series === AUTO ? drivers : drivers.filter( driver => driver.series === series );
+		let driver = candidates.find( driver => driver.name !== RAW && driver.detect(typeId) );
+		if( !driver ) {
+			driver = candidates.find( driver => driver.fallback );
+		}
+		return driver || get(RAW);
+	}
+
+	/**
+	* Decode the ADC values of a port
+	* @param {object} volt - ADC value of the battery voltage (see SBrickProtocol.decodeReply)
+	* @param {object} ch0 - ADC value of the channel 0 (type ID)
+	* @param {object} ch1 - ADC value of the channel 1 (measure)
+	* @param {string} series - see find()
+	* @returns {object} - {type, driver, typeId, voltage, ch0_raw, ch1_raw, value, ...} sensor measurement Object
+	*/
+	function decode( volt, ch0, ch1, series ) {
+		let voltage = volt.value || 1;
+		let measure = {
+			typeId: Math.round( ch0.value / voltage * 255 ),
+			value:  Math.round( ch1.value / voltage * 255 ),
+			ratio:  ch1.value / voltage,
+			volts:  Protocol.rawToVolt( ch1.raw )
+		};
+		let driver = find( measure.typeId, series );
+		return Object.assign( {
+			type:    driver.type,
+			driver:  driver.name,
+			typeId:  measure.typeId,
+			voltage: volt.value,
+			ch0_raw: ch0.value,
+			ch1_raw: ch1.value
+		}, driver.decode(measure) );
+	}
+
+
+	// BUILT-IN DRIVERS
+
+	register( {
+		name:   RAW,
+		type:   'unknown',
+		series: RAW,
+		detect: () => false,
+		decode: measure => ( { value: measure.ratio } )
+	} );
+
+	register( {
+		name:     'wedo-motion',
+		type:     'motion',
+		series:   'wedo',
+		fallback: true,
+		detect:   typeId => typeId >= 170 && typeId <= 190,
+		decode:   measure => {
+			let closeness = ( measure.value - MOTION_FAR ) / ( MOTION_NEAR - MOTION_FAR );
+			closeness = Math.min( Math.max( closeness, 0 ), 1 );
+			return {
+				value:    measure.value,
+				detected: closeness > 0,
+				distance: Math.round( ( 1 - closeness ) * MOTION_RANGE * 10 ) / 10 // cm, estimate
+			};
+		}
+	} );
+
+	register( {
+		name:   'wedo-tilt',
+		type:   'tilt',
+		series: 'wedo',
+		detect: typeId => typeId >= 48 && typeId <= 50,
+		decode: measure => {
+			let direction = 'left';
+			if( measure.value < TILT_UP ) {
+				direction = 'up';
+			} else if( measure.value < TILT_RIGHT ) {
+				direction = 'right';
+			} else if( measure.value < TILT_LEVEL ) {
+				direction = 'level';
+			} else if( measure.value < TILT_DOWN ) {
+				direction = 'down';
+			}
+			return { value: measure.value, direction: direction };
+		}
+	} );
+
+	return {
+		AUTO, RAW,
+		register, unregister, get, list, find, decode
+	};
+
+})();
+
+if( typeof module !== 'undefined' && module.exports ) {
+	module.exports = SBrickSensors;
+}
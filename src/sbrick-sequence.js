@@ -0,0 +1,603 @@
+/*
+ * Copyright (c) 2016-17 Francesco Marino
+ *
+ * @author Francesco Marino <francesco@360fun.net>
+ * @website www.360fun.net
+ *
+ * Run shows written as data: a timeline of steps (drive a port, stop, wait, run in parallel, repeat,
+ * wait for a sensor) executed on an SBrick or on an SBrickFleet, with pause, resume and stop.
+ * Every port is stopped when the sequence ends, is stopped or fails.
+ * Requires sbrick-errors.js
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+let SBrickSequence = (function() {
+	'use strict';
+
+	const Errors = ( typeof SBrickErrors !== 'undefined' ) ? SBrickErrors : require('./sbrick-errors.js');
+
+	const MIN = 0;   // No Speed
+	const MAX = 255; // Max Speed
+	const CLOCKWISE        = 0x00;
+	const COUNTERCLOCKWISE = 0x01;
+
+	const POLL_MS = 100; // default interval of the until conditions
+
+	// Status
+	const IDLE    = 'idle';
+	const RUNNING = 'running';
+	const PAUSED  = 'paused';
+	const ENDED   = 'ended';
+
+	const PORT_NAMES = [ 'PORT0', 'PORT1', 'PORT2', 'PORT3', 'TOPLEFT', 'BOTTOMLEFT', 'TOPRIGHT', 'BOTTOMRIGHT' ];
+	const KINDS      = [ 'port', 'stop', 'wait', 'parallel', 'repeat', 'until' ];
+
+	// thrown inside the running steps when the sequence ends
+	const ABORTED = {};
+
+	// Sequence class definition
+	class SBrickSequence extends EventTarget {
+
+		// CONSTRUCTOR
+
+		/**
+		* Create a sequence, call start() to run it
+		* @param {SBrick|SBrickFleet} target - With a fleet the ports are addressed as "brickName.port"
+		* @param {array|string} steps - The timeline or its JSON, see validate()
+		*/
+		constructor( target, steps ) {
+			super();
+
+			this.IDLE    = IDLE;
+			this.RUNNING = RUNNING;
+			this.PAUSED  = PAUSED;
+			this.ENDED   = ENDED;
+
+			this.target = target;
+			this.steps  = SBrickSequence.validate( steps, target );
+
+			// status
+			this.status   = IDLE;
+			this.promise  = null;
+			this._clock   = 0;         // running time (ms) reached at the last pause
+			this._since   = 0;         // Date.now() at the last start or resume
+			this._waiters = [];        // steps waiting for a time of the clock: { time, resolve, timer }
+			this._resumed = [];        // steps waiting for resume()
+			this._ports   = new Map(); // SBrick => the ports driven by the sequence, to restore them on resume
+		}
+
+
+		// PUBLIC FUNCTIONS
+
+		/**
+		* Check a timeline and resolve its ports
+		* Steps, every step can have "at": {number} ms from the start of its block (timeline, parallel lane, repeat), not before
+		*		{ port, power, direction }: drive a port (0-3, "PORT0", "TOPLEFT" or "brickName.port" with a fleet), power 0-255, direction CW (default) or CCW
+		*		{ stop: port|array|"all" }: stop some ports or all of them
+		*		{ wait: ms }: wait
+		*		{ parallel: [ step|array, ... ] }: run steps (or lists of steps) at the same time, until all of them are done
+		*		{ repeat: times|true, steps: [ ... ] }: run the steps again, forever with true
+		*		{ until: condition, pollMs, timeoutMs }: wait for a condition, checked every pollMs (default 100)
+		*			and failing with a TimeoutError after timeoutMs (default never). The condition is a function receiving the target
+		*			and returning a boolean (or a promise), or a sensor reading { port, series, field, above, below, equals }
+		*			(field: the field of getSensor() to compare, default "value")
+		* @param {array|string} steps - The timeline or its JSON
+		* @param {SBrick|SBrickFleet} target
+		* @returns {array} - the compiled steps
+		*/
+		static validate( steps, target ) {
+			if( typeof steps === 'string' ) {
+				try {
+					steps = JSON.parse( steps );
+				} catch( e ) {
+					throw new Errors.InvalidParameterError('Wrong input: the timeline is not valid JSON', { cause: e });
+				}
+			}
+			if( !target || typeof target.stopAll !== 'function' ) {
+				throw new Errors.InvalidParameterError('Wrong input: a sequence runs on an SBrick or an SBrickFleet');
+			}
+			return compileList( steps, target, 'steps' );
+		}
+
+		/**
+		* Run the sequence
+		* @returns {promise returning object} - { completed, elapsed }, completed is false if stopped
+		*/
+		start() {
+			if( this.status !== IDLE ) {
+				return Promise.reject( new Errors.InvalidStateError('The sequence has already been started') );
+			}
+			this.status = RUNNING;
+			this._since = Date.now();
+			this.promise = new Promise( (resolve, reject) => {
+				this._resolve = resolve;
+				this._reject  = reject;
+			});
+			this._dispatch( 'start' );
+			this._runList( this.steps )
+			.then( () => this._end( null, true ) )
+			.catch( e => this._end( e === ABORTED ? null : e, false ) );
+			return this.promise;
+		}
+
+		/**
+		* Pause the sequence, the ports are stopped
+		* @returns {promise}
+		*/
+		pause() {
+			if( this.status !== RUNNING ) {
+				return Promise.resolve();
+			}
+			this._clock = this.elapsed();
+			this.status = PAUSED;
+			this._waiters.forEach( waiter => clearTimeout( waiter.timer ) );
+			this._dispatch( 'pause' );
+			return this._stopAll();
+		}
+
+		/**
+		* Resume the sequence, the ports are driven as they were when paused
+		* @returns {promise}
+		*/
+		resume() {
+			if( this.status !== PAUSED ) {
+				return Promise.resolve();
+			}
+			let restore = [];
+			this._ports.forEach( (ports, sbrick) => {
+				let driving = Object.keys(ports).map( portId => ports[portId] ).filter( port => port.power > 0 );
+				if( driving.length ) {
+					restore.push( sbrick.quickDrive( driving ) );
+				}
+			});
+			return Promise.all( restore )
+			.then( () => {
+				if( this.status !== PAUSED ) {
+					return;
+				}
+				this.status = RUNNING;
+				this._since = Date.now();
+				this._waiters.forEach( waiter => this._schedule( waiter ) );
+				this._resumed.splice( 0 ).forEach( resolve => resolve() );
+				this._dispatch( 'resume' );
+			}, e => this._end( e, false ) );
+		}
+
+		/**
+		* Stop the sequence, the ports are stopped
+		* @returns {promise returning object} - see start()
+		*/
+		stop() {
+			if( this.status === IDLE ) {
+				this.status = ENDED;
+				return Promise.resolve( { completed: false, elapsed: 0 } );
+			}
+			this._end( null, false );
+			return this.promise;
+		}
+
+		/**
+		* Check if running (also when paused)
+		* @returns {boolean}
+		*/
+		isRunning() {
+			return this.status === RUNNING || this.status === PAUSED;
+		}
+
+		/**
+		* Check if paused
+		* @returns {boolean}
+		*/
+		isPaused() {
+			return this.status === PAUSED;
+		}
+
+		/**
+		* Get the running time, pauses excluded
+		* @returns {number} - milliseconds
+		*/
+		elapsed() {
+			if( this.status !== RUNNING ) {
+				return this._clock;
+			}
+			return this._clock + Date.now() - this._since;
+		}
+
+
+		// PRIVATE FUNCTIONS
+
+		/**
+		* Run steps one after the other
+		* @param {array} steps - compiled steps
+		* @returns {promise}
+		*/
+		_runList( steps ) {
+			let start = this.elapsed();
+			return steps.reduce( (previous, step) => {
+				return previous
+				.then( () => step.at === undefined ? null : this._sleepUntil( start + step.at ) )
+				.then( () => this._run( step ) );
+			}, Promise.resolve() );
+		}
+
+		/**
+		* Run a step
+		* @param {object} step - a compiled step
+		* @returns {promise}
+		*/
+		_run( step ) {
+			return this._ready()
+			.then( () => {
+				this._dispatch( 'step', { path: step.path, step: step.source, elapsed: this.elapsed() } );
+				switch( step.kind ) {
+					case 'port':
+						return this._drive( step );
+					case 'stop':
+						return this._stop( step );
+					case 'wait':
+						return this._sleepUntil( this.elapsed() + step.wait );
+					case 'parallel':
+						return Promise.all( step.lanes.map( lane => this._runList( lane ) ) );
+					case 'repeat':
+						return this._repeat( step, 0 );
+					case 'until':
+						return this._until( step, this.elapsed() );
+				}
+			})
+			.then( () => this._ready() );
+		}
+
+		/**
+		* Drive a port of a step
+		* @param {object} step
+		* @returns {promise}
+		*/
+		_drive( step ) {
+			let port = { portId: step.portId, direction: step.direction, power: step.power };
+			this._driven( step.sbrick )[step.portId] = port;
+			return step.sbrick.drive( port );
+		}
+
+		/**
+		* Stop the ports of a step
+		* @param {object} step
+		* @returns {promise}
+		*/
+		_stop( step ) {
+			if( step.all ) {
+				this._ports.clear();
+				return this._stopAll();
+			}
+			let bricks = new Map();
+			step.ports.forEach( port => {
+				delete this._driven( port.sbrick )[port.portId];
+				bricks.set( port.sbrick, ( bricks.get( port.sbrick ) || [] ).concat( port.portId ) );
+			});
+			let stops = [];
+			bricks.forEach( (portIds, sbrick) => stops.push( sbrick.stop( portIds ) ) );
+			return Promise.all( stops );
+		}
+
+		/**
+		* Run the iterations of a repeat step
+		* @param {object} step
+		* @param {number} iteration - iterations done
+		* @returns {promise}
+		*/
+		_repeat( step, iteration ) {
+			if( iteration >= step.repeat ) {
+				return Promise.resolve();
+			}
+			return this._runList( step.steps )
+			.then( () => this._repeat( step, iteration + 1 ) );
+		}
+
+		/**
+		* Wait for the condition of an until step
+		* @param {object} step
+		* @param {number} start - running time of the start of the step
+		* @returns {promise}
+		*/
+		_until( step, start ) {
+			return this._ready()
+			.then( () => step.condition( this.target ) )
+			.then( met => {
+				if( met ) {
+					return;
+				}
+				if( step.timeoutMs !== undefined && this.elapsed() - start >= step.timeoutMs ) {
+					throw new Errors.TimeoutError('Condition not met in ' + step.timeoutMs + 'ms at ' + step.path);
+				}
+				return this._sleepUntil( this.elapsed() + step.pollMs )
+				.then( () => this._until( step, start ) );
+			});
+		}
+
+		/**
+		* Wait until the running time reaches a value, pauses excluded
+		* @param {number} time - ms
+		* @returns {promise}
+		*/
+		_sleepUntil( time ) {
+			return new Promise( resolve => {
+				let waiter = { time: time, resolve: resolve, timer: null };
+				this._waiters.push( waiter );
+				if( this.status === RUNNING ) {
+					this._schedule( waiter );
+				} else if( this.status === ENDED ) {
+					this._wake( waiter );
+				}
+			})
+			.then( () => this._ready() );
+		}
+
+		/**
+		* Start the timer of a waiting step
+		* @param {object} waiter
+		*/
+		_schedule( waiter ) {
+			clearTimeout( waiter.timer );
+			waiter.timer = setTimeout( () => this._wake( waiter ), Math.max( waiter.time - this.elapsed(), 0 ) );
+		}
+
+		/**
+		* Let a waiting step go on
+		* @param {object} waiter
+		*/
+		_wake( waiter ) {
+			clearTimeout( waiter.timer );
+			let index = this._waiters.indexOf( waiter );
+			if( index !== -1 ) {
+				this._waiters.splice( index, 1 );
+			}
+			waiter.resolve();
+		}
+
+		/**
+		* Wait while paused
+		* @returns {promise} - rejects with ABORTED if the sequence ended
+		*/
+		_ready() {
+			if( this.status === ENDED ) {
+				return Promise.reject( ABORTED );
+			}
+			if( this.status === PAUSED ) {
+				return new Promise( resolve => this._resumed.push( resolve ) )
+				.then( () => this._ready() );
+			}
+			return Promise.resolve();
+		}
+
+		/**
+		* End the sequence: stop all the ports and settle the promise
+		* @param {SBrickError} error - the error that stopped the sequence, if any
+		* @param {boolean} completed - all the steps were run
+		*/
+		_end( error, completed ) {
+			if( this.status === ENDED ) {
+				return;
+			}
+			this._clock = this.elapsed();
+			this.status = ENDED;
+			// the running steps are aborted
+			this._waiters.slice().forEach( waiter => this._wake( waiter ) );
+			this._resumed.splice( 0 ).forEach( resolve => resolve() );
+			let result = { completed: completed, elapsed: this._clock };
+			this._stopAll()
+			.catch( e => {
+				error = error || e;
+			})
+			.then( () => {
+				if( error ) {
+					error = Errors.fromError( error );
+					this._dispatch( 'error', { error: error } );
+					this._reject( error );
+				} else {
+					this._dispatch( 'end', result );
+					this._resolve( result );
+				}
+			});
+		}
+
+		/**
+		* Stop all the ports of the target
+		* @returns {promise}
+		*/
+		_stopAll() {
+			if( typeof this.target.isConnected === 'function' && !this.target.isConnected() ) {
+				return Promise.resolve();
+			}
+			return this.target.stopAll();
+		}
+
+		/**
+		* Get the ports driven on an SBrick
+		* @param {SBrick} sbrick
+		* @returns {object} - by portId: { portId, direction, power }
+		*/
+		_driven( sbrick ) {
+			if( !this._ports.has( sbrick ) ) {
+				this._ports.set( sbrick, {} );
+			}
+			return this._ports.get( sbrick );
+		}
+
+		/**
+		* Emit an event
+		* @param {string} type
+		* @param {object} detail
+		*/
+		_dispatch( type, detail = {} ) {
+			let event;
+			if( typeof CustomEvent === 'function' ) {
+				event = new CustomEvent( type, { detail: detail } );
+			} else {
+				// Node < 19
+				event = new Event( type );
+				event.detail = detail;
+			}
+			this.dispatchEvent( event );
+		}
+
+	}
+
+
+	// COMPILER
+
+	/**
+	* Compile a list of steps
+	* @param {array} steps
+	* @param {SBrick|SBrickFleet} target
+	* @param {string} path - where the list is, for the errors (e.g. "steps.2.parallel.0")
+	* @returns {array}
+	*/
+	function compileList( steps, target, path ) {
+		if( !Array.isArray(steps) || steps.length === 0 ) {
+			fail( path, 'must be a non empty array of steps' );
+		}
+		return steps.map( (step, i) => compile( step, target, path + '.' + i ) );
+	}
+
+	/**
+	* Compile a step
+	* @param {object} step
+	* @param {SBrick|SBrickFleet} target
+	* @param {string} path
+	* @returns {object} - { kind, path, source, at, ... }
+	*/
+	function compile( step, target, path ) {
+		if( !step || typeof step !== 'object' || Array.isArray(step) ) {
+			fail( path, 'must be an object' );
+		}
+		let kinds = KINDS.filter( kind => step[kind] !== undefined );
+		if( kinds.length !== 1 ) {
+			fail( path, kinds.length ? 'has more than one action (' + kinds.join(', ') + ')' : 'has no action (' + KINDS.join(', ') + ')' );
+		}
+		let compiled = { kind: kinds[0], path: path, source: step };
+		if( step.at !== undefined ) {
+			if( typeof step.at !== 'number' || !( step.at >= 0 ) ) {
+				fail( path, 'at must be a number of ms >= 0' );
+			}
+			compiled.at = step.at;
+		}
+		switch( compiled.kind ) {
+			case 'port': {
+				let port = resolvePort( step.port, target, path );
+				let direction = step.direction === undefined ? CLOCKWISE : step.direction;
+				if( direction !== CLOCKWISE && direction !== COUNTERCLOCKWISE ) {
+					fail( path, 'direction must be CW (0) or CCW (1)' );
+				}
+				if( !Number.isInteger(step.power) || step.power < MIN || step.power > MAX ) {
+					fail( path, 'power must be an integer between ' + MIN + ' and ' + MAX );
+				}
+				return Object.assign( compiled, port, { direction: direction, power: step.power } );
+			}
+			case 'stop':
+				if( step.stop === 'all' ) {
+					return Object.assign( compiled, { all: true } );
+				}
+				return Object.assign( compiled, { ports: [].concat( step.stop ).map( port => resolvePort( port, target, path ) ) } );
+			case 'wait':
+				if( typeof step.wait !== 'number' || !( step.wait >= 0 ) ) {
+					fail( path, 'wait must be a number of ms >= 0' );
+				}
+				return Object.assign( compiled, { wait: step.wait } );
+			case 'parallel':
+				if( !Array.isArray(step.parallel) || step.parallel.length === 0 ) {
+					fail( path, 'parallel must be a non empty array' );
+				}
+				return Object.assign( compiled, {
+					lanes: step.parallel.map( (lane, i) => {
+						let lanePath = path + '.parallel.' + i;
+						return Array.isArray(lane) ? compileList( lane, target, lanePath ) : [ compile( lane, target, lanePath ) ];
+					})
+				});
+			case 'repeat': {
+				let times = step.repeat === true ? Infinity : step.repeat;
+				if( times !== Infinity && ( !Number.isInteger(times) || times < 1 ) ) {
+					fail( path, 'repeat must be a number of times >= 1 or true' );
+				}
+				return Object.assign( compiled, { repeat: times, steps: compileList( step.steps, target, path + '.steps' ) } );
+			}
+			case 'until': {
+				let pollMs = step.pollMs === undefined ? POLL_MS : step.pollMs;
+				if( typeof pollMs !== 'number' || !( pollMs > 0 ) ) {
+					fail( path, 'pollMs must be a number of ms > 0' );
+				}
+				if( step.timeoutMs !== undefined && ( typeof step.timeoutMs !== 'number' || !( step.timeoutMs >= 0 ) ) ) {
+					fail( path, 'timeoutMs must be a number of ms >= 0' );
+				}
+				return Object.assign( compiled, { condition: compileCondition( step.until, target, path ), pollMs: pollMs, timeoutMs: step.timeoutMs } );
+			}
+		}
+	}
+
+	/**
+	* Compile the condition of an until step
+	* @param {function|object} until - see validate()
+	* @param {SBrick|SBrickFleet} target
+	* @param {string} path
+	* @returns {function} - receives the target, returns a boolean or a promise
+	*/
+	function compileCondition( until, target, path ) {
+		if( typeof until === 'function' ) {
+			return until;
+		}
+		if( !until || typeof until !== 'object' ) {
+			fail( path, 'until must be a function or a sensor condition' );
+		}
+		let port = resolvePort( until.port, target, path );
+		let field = until.field || 'value';
+		let tests = [ 'above', 'below', 'equals' ].filter( test => until[test] !== undefined );
+		if( tests.length === 0 ) {
+			fail( path, 'the sensor condition needs above, below or equals' );
+		}
+		return () => port.sbrick.getSensor( port.portId, until.series ).then( measure => {
+			let value = measure[field];
+			return ( until.above === undefined || value > until.above ) &&
+				( until.below === undefined || value < until.below ) &&
+				( until.equals === undefined || value === until.equals );
+		});
+	}
+
+	/**
+	* Find the SBrick and the port id of a port
+	* @param {number|string} port - 0-3, a port constant or, with a fleet, "brickName.port"
+	* @param {SBrick|SBrickFleet} target
+	* @param {string} path
+	* @returns {object} - { sbrick, portId }
+	*/
+	function resolvePort( port, target, path ) {
+		if( typeof target.resolve === 'function' ) {
+			// SBrickFleet
+			try {
+				let address = target.resolve( port );
+				return { sbrick: address.sbrick, portId: address.portId };
+			} catch( e ) {
+				fail( path, e.message.replace( /^Wrong input: /, '' ) );
+			}
+		}
+		let portId = PORT_NAMES.indexOf( port ) !== -1 ? target[port] : port;
+		if( !Number.isInteger(portId) || portId < target.PORT0 || portId > target.PORT3 ) {
+			fail( path, 'unknown port "' + port + '"' );
+		}
+		return { sbrick: target, portId: portId };
+	}
+
+	/**
+	* Throw the error of a wrong step
+	* @param {string} path
+	* @param {string} message
+	*/
+	function fail( path, message ) {
+		throw new Errors.InvalidParameterError('Wrong input: ' + path + ' ' + message);
+	}
+
+	return SBrickSequence;
+
+})();
+
+if( typeof module !== 'undefined' && module.exports ) {
+	module.exports = SBrickSequence;
+}
@@ -0,0 +1,567 @@
+/*
+ * Copyright (c) 2016-17 Francesco Marino
+ *
+ * @author Francesco Marino <francesco@360fun.net>
+ * @website www.360fun.net
+ *
+ * In-memory virtual SBrick / SBrick Plus, usable as transport of the SBrick class
+ * to run tests and demos without real hardware.
+ * Requires sbrick-transport.js and sbrick-protocol.js
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+let SBrickSimulator = (function() {
+	'use strict';
+
+	const Transport = ( typeof SBrickTransport !== 'undefined' ) ? SBrickTransport : require('./sbrick-transport.js');
+	const Protocol  = ( typeof SBrickProtocol !== 'undefined' ) ? SBrickProtocol : require('./sbrick-protocol.js');
+
+	const UUID_CHARACTERISTIC_MODELNUMBER       = "model_number_string";
+	const UUID_CHARACTERISTIC_FIRMWAREREVISION  = "firmware_revision_string";
+	const UUID_CHARACTERISTIC_HARDWAREREVISION  = "hardware_revision_string";
+	const UUID_CHARACTERISTIC_SOFTWAREREVISION  = "software_revision_string";
+	const UUID_CHARACTERISTIC_MANUFACTURERNAME  = "manufacturer_name_string";
+
+	const UUID_CHARACTERISTIC_REMOTECONTROL     = "02b8cbcc-0e25-4bda-8790-a15f53e6010f";
+	const UUID_CHARACTERISTIC_QUICKDRIVE        = "489a6ae0-c1ab-4c9c-bdb2-11d373c1b7fb";
+
+	const UUID_CHARACTERISTIC_OTACONTROL        = "f7bf3564-fb6d-4e53-88a4-5e37e0326063";
+	const UUID_CHARACTERISTIC_OTADATA           = "984227f3-34fc-4045-a5d0-2c581f81a153";
+
+	const PORTS_COUNT    = 4;
+	const CHANNELS_COUNT = 8;
+
+	// Values limits
+	const MAX = Protocol.MAX; // Max Speed
+
+	// Sensor type IDs, as ratio (0-255) between the channel 0 and the battery voltage
+	const SENSOR_WEDO_TILT   = 49;
+	const SENSOR_WEDO_MOTION = 180;
+
+	// Commands allowed without authentication on a password protected SBrick
+	const AUTH_FREE = [ Protocol.CMD_AUTHENTICATE, Protocol.CMD_IS_AUTHENTICATED, Protocol.CMD_GET_USER_ID, Protocol.CMD_ADC ];
+
+	// Times in milliseconds
+	const T_WATCHDOG = 500; // Default watchdog timeout
+	const T_REBOOT   = 200; // Reboot time after a firmware update
+
+	// Simulator class definition
+	class SBrickSimulator extends Transport {
+
+		// CONSTRUCTOR
+
+		/**
+		* Create a new virtual SBrick
+		* @param {object} options - {id, name, plus, firmware, batteryVoltage, temperature, ownerPassword, guestPassword, otaFirmware}
+		*		id: {string} The device id (default "SIMULATOR")
+		*		name: {string} The device name (default "SBrick")
+		*		plus: {boolean} Simulate an SBrick Plus, with sensor inputs (default true)
+		*		firmware: {string} The firmware revision (default "4.17")
+		*		batteryVoltage: {number} The battery voltage in Volts (default 9)
+		*		temperature: {number} The chip temperature in degrees Celsius (default 25)
+		*		ownerPassword: {string} Protect the virtual SBrick with an owner password
+		*		guestPassword: {string} The guest password (needs an owner password)
+		*		otaFirmware: {string} The firmware revision booted after an OTA update (default "4.17")
+		*/
+		constructor( options = {} ) {
+			super();
+
+			this.id   = options.id   || "SIMULATOR";
+			this.name = options.name || "SBrick";
+			this.plus = options.plus !== false;
+
+			this.deviceInformation = {
+				[UUID_CHARACTERISTIC_MODELNUMBER]      : this.plus ? "SBrick Plus" : "SBrick",
+				[UUID_CHARACTERISTIC_FIRMWAREREVISION] : options.firmware || "4.17",
+				[UUID_CHARACTERISTIC_HARDWAREREVISION] : "4.0",
+				[UUID_CHARACTERISTIC_SOFTWAREREVISION] : options.firmware || "4.17",
+				[UUID_CHARACTERISTIC_MANUFACTURERNAME] : "Vengit Ltd."
+			};
+
+			// simulated status
+			this.connected       = false;
+			this.granted         = false; // true once connected, like a device chosen in the popup
+			this.batteryVoltage  = options.batteryVoltage === undefined ? 9 : options.batteryVoltage;
+			this.temperature     = options.temperature    === undefined ? 25 : options.temperature;
+			this.outputs         = [];
+			for( let i = 0; i < PORTS_COUNT; i++ ) {
+				this.outputs.push( { direction: 0x00, power: 0, brake: false } );
+			}
+			this.channels        = new Array(CHANNELS_COUNT).fill(0); // input voltages in Volts
+			this.pvmChannels     = [];
+			this.watchdogTimeout = T_WATCHDOG;
+			this.watchdogCount   = 0;   // how many times the watchdog stopped the outputs
+			this.thermalProtection = false; // when true drive commands fail with ERROR_THERMAL
+			this.passwords       = {
+				[Protocol.OWNER] : this._password( options.ownerPassword ),
+				[Protocol.GUEST] : this._password( options.guestPassword )
+			};
+			this.authenticated   = null;  // Protocol.OWNER, Protocol.GUEST or null
+			this.otaFirmware     = options.otaFirmware || "4.17";
+			this.otaImage        = null;  // the last firmware image received, as Uint8Array
+			this.rebooting       = false;
+			this.unreachableUntil = 0;  // connections are refused until this time (see dropConnection)
+			this.received        = [];  // every packet written: { uuid, bytes }
+			this.listeners       = {};
+
+			this._reply    = new Uint8Array(0);
+			this._watchdog = null;
+		}
+
+
+		// TRANSPORT INTERFACE
+
+		/**
+		* Connect to the virtual SBrick, no popup is shown
+		* @returns {promise returning undefined}
+		*/
+		connect( options, services ) {
+			if( this.rebooting || Date.now() < this.unreachableUntil ) {
+				return Promise.reject('Device not found');
+			}
+			this.connected = true;
+			this.granted = true;
+			this.device = { id: this.id, name: this.name };
+			return Promise.resolve();
+		}
+
+		/**
+		* Get the devices already granted: the virtual SBrick once connected
+		* @returns {promise returning array} - [ {id, name} ]
+		*/
+		getDevices() {
+			return Promise.resolve( this.granted ? [ { id: this.id, name: this.name } ] : [] );
+		}
+
+		/**
+		* Connect to a device already granted
+		* @param {object} device - {id, name} as returned by getDevices()
+		* @returns {promise returning undefined}
+		*/
+		connectDevice( device, services ) {
+			if( !this.granted || device.id !== this.id ) {
+				return Promise.reject('Device not found');
+			}
+			return this.connect();
+		}
+
+		/**
+		* Connect again to the virtual SBrick
+		* @returns {promise returning undefined}
+		*/
+		reconnect() {
+			return this.connect();
+		}
+
+		/**
+		* Disconnect the virtual SBrick
+		* @returns {promise returning undefined}
+		*/
+		disconnect() {
+			this.connected = false;
+			this.authenticated = null;
+			this._stopWatchdog();
+			return Promise.resolve();
+		}
+
+		/**
+		* Check if the virtual SBrick is connected
+		* @returns {boolean}
+		*/
+		isConnected() {
+			return this.connected;
+		}
+
+		/**
+		* Read a Device Information string or the last Remote Control reply
+		* @param {string} uuid_characteristic
+		* @returns {promise returning DataView}
+		*/
+		readCharacteristicValue( uuid_characteristic ) {
+			if( !this.connected ) {
+				return Promise.reject('Not connected');
+			}
+			let info = this.deviceInformation[uuid_characteristic];
+			if( info !== undefined ) {
+				let bytes = new Uint8Array(info.length);
+				for( let i = 0; i < info.length; i++ ) {
+					bytes[i] = info.charCodeAt(i);
+				}
+				return Promise.resolve( new DataView(bytes.buffer) );
+			}
+			if( uuid_characteristic === UUID_CHARACTERISTIC_REMOTECONTROL ) {
+				return Promise.resolve( new DataView(this._reply.slice().buffer) );
+			}
+			return Promise.reject('Unknown characteristic ' + uuid_characteristic);
+		}
+
+		/**
+		* Write a Remote Control command or a Quick Drive packet
+		* rejects with the protocol return code (error.code) like a GATT write error
+		* @param {string} uuid_characteristic
+		* @param {Uint8Array} value
+		* @returns {promise returning undefined}
+		*/
+		writeCharacteristicValue( uuid_characteristic, value ) {
+			if( !this.connected ) {
+				return Promise.reject('Not connected');
+			}
+			let bytes = Uint8Array.from(value);
+			this.received.push( { uuid: uuid_characteristic, bytes: bytes } );
+			let code = 0;
+			if( uuid_characteristic === UUID_CHARACTERISTIC_REMOTECONTROL ) {
+				code = this._command(bytes);
+			} else if( uuid_characteristic === UUID_CHARACTERISTIC_QUICKDRIVE ) {
+				code = this._quickDrive(bytes);
+			} else if( uuid_characteristic === UUID_CHARACTERISTIC_OTACONTROL ) {
+				code = this._otaControl(bytes);
+			} else if( uuid_characteristic === UUID_CHARACTERISTIC_OTADATA ) {
+				code = this._otaData(bytes);
+			} else {
+				return Promise.reject('Unknown characteristic ' + uuid_characteristic);
+			}
+			if( code ) {
+				let error = new Error( "GATT Error: 0x" + code.toString(16) );
+				error.code = code;
+				return Promise.reject(error);
+			}
+			this._feedWatchdog();
+			return Promise.resolve();
+		}
+
+		/**
+		* Register a notification listener
+		* @param {string} uuid_characteristic
+		* @param {function} listener
+		* @returns {promise returning undefined}
+		*/
+		startNotifications( uuid_characteristic, listener ) {
+			this.listeners[uuid_characteristic] = listener;
+			return Promise.resolve();
+		}
+
+		/**
+		* Remove a notification listener
+		* @param {string} uuid_characteristic
+		* @returns {promise returning undefined}
+		*/
+		stopNotifications( uuid_characteristic ) {
+			delete this.listeners[uuid_characteristic];
+			return Promise.resolve();
+		}
+
+
+		// SIMULATION CONTROLS
+
+		/**
+		* Simulate a connection loss (e.g. the SBrick going out of range): the outputs are stopped
+		* like the watchdog would do and the connections are refused for a while
+		* @param {number} unreachableMs - milliseconds before the virtual SBrick can be connected again
+		*/
+		dropConnection( unreachableMs = 0 ) {
+			this.disconnect();
+			this.outputs.forEach( output => { output.power = 0; } );
+			this.unreachableUntil = Date.now() + unreachableMs;
+		}
+
+		/**
+		* Set the voltage measured on a channel
+		* @param {number} channel - 0-7
+		* @param {number} volts
+		*/
+		setChannelVoltage( channel, volts ) {
+			this.channels[channel] = volts;
+		}
+
+		/**
+		* Simulate a sensor plugged into a port
+		* @param {number} portId - 0-3
+		* @param {number} typeId - ratio (0-255) between the channel 0 (ID) and the battery voltage
+		* @param {number} value - ratio (0-255) between the channel 1 (measure) and the battery voltage
+		*/
+		setSensor( portId, typeId, value ) {
+			this.setChannelVoltage( portId * 2,     typeId / MAX * this.batteryVoltage );
+			this.setChannelVoltage( portId * 2 + 1, value  / MAX * this.batteryVoltage );
+		}
+
+		/**
+		* Simulate a WeDo tilt sensor plugged into a port
+		* @param {number} portId - 0-3
+		* @param {number} value - raw tilt value 0-255
+		*/
+		setWeDoTilt( portId, value ) {
+			this.setSensor( portId, SENSOR_WEDO_TILT, value );
+		}
+
+		/**
+		* Simulate a WeDo motion sensor plugged into a port
+		* @param {number} portId - 0-3
+		* @param {number} value - raw motion value 0-255
+		*/
+		setWeDoMotion( portId, value ) {
+			this.setSensor( portId, SENSOR_WEDO_MOTION, value );
+		}
+
+
+		// PRIVATE FUNCTIONS
+
+		/**
+		* Execute a Remote Control command
+		* @param {Uint8Array} bytes
+		* @returns {number} - 0 or the protocol return code
+		*/
+		_command( bytes ) {
+			if( !bytes.length ) {
+				return Protocol.ERROR_LENGTH;
+			}
+			let command = Protocol.decode(bytes);
+			let params  = command.params;
+			if( AUTH_FREE.indexOf(command.command) === -1 && this.passwords[Protocol.OWNER] && this.authenticated === null ) {
+				return Protocol.ERROR_DOAUTH;
+			}
+			switch( command.command ) {
+				case Protocol.CMD_AUTHENTICATE:
+					if( !this.passwords[Protocol.OWNER] ) {
+						return Protocol.ERROR_NOAUTH;
+					}
+					if( !this.passwords[params.user] || this.passwords[params.user].join() !== params.password.join() ) {
+						return Protocol.ERROR_AUTH;
+					}
+					this.authenticated = params.user;
+					return 0;
+
+				case Protocol.CMD_IS_AUTHENTICATED:
+					let authenticated = !this.passwords[Protocol.OWNER] || this.authenticated === params.user;
+					this._reply = new Uint8Array( [ authenticated ? 0x01 : 0x00 ] );
+					return 0;
+
+				case Protocol.CMD_GET_USER_ID:
+					if( this.authenticated === null ) {
+						return Protocol.ERROR_DOAUTH;
+					}
+					this._reply = new Uint8Array( [ this.authenticated ] );
+					return 0;
+
+				case Protocol.CMD_SET_PASSWORD:
+					if( params.user !== Protocol.OWNER && params.user !== Protocol.GUEST ) {
+						return Protocol.ERROR_PARAM;
+					}
+					if( this.passwords[Protocol.OWNER] && this.authenticated !== Protocol.OWNER ) {
+						return Protocol.ERROR_AUTHOR;
+					}
+					this.passwords[params.user] = this._password( params.password );
+					return 0;
+
+				case Protocol.CMD_BREAK:
+					if( params.portIds.some( portId => portId >= PORTS_COUNT ) ) {
+						return Protocol.ERROR_PARAM;
+					}
+					params.portIds.forEach( portId => {
+						this.outputs[portId] = { direction: this.outputs[portId].direction, power: 0, brake: true };
+					});
+					return 0;
+
+				case Protocol.CMD_DRIVE:
+					if( bytes.length < 4 || ( bytes.length - 1 ) % 3 ) {
+						return Protocol.ERROR_LENGTH;
+					}
+					if( this.thermalProtection ) {
+						return Protocol.ERROR_THERMAL;
+					}
+					if( params.ports.some( port => port.portId >= PORTS_COUNT || port.direction > 0x01 ) ) {
+						return Protocol.ERROR_PARAM;
+					}
+					params.ports.forEach( port => {
+						this.outputs[port.portId] = { direction: port.direction, power: port.power, brake: false };
+					});
+					return 0;
+
+				case Protocol.CMD_ADC:
+					if( !params.channels.length ) {
+						return Protocol.ERROR_LENGTH;
+					}
+					if( params.channels.some( channel => channel > Protocol.CHANNEL_TEMP ) ) {
+						return Protocol.ERROR_PARAM;
+					}
+					this._reply = new Uint8Array( params.channels.length * 2 );
+					let reply = new DataView( this._reply.buffer );
+					params.channels.forEach( (channel, i) => {
+						reply.setUint16( i * 2, this._adcRaw(channel), true );
+					});
+					return 0;
+
+				case Protocol.CMD_SET_WATCHDOG:
+					this.watchdogTimeout = params.timeout;
+					return 0;
+
+				case Protocol.CMD_GET_WATCHDOG:
+					this._reply = new Uint8Array( [ this.watchdogTimeout / 100 ] );
+					return 0;
+
+				case Protocol.CMD_PVM:
+					if( params.channels.some( channel => channel >= CHANNELS_COUNT ) ) {
+						return Protocol.ERROR_PARAM;
+					}
+					this.pvmChannels = params.channels;
+					return 0;
+
+				default:
+					return Protocol.ERROR_COMMAND;
+			}
+		}
+
+		/**
+		* Execute a Quick Drive packet: one byte (power << 1 | direction) for each port
+		* @param {Uint8Array} bytes
+		* @returns {number} - 0 or the protocol return code
+		*/
+		_quickDrive( bytes ) {
+			if( !bytes.length || bytes.length > PORTS_COUNT ) {
+				return Protocol.ERROR_LENGTH;
+			}
+			if( this.passwords[Protocol.OWNER] && this.authenticated === null ) {
+				return Protocol.ERROR_DOAUTH;
+			}
+			if( this.thermalProtection ) {
+				return Protocol.ERROR_THERMAL;
+			}
+			Protocol.decodeQuickDrive(bytes).forEach( port => {
+				this.outputs[port.portId] = { direction: port.direction, power: port.power, brake: false };
+			});
+			return 0;
+		}
+
+		/**
+		* Execute an OTA control command
+		* @param {Uint8Array} bytes
+		* @returns {number} - 0 or the protocol return code
+		*/
+		_otaControl( bytes ) {
+			switch( bytes[0] ) {
+				case Protocol.OTA_BEGIN:
+					this._ota = [];
+					return 0;
+
+				case Protocol.OTA_END:
+					if( !this._ota || !this._ota.length ) {
+						return Protocol.ERROR_STATE;
+					}
+					this.otaImage = Uint8Array.from( this._ota );
+					this._ota = null;
+					this._reboot( this.otaFirmware );
+					return 0;
+
+				case Protocol.OTA_CLOSE:
+					this._ota = null;
+					this.disconnect();
+					return 0;
+
+				default:
+					return Protocol.ERROR_COMMAND;
+			}
+		}
+
+		/**
+		* Receive a chunk of firmware image
+		* @param {Uint8Array} bytes
+		* @returns {number} - 0 or the protocol return code
+		*/
+		_otaData( bytes ) {
+			if( !this._ota ) {
+				return Protocol.ERROR_STATE;
+			}
+			bytes.forEach( byte => { this._ota.push(byte); } );
+			return 0;
+		}
+
+		/**
+		* Simulate a reboot with a new firmware: the connection is lost for a while
+		* @param {string} firmware
+		*/
+		_reboot( firmware ) {
+			this.disconnect();
+			this.rebooting = true;
+			this.outputs.forEach( output => { output.power = 0; } );
+			this.pvmChannels = [];
+			setTimeout( () => {
+				this.rebooting = false;
+				this.deviceInformation[UUID_CHARACTERISTIC_FIRMWAREREVISION] = firmware;
+				this.deviceInformation[UUID_CHARACTERISTIC_SOFTWAREREVISION] = firmware;
+			}, T_REBOOT );
+		}
+
+		/**
+		* Normalize a password: 8 bytes, null if empty (all zeros)
+		* @param {string|array} password
+		* @returns {array|null}
+		*/
+		_password( password ) {
+			if( !password ) {
+				return null;
+			}
+			let bytes = Protocol.decode( Protocol.encode( Protocol.CMD_SET_PASSWORD, { user: 0, password: password } ) ).params.password;
+			return bytes.some( byte => byte !== 0 ) ? bytes : null;
+		}
+
+		/**
+		* Raw ADC reading of a channel, as the 12 bit value shifted left by 4
+		* @param {number} channel - 0-7, SBrickProtocol.CHANNEL_VOLT or SBrickProtocol.CHANNEL_TEMP
+		* @returns {number}
+		*/
+		_adcRaw( channel ) {
+			let raw = 0;
+			if( channel === Protocol.CHANNEL_VOLT ) {
+				raw = Protocol.voltToRaw( this.batteryVoltage );
+			} else if( channel === Protocol.CHANNEL_TEMP ) {
+				raw = Protocol.celsiusToRaw( this.temperature );
+			} else if( this.plus && this.pvmChannels.indexOf(channel) !== -1 ) {
+				raw = Protocol.voltToRaw( this.channels[channel] );
+			}
+			return Math.min( Math.max( Math.round(raw), 0 ), 0xFFFF ) & 0xFFF0;
+		}
+
+		/**
+		* Restart the watchdog: when it expires every output is stopped
+		*/
+		_feedWatchdog() {
+			this._stopWatchdog();
+			if( !this.watchdogTimeout ) {
+				return;
+			}
+			this._watchdog = setTimeout( () => {
+				this._watchdog = null;
+				if( this.outputs.some( output => output.power > 0 ) ) {
+					this.watchdogCount++;
+					this.outputs.forEach( output => { output.power = 0; } );
+				}
+			}, this.watchdogTimeout );
+			// don't keep Node processes alive just for the watchdog
+			if( this._watchdog.unref ) {
+				this._watchdog.unref();
+			}
+		}
+
+		/**
+		* Stop the watchdog timer
+		*/
+		_stopWatchdog() {
+			if( this._watchdog ) {
+				clearTimeout( this._watchdog );
+				this._watchdog = null;
+			}
+		}
+
+	}
+
+	// export constants
+	SBrickSimulator.SENSOR_WEDO_TILT   = SENSOR_WEDO_TILT;
+	SBrickSimulator.SENSOR_WEDO_MOTION = SENSOR_WEDO_MOTION;
+
+	return SBrickSimulator;
+
+})();
+
+if( typeof module !== 'undefined' && module.exports ) {
+	module.exports = SBrickSimulator;
+}
@@ -0,0 +1,111 @@
+/*
+ * Copyright (c) 2016-17 Francesco Marino
+ *
+ * @author Francesco Marino <francesco@360fun.net>
+ * @website www.360fun.net
+ *
+ * BLE transport interface used by the SBrick class.
+ * The WebBluetooth class of bluetooth.js already fits it, any other object
+ * exposing the same methods (a Node BLE adapter, an in-memory stand-in, ...)
+ * can be given to the SBrick constructor instead.
+ * Transports can also have a reconnect() method (returning a promise) to connect again
+ * to the last device without asking the user, otherwise connect() is called again.
+ * To connect the devices already granted by the user without the popup (SBrick.getKnownDevices()),
+ * transports can have a getDevices() method (returning a promise of [ {id, name}, ... ])
+ * and a connectDevice(device, services) method (returning a promise).
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+let SBrickTransport = (function() {
+	'use strict';
+
+	// Transport class definition
+	class SBrickTransport {
+
+		// CONSTRUCTOR
+
+		/**
+		* Create a new transport: extend this class and override every method
+		*/
+		constructor() {
+			// the connected device, at least { id, name }
+			this.device = null;
+		}
+
+
+		// PUBLIC FUNCTIONS
+
+		/**
+		* Select a device, connect to it and get ready to use the given services
+		* @param {object} options - device request options (filters, namePrefix, optionalServices, acceptAllDevices)
+		* @param {object} services - { serviceUuid: { name, characteristics: { characteristicUuid: { name } } } }
+		* @returns {promise returning undefined}
+		*/
+		connect( options, services ) {
+			return Promise.reject('connect() not implemented by the transport');
+		}
+
+		/**
+		* Close the connection with the device
+		* @returns {promise returning undefined}
+		*/
+		disconnect() {
+			return Promise.reject('disconnect() not implemented by the transport');
+		}
+
+		/**
+		* Check if the device is connected
+		* @returns {boolean}
+		*/
+		isConnected() {
+			return false;
+		}
+
+		/**
+		* Read the value of a characteristic
+		* @param {string} uuid_characteristic
+		* @returns {promise returning DataView}
+		*/
+		readCharacteristicValue( uuid_characteristic ) {
+			return Promise.reject('readCharacteristicValue() not implemented by the transport');
+		}
+
+		/**
+		* Write a value to a characteristic
+		* @param {string} uuid_characteristic
+		* @param {Uint8Array} value
+		* @returns {promise returning undefined}
+		*/
+		writeCharacteristicValue( uuid_characteristic, value ) {
+			return Promise.reject('writeCharacteristicValue() not implemented by the transport');
+		}
+
+		/**
+		* Start receiving the notifications of a characteristic (optional)
+		* @param {string} uuid_characteristic
+		* @param {function} listener - called with a DataView for every notification
+		* @returns {promise returning undefined}
+		*/
+		startNotifications( uuid_characteristic, listener ) {
+			return Promise.reject('startNotifications() not implemented by the transport');
+		}
+
+		/**
+		* Stop receiving the notifications of a characteristic (optional)
+		* @param {string} uuid_characteristic
+		* @returns {promise returning undefined}
+		*/
+		stopNotifications( uuid_characteristic ) {
+			return Promise.reject('stopNotifications() not implemented by the transport');
+		}
+
+	}
+
+	return SBrickTransport;
+
+})();
+
+if( typeof module !== 'undefined' && module.exports ) {
+	module.exports = SBrickTransport;
+}
@@ -4,9 +4,8 @@
  * @author Francesco Marino <francesco@360fun.net>
  * @website www.360fun.net
  *
- * Requires bluetooth.js and promise-queue library
+ * Requires sbrick-protocol.js, sbrick-errors.js, sbrick-sensors.js, sbrick-effects.js, sbrick-battery.js, sbrick-scheduler.js, sbrick-capture.js, sbrick-capabilities.js and bluetooth.js (or any other transport, see sbrick-transport.js)
  * https://github.com/360fun/bluetooth.js
- * https://github.com/azproduction/promise-queue
  *
  * This code is compatible with SBrick Protocol 4.17
  * https://social.sbrick.com/wiki/view/pageId/11/slug/the-sbrick-ble-protocol
@@ -17,8 +16,16 @@
 let SBrick = (function() {
 	'use strict';
 
+	const Protocol     = ( typeof SBrickProtocol !== 'undefined' ) ? SBrickProtocol : require('./sbrick-protocol.js');
+	const Errors       = ( typeof SBrickErrors !== 'undefined' ) ? SBrickErrors : require('./sbrick-errors.js');
+	const Sensors      = ( typeof SBrickSensors !== 'undefined' ) ? SBrickSensors : require('./sbrick-sensors.js');
+	const Effects      = ( typeof SBrickEffects !== 'undefined' ) ? SBrickEffects : require('./sbrick-effects.js');
+	const Battery      = ( typeof SBrickBattery !== 'undefined' ) ? SBrickBattery : require('./sbrick-battery.js');
+	const Scheduler    = ( typeof SBrickScheduler !== 'undefined' ) ? SBrickScheduler : require('./sbrick-scheduler.js');
+	const Capture      = ( typeof SBrickCapture !== 'undefined' ) ? SBrickCapture : require('./sbrick-capture.js');
+	const Capabilities = ( typeof SBrickCapabilities !== 'undefined' ) ? SBrickCapabilities : require('./sbrick-capabilities.js');
+
 	const ID_SBRICK                             = "SBrick";
-	const FIRMWARE_COMPATIBILITY                = 4.17;
 
 	const UUID_SERVICE_DEVICEINFORMATION        = "device_information";
 	const UUID_CHARACTERISTIC_MODELNUMBER       = "model_number_string";
@@ -31,29 +38,21 @@ let SBrick = (function() {
 	const UUID_CHARACTERISTIC_REMOTECONTROL     = "02b8cbcc-0e25-4bda-8790-a15f53e6010f";
 	const UUID_CHARACTERISTIC_QUICKDRIVE        = "489a6ae0-c1ab-4c9c-bdb2-11d373c1b7fb";
 
+	const COMPANY_VENGIT                        = 0x0198; // Bluetooth company identifier of Vengit, in the manufacturer data of the SBrick advertising
+
 	const UUID_SERVICE_OTA                      = "1d14d6ee-fd63-4fa1-bfa4-8f47b42119f0";
 	const UUID_CHARACTERISTIC_OTACONTROL        = "f7bf3564-fb6d-4e53-88a4-5e37e0326063";
+	const UUID_CHARACTERISTIC_OTADATA           = "984227f3-34fc-4045-a5d0-2c581f81a153";
 
-	// REMOTE CONTROL COMMANDS
-
-	// Exceptions
-	const ERROR_LENGTH  = 0x80; // Invalid command length
-	const ERROR_PARAM   = 0x81; // Invalid parameter
-	const ERROR_COMMAND = 0x82; // No such command
-	const ERROR_NOAUTH  = 0x83; // No authentication needed
-	const ERROR_AUTH    = 0x84; // Authentication error
-	const ERROR_DOAUTH  = 0x85; // Authentication needed
-	const ERROR_AUTHOR  = 0x86; // Authorization error
-	const ERROR_THERMAL = 0x87; // Thermal protection is active
-	const ERROR_STATE   = 0x88; // The system is in a state where the command does not make sense
+	// REMOTE CONTROL COMMANDS (encoded and decoded by sbrick-protocol.js)
 
 	// Commands
-	const CMD_BREAK     = 0x00; // Stop command
-	const CMD_DRIVE     = 0x01; // Drive command
-	const CMD_ADC       = 0x0F; // Query ADC
-	const CMD_ADC_VOLT  = 0x08; // Get Voltage
-	const CMD_ADC_TEMP  = 0x09; // Get Temperature
-	const CMD_PVM       = 0x2C; // Periodic Voltage Measurements
+	const CMD_BREAK     = Protocol.CMD_BREAK;    // Stop command
+	const CMD_DRIVE     = Protocol.CMD_DRIVE;    // Drive command
+	const CMD_ADC       = Protocol.CMD_ADC;      // Query ADC
+	const CMD_ADC_VOLT  = Protocol.CHANNEL_VOLT; // Get Voltage
+	const CMD_ADC_TEMP  = Protocol.CHANNEL_TEMP; // Get Temperature
+	const CMD_PVM       = Protocol.CMD_PVM;      // Periodic Voltage Measurements
 
 	// SBrick Ports / Channels
 	const PORTS = [
@@ -63,11 +62,27 @@ let SBrick = (function() {
 		{ portId: 0x03, channelsId: [ 0x06, 0x07 ]}
 	];
 
+	// Models, from the model number
+	const MODEL_SBRICK = 'SBrick';
+	const MODEL_PLUS   = 'SBrick Plus'; // with the sensor inputs
+
 	// Port Mode
 	const INPUT  = 'input';
 	const OUTPUT = 'output';
 	const BREAK  = 'break';
 
+	// Port types
+	const MOTOR  = 'motor';
+	const LIGHT  = 'light';
+	const SERVO  = 'servo';
+	const SENSOR = 'sensor';
+	const TYPES  = [ MOTOR, LIGHT, SERVO, SENSOR ];
+
+	// Roles
+	const OWNER = 'owner';
+	const GUEST = 'guest';
+	const ROLES = { [OWNER]: Protocol.OWNER, [GUEST]: Protocol.GUEST };
+
 	// Direction
 	const CLOCKWISE        = 0x00; // Clockwise
 	const COUNTERCLOCKWISE = 0x01; // Counterclockwise
@@ -75,24 +90,86 @@ let SBrick = (function() {
 	// Values limits
 	const MIN      = 0;   // No Speed
 	const MAX      = 255; // Max Speed
-	const MAX_QD   = 127; // Max Speed for QuickDrive
-	const MAX_VOLT = 9;   // Max Voltage = Full battery
+
+	// Default port configuration, see configurePort()
+	const PORT_CONFIG = { type: MOTOR, inverted: false, minPower: MIN, maxPower: MAX, label: "" };
+
+	// Battery policies, applied when the battery gets critical (see configureBattery())
+	const POLICY_NONE = 'none'; // only the events
+	const POLICY_CAP  = 'cap';  // limit the power of the motors
+	const POLICY_STOP = 'stop'; // stop all the ports
+	const POLICIES    = [ POLICY_NONE, POLICY_CAP, POLICY_STOP ];
+	const BATTERY     = { profile: 'alkaline', smoothing: 0.3, policy: POLICY_NONE, capPower: 128 };
+
+	// Power Functions servo: 7 positions on each side of the center, the power of each position
+	// is in the middle of the PWM range the servo reads as that position
+	const SERVO_POSITIONS = 7;
+	const SERVO_STEPS     = [ 0, 36, 73, 109, 146, 182, 219, 255 ];
+	const SERVO_ANGLE     = 90; // degrees at position 7
 
 	// Times in milliseconds
-	const T_KA  = 300; // Time interval for the keepalive loop (must be < 500ms - watchdog default)
+	const T_KA       = 300; // Time interval for the keepalive loop when the watchdog is disabled
+	const T_WATCHDOG = 500; // Default watchdog timeout: without commands the SBrick stops the ports
+	const KA_RATIO   = 0.5; // Keepalive interval as a fraction of the watchdog timeout
+	const T_REBOOT   = 5000; // Max time for the SBrick to reboot after a firmware update
+	const T_RECONNECT = 2000; // Time between reconnection attempts
+
+	// Automatic reconnection after a connection loss
+	const RESTORE_STOP   = 'stop';   // stop the ports that were driving
+	const RESTORE_RESUME = 'resume'; // drive them again with the last values
+	const RECONNECT = { attempts: 10, delay: 1000, factor: 2, maxDelay: 30000, restore: RESTORE_STOP };
+
+	// OTA
+	const OTA_CHUNK    = 20; // Bytes of firmware image for each write (default BLE payload)
+	const OTA_ATTEMPTS = 5;  // Reconnection attempts after a firmware update
 	const T_PVM = 500; // Time delay for PVM completion: the registry is update approximately 5 times per second (must be > 200ms)
-
-	// Sbrick class definition
-	class SBrick {
+	const T_SENSOR = 200; // Default interval of sensor subscriptions (PVM updates 5 times per second)
+	const T_BATTERY = 10000; // Default interval of the battery monitoring
+
+	// Motion profiles
+	const T_RAMP      = 1000; // Default duration of a ramp
+	const T_RAMP_STEP = 50;   // Time between the power updates of a ramp
+	const T_EFFECT_STEP = 50; // Time between the updates of a light effect
+	const CURVES = {
+		linear: t => t,
+		ease:   t => t * t * ( 3 - 2 * t ) // ease in and out
+	};
+
+	// Characteristics recorded by the traffic capture
+	const CAPTURED = {
+		[UUID_CHARACTERISTIC_REMOTECONTROL] : 'remotecontrol',
+		[UUID_CHARACTERISTIC_QUICKDRIVE]    : 'quickdrive'
+	};
+
+	// Log levels, the methods called on the logger (see setLogger())
+	const DEBUG = 'debug'; // BLE traffic
+	const INFO  = 'info';
+	const WARN  = 'warn';
+	const ERROR = 'error';
+
+	// Errors already notified with an "error" event
+	const reported = new WeakSet();
+
+	// Sbrick class definition: every instance is an EventTarget, the detail of its events always has the deviceId
+	//	connect, disconnect, connectionlost, reconnecting, reconnected, gaveup, portchange, sensor, battery, batterylow, batterycritical, temperature, thermal, error
+	class SBrick extends EventTarget {
 
 		// CONSTRUCTOR
 
 		/**
-		* Create a new instance of the SBrick class (and accordingly also WebBluetooth)
+		* Create a new instance of the SBrick class (and accordingly also WebBluetooth, if no transport is given)
 		* @param {string} sbrick_name - The name of the sbrick
+		* @param {object} options - {transport, keepalive, watchdogTimeout, reconnect, battery, logger}
+		*		transport: {object} The BLE transport to use (see SBrickTransport), by default a new WebBluetooth
+		*		keepalive: {boolean} Keep the ports driving when no command is sent for a while (default true)
+		*		watchdogTimeout: {number} If given, set the SBrick watchdog timeout (milliseconds) on connection
+		*		reconnect: {boolean|object} Reconnect automatically when the connection is lost (default false), see setAutoReconnect()
+		*		battery: {object} The battery configuration, see configureBattery()
+		*		logger: {object} Where to log, see setLogger()
 		*/
-		constructor( sbrick_name ) {
-			this.webbluetooth = new WebBluetooth();
+		constructor( sbrick_name, options = {} ) {
+			super();
+			this.transport = options.transport || new WebBluetooth();
 
 			// export constants
 			this.NAME     = sbrick_name || "";
@@ -103,34 +180,96 @@ let SBrick = (function() {
 			this.CW       = CLOCKWISE;
 			this.CCW      = COUNTERCLOCKWISE;
 			this.MAX      = MAX;
+			this.OWNER    = OWNER;
+			this.GUEST    = GUEST;
+			this.MOTOR    = MOTOR;
+			this.LIGHT    = LIGHT;
+			this.SERVO    = SERVO;
+			this.SENSOR   = SENSOR;
+			this.MODEL_SBRICK = MODEL_SBRICK;
+			this.MODEL_PLUS   = MODEL_PLUS;
 			this.SERVICES = {}
 
+			// model of the connected SBrick, MODEL_SBRICK or MODEL_PLUS (null if unknown)
+			this.model       = null;
+			this.modelNumber = null;
+			// what the connected SBrick can do, see getCapabilities()
+			this.capabilities = null;
+
+			// watchdog
+			this.useKeepalive    = options.keepalive !== false;
+			this.watchdogTimeout = options.watchdogTimeout;
+
+			// automatic reconnection
+			this.autoReconnect  = null;
+			this._reconnection  = null; // the reconnection in progress, if any
+			this._connectOptions = {};
+			this.setAutoReconnect( options.reconnect );
+
+			// battery
+			this.batteryConfig   = Object.assign( {}, BATTERY );
+			this.battery         = this._batteryDefaults(); // last reading
+			this._batteryMonitor = null;
+			this._powerCap       = null; // max power of the motors, set by the battery policy
+			if( options.battery ) {
+				this.configureBattery( options.battery );
+			}
+
 			// status
 			this.keepalive = null;
+			this.subscriptions = {}; // sensor subscriptions by portId
+			this.motions       = {}; // ramps and timed drives in progress by portId
+			this._sensorLoop   = null;
+			this._updating     = false; // a firmware update is in progress: the background reads wait
+			this._lastWrite = 0;
+			this.role      = null; // authenticated role (OWNER or GUEST)
 			this.ports     = [
-				{ power: MIN, direction: CLOCKWISE, mode: OUTPUT, busy: false },
-				{ power: MIN, direction: CLOCKWISE, mode: OUTPUT, busy: false },
-				{ power: MIN, direction: CLOCKWISE, mode: OUTPUT, busy: false },
-				{ power: MIN, direction: CLOCKWISE, mode: OUTPUT, busy: false }
+				{ power: MIN, direction: CLOCKWISE, mode: OUTPUT, config: Object.assign( {}, PORT_CONFIG ), servo: this._servoDefaults() },
+				{ power: MIN, direction: CLOCKWISE, mode: OUTPUT, config: Object.assign( {}, PORT_CONFIG ), servo: this._servoDefaults() },
+				{ power: MIN, direction: CLOCKWISE, mode: OUTPUT, config: Object.assign( {}, PORT_CONFIG ), servo: this._servoDefaults() },
+				{ power: MIN, direction: CLOCKWISE, mode: OUTPUT, config: Object.assign( {}, PORT_CONFIG ), servo: this._servoDefaults() }
 			];
 
-			// queue
-			this.maxConcurrent = 1;
-			this.maxQueue      = Infinity;
-			this.queue         = new Queue( this.maxConcurrent, this.maxQueue );
+			// writes, one at a time: the latest value of a port wins and stops jump the queue
+			this.scheduler = new Scheduler( {
+				drive: portIds => this._writeDrive( portIds ),
+				brake: portIds => this._writeBreak( portIds )
+			} );
 
 			// debug
-			this._debug         = false;
+			this.logger   = options.logger || null;
+			this._debug   = false; // deprecated: log to the console, see setLogger()
+			this._capture = null;  // BLE traffic capture, see startCapture()
+		}
+
+		/**
+		* The transport used to be a WebBluetooth instance only
+		* @deprecated use transport instead
+		*/
+		get webbluetooth() {
+			return this.transport;
 		}
 
 
 		// PUBLIC FUNCTIONS
 
 		/**
-		* Open the Web Bluetooth popup to search and connect the SBrick (filtered by name if previously specified)
-		* @returns {promise returning undefined}
+		* Open the Web Bluetooth popup to search and connect the SBrick: it lists only the SBricks (by service or manufacturer data),
+		* filtered by name if previously specified. The model is read once connected, see isPlus()
+		* @param {object} options - {password, role, allowOldFirmware, remembered, deviceId, chooser, acceptAllDevices}
+		*		password: {string} If given, authenticate with it once connected
+		*		role: {string} The role of the password, SBrick.OWNER (default) or SBrick.GUEST
+		*		allowOldFirmware: {boolean} Stay connected to SBricks with a firmware older than 4.17, only to update it with updateFirmware()
+		*		remembered: {boolean} First try the SBricks already granted by the user, without the popup (see getKnownDevices())
+		*		deviceId: {string} With remembered, the id of the SBrick to connect
+		*		chooser: {boolean} With remembered, open the popup if no SBrick could be connected (default true)
+		*		acceptAllDevices: {boolean} List all the devices in the popup, as the old versions did without a name
+		* @returns {promise returning object} - the capabilities (see getCapabilities()), rejects with FirmwareNotCompatibleError if the firmware is older than 4.17
 		*/
-		connect() {
+		connect( options = {} ) {
+			const password = options.password,
+						role     = options.role || OWNER;
+
 			this.SERVICES = {
 				[UUID_SERVICE_DEVICEINFORMATION] : {
 					name : "Device Information",
@@ -162,45 +301,62 @@ let SBrick = (function() {
 							name : "Remote Control"
 						}
 					}
+				},
+				[UUID_SERVICE_OTA] : {
+					name : "OTA",
+					characteristics : {
+						[UUID_CHARACTERISTIC_OTACONTROL] : {
+							name : "OTA Control"
+						},
+						[UUID_CHARACTERISTIC_OTADATA] : {
+							name : "OTA Data"
+						}
+					}
 				}
 			}
-			let options = {
-				// filter by service should work but it doesn't show any SBrick...
-				// filters: [{
-				// 	services: [ UUID_SERVICE_DEVICEINFORMATION, UUID_SERVICE_OTA, UUID_SERVICE_REMOTECONTROL ]
-				// }],
+			let requestOptions = {
 				optionalServices: Object.keys(this.SERVICES)
 			};
 
-			// if the SBrick name is not defined it shows all the devices
-			// I don't like this solution, would be better to filter "by services"
-			if( this.NAME != "" ) {
-				options.filters = [{
+			if( options.acceptAllDevices ) {
+				requestOptions.acceptAllDevices = true;
+			} else if( this.NAME != "" ) {
+				requestOptions.filters = [{
 					namePrefix: [ this.NAME ]
 				}];
 			} else {
-				options.acceptAllDevices = true;
+				// only the SBricks: the Remote Control service is not always advertised, the manufacturer data is
+				requestOptions.filters = [
+					{ services: [ UUID_SERVICE_REMOTECONTROL ] },
+					{ manufacturerData: [ { companyIdentifier: COMPANY_VENGIT } ] }
+				];
 			}
-			return this.webbluetooth.connect(options,this.SERVICES)
+			this.role = null;
+			this.model = null;
+			this.modelNumber = null;
+			this.capabilities = null;
+			this._requestOptions = requestOptions;
+			this._connectOptions = options;
+			let connection = options.remembered ? this._connectRemembered( options ) : this.transport.connect( requestOptions, this.SERVICES );
+			return connection
 			.then( () => {
 				if( this.isConnected() ) {
-					if( this._debug ) {
-						this._log( "Connected to SBrick " + this.webbluetooth.device.id );
-					}
-					// Firmware Compatibility Check
-					this.getFirmwareVersion()
-					.then( version => {
-						// version = FIRMWARE_COMPATIBILITY;
-						if( parseFloat(version) >= FIRMWARE_COMPATIBILITY ) {
-							this.keepalive = this._keepalive(this);
-						} else {
-							this._error("Firmware not compatible: please update your SBrick.");
-							this.disconnect();
+					this._log( "Connected to SBrick " + this.transport.device.id );
+					// Model and Firmware Compatibility Check
+					return this._detectModel()
+					.then( () => this._checkFirmware( options.allowOldFirmware ) )
+					.then( () => {
+						if( password !== undefined ) {
+							return this._authenticateOnConnection( password, role );
 						}
+					})
+					.then( () => {
+						this._dispatch( 'connect', { name: this.transport.device.name, model: this.model, capabilities: this.getCapabilities() } );
+						return this.getCapabilities();
 					});
 				}
 			})
-			.catch( e => { this._error(e) } );
+			.catch( e => this._error(e) );
 		}
 
 		/**
@@ -208,20 +364,35 @@ let SBrick = (function() {
 		* @returns {promise returning undefined}
 		*/
 		disconnect() {
+			let reconnecting = this._cancelReconnection();
 			return new Promise( (resolve, reject) => {
 				if( this.isConnected() ) {
 					resolve();
+				} else if( reconnecting ) {
+					// nothing to close: just stop reconnecting
+					this._dispatch( 'disconnect' );
+					resolve( false );
 				} else {
-					reject('Not connected');
+					reject( new Errors.NotConnectedError('Not connected') );
+				}
+			} ).then( connected => {
+				if( connected === false ) {
+					return;
 				}
-			} ).then( ()=> {
 				return this.stopAll()
 				.then( ()=> {
-					clearInterval( this.keepalive );
-					return this.webbluetooth.disconnect();
+					this._stopKeepalive();
+					this._stopSensorLoop();
+					this._resetBattery();
+					this.subscriptions = {};
+					this.role = null;
+					return this.transport.disconnect();
+				} )
+				.then( () => {
+					this._dispatch( 'disconnect' );
 				} );
 			} )
-			.catch( e => { this._error(e) } );
+			.catch( e => this._error(e, { command: CMD_BREAK }) );
 		}
 
 
@@ -230,7 +401,53 @@ let SBrick = (function() {
 		* @returns {boolean}
 		*/
 		isConnected() {
-			return this.webbluetooth && this.webbluetooth.isConnected();
+			return this.transport && this.transport.isConnected();
+		}
+
+		/**
+		* Get the SBricks the user already granted to this page, to connect them without the popup (see connect())
+		* the transport must implement the optional getDevices() and connectDevice() methods (see sbrick-transport.js)
+		* @returns {promise returning array} - [ {id, name}, ... ] filtered by name if previously specified, empty if the transport can't do it
+		*/
+		getKnownDevices() {
+			if( typeof this.transport.getDevices !== 'function' || typeof this.transport.connectDevice !== 'function' ) {
+				return Promise.resolve( [] );
+			}
+			return Promise.resolve()
+			.then( () => this.transport.getDevices() )
+			.then( devices => devices.filter( device => this.NAME == "" || ( device.name || "" ).indexOf( this.NAME ) === 0 ) )
+			.catch( e => this._error(e) );
+		}
+
+		/**
+		* Check if the connected SBrick is an SBrick Plus, with the sensor inputs
+		* @returns {boolean} - false also if the model is unknown
+		*/
+		isPlus() {
+			return this.model === MODEL_PLUS;
+		}
+
+		/**
+		* Get what the connected SBrick can do, from its model and firmware version (see sbrick-capabilities.js)
+		* @returns {object|null} - {model, firmware, version, compatible, quickDrive, pvm, sensor, ota}, null before connecting
+		*		version: {object} The firmware version {major, minor, patch}
+		*		compatible: {boolean} The firmware is 4.17 or newer
+		*		quickDrive, pvm, sensor, ota: {boolean} The feature can be used, the methods needing it reject with NotSupportedError otherwise
+		*/
+		getCapabilities() {
+			if( !this.capabilities ) {
+				return null;
+			}
+			return Object.assign( {}, this.capabilities, { version: this.capabilities.version && Object.assign( {}, this.capabilities.version ) } );
+		}
+
+		/**
+		* Check if the connected SBrick has a feature
+		* @param {string} feature - "quickDrive", "pvm", "sensor" or "ota"
+		* @returns {boolean} - false before connecting
+		*/
+		supports( feature ) {
+			return !!( this.capabilities && this.capabilities[feature] === true );
 		}
 
 		/**
@@ -274,6 +491,260 @@ let SBrick = (function() {
 		}
 
 
+		/**
+		* Authenticate as owner or guest, needed to send commands to a password protected SBrick
+		* @param {string} password - max 8 characters
+		* @param {string} role - SBrick.OWNER (default) or SBrick.GUEST
+		* @returns {promise returning string} - the authenticated role
+		*		rejects with AuthenticationError if the password is wrong, NoAuthenticationNeededError if the SBrick has no password
+		*/
+		authenticate( password, role = OWNER ) {
+			return this._checkPassword( password, role )
+			.then( () => {
+				return this._command( Protocol.CMD_AUTHENTICATE, { user: ROLES[role], password: password } );
+			})
+			.then( () => {
+				this.role = role;
+				this._log( "Authenticated as " + role );
+				return role;
+			})
+			.catch( e => this._error(e, { command: Protocol.CMD_AUTHENTICATE }) );
+		}
+
+		/**
+		* Set the owner or guest password (the owner must be authenticated if a password is already set)
+		* @param {string} password - max 8 characters
+		* @param {string} role - SBrick.OWNER (default) or SBrick.GUEST
+		* @returns {promise returning undefined}
+		*/
+		setPassword( password, role = OWNER ) {
+			return this._checkPassword( password, role )
+			.then( () => {
+				return this._command( Protocol.CMD_SET_PASSWORD, { user: ROLES[role], password: password } );
+			})
+			.catch( e => this._error(e, { command: Protocol.CMD_SET_PASSWORD }) );
+		}
+
+		/**
+		* Remove the owner or guest password (an empty password disables the protection)
+		* @param {string} role - SBrick.OWNER (default) or SBrick.GUEST
+		* @returns {promise returning undefined}
+		*/
+		clearPassword( role = OWNER ) {
+			return this.setPassword( "", role );
+		}
+
+		/**
+		* Ask the SBrick if a role is authenticated
+		* @param {string} role - SBrick.OWNER or SBrick.GUEST, if not given any of them
+		* @returns {promise returning boolean}
+		*/
+		isAuthenticated( role ) {
+			let roles = role === undefined ? [ OWNER, GUEST ] : [ role ];
+			return this._checkPassword( "", roles[0] )
+			.then( () => {
+				return Promise.all( roles.map( r => this._command( Protocol.CMD_IS_AUTHENTICATED, { user: ROLES[r] }, true ) ) );
+			})
+			.then( replies => {
+				return replies.some( reply => reply.authenticated );
+			})
+			.catch( e => this._error(e, { command: Protocol.CMD_IS_AUTHENTICATED }) );
+		}
+
+
+		/**
+		* Get the SBrick watchdog timeout: when no command is received for that time the ports are stopped
+		* @returns {promise returning number} - timeout in milliseconds, 0 if the watchdog is disabled
+		*/
+		getWatchdogTimeout() {
+			return this._command( Protocol.CMD_GET_WATCHDOG, {}, true )
+			.then( reply => {
+				this.watchdogTimeout = reply.timeout;
+				return reply.timeout;
+			})
+			.catch( e => this._error(e, { command: Protocol.CMD_GET_WATCHDOG }) );
+		}
+
+		/**
+		* Set the SBrick watchdog timeout, the keepalive interval is updated accordingly
+		* @param {number} timeout - milliseconds (0 or 100-25500, rounded to tenths of a second), 0 disables the watchdog
+		* @returns {promise returning number} - the timeout set
+		*/
+		setWatchdogTimeout( timeout ) {
+			return new Promise( (resolve, reject) => {
+				if( timeout === 0 || ( typeof timeout === 'number' && timeout >= 100 && timeout <= 0xFF * 100 ) ) {
+					resolve();
+				} else {
+					reject( new Errors.InvalidParameterError('Wrong input: timeout must be 100-25500 milliseconds, or 0 to disable the watchdog') );
+				}
+			})
+			.then( () => {
+				return this._command( Protocol.CMD_SET_WATCHDOG, { timeout: timeout } );
+			})
+			.then( () => {
+				this.watchdogTimeout = Math.round( timeout / 100 ) * 100;
+				if( this.keepalive ) {
+					this._startKeepalive();
+				}
+				return this.watchdogTimeout;
+			})
+			.catch( e => this._error(e, { command: Protocol.CMD_SET_WATCHDOG }) );
+		}
+
+		/**
+		* Enable or disable the keepalive (apps streaming commands don't need it)
+		* @param {boolean} enabled
+		*/
+		setKeepalive( enabled ) {
+			this.useKeepalive = !!enabled;
+		}
+
+		/**
+		* Reconnect automatically when the connection is lost, waiting longer after every failed attempt
+		* once reconnected the firmware is checked again, the password given to connect() is sent again,
+		* the sensor inputs (PVM) are restored and the ports that were driving are stopped or driven again
+		* @param {boolean|object} options - false to disable, true for the defaults, or {attempts, delay, factor, maxDelay, restore}
+		*		attempts: {number} Attempts before giving up, Infinity to never give up (default 10)
+		*		delay: {number} Milliseconds before the first attempt (default 1000)
+		*		factor: {number} Multiplier of the delay after every failed attempt (default 2)
+		*		maxDelay: {number} Max milliseconds between two attempts (default 30000)
+		*		restore: {string} "stop" (default) to stop the ports that were driving, "resume" to drive them again with the last values
+		*/
+		setAutoReconnect( options ) {
+			if( !options ) {
+				this.autoReconnect = null;
+				return;
+			}
+			options = Object.assign( {}, RECONNECT, options === true ? {} : options );
+			if( options.restore !== RESTORE_STOP && options.restore !== RESTORE_RESUME ) {
+				throw new Errors.InvalidParameterError('Wrong input: restore must be "' + RESTORE_STOP + '" or "' + RESTORE_RESUME + '"');
+			}
+			if( !( options.attempts >= 1 ) || !( options.delay >= 0 ) || !( options.factor >= 1 ) || !( options.maxDelay >= 0 ) ) {
+				throw new Errors.InvalidParameterError('Wrong input: reconnection attempts, delay, factor and maxDelay must be positive numbers');
+			}
+			this.autoReconnect = options;
+		}
+
+		/**
+		* Check if the SBrick is reconnecting after a connection loss
+		* @returns {boolean}
+		*/
+		isReconnecting() {
+			return this._reconnection !== null;
+		}
+
+
+		/**
+		* Update the SBrick firmware through the OTA service: the image is streamed in chunks,
+		* then the SBrick verifies it and reboots, and the library reconnects to it
+		* the outputs are stopped, the sensor and battery reads pause until the SBrick is back
+		* @param {ArrayBuffer|Uint8Array} image - the firmware image
+		* @param {object} options - {onProgress, crc32, version, chunkSize}
+		*		onProgress: {function} Called with {stage, sent, total, percent}, stage is "begin", "upload", "verify", "reboot", "reconnect" or "done"
+		*		crc32: {number} If given, the image is checked against this CRC-32 before sending it
+		*		version: {string} If given, the firmware version expected after the update
+		*		chunkSize: {number} Bytes for each write (default 20)
+		* @returns {promise returning string} - the firmware version after the update
+		*/
+		updateFirmware( image, options = {} ) {
+			const onProgress = options.onProgress || function() {},
+						chunkSize  = options.chunkSize || OTA_CHUNK;
+			let bytes = null;
+			if( image instanceof ArrayBuffer ) {
+				bytes = new Uint8Array(image);
+			} else if( ArrayBuffer.isView(image) ) {
+				bytes = new Uint8Array( image.buffer, image.byteOffset, image.byteLength );
+			}
+			const total = bytes ? bytes.length : 0;
+			const progress = ( stage, sent ) => {
+				onProgress( { stage: stage, sent: sent, total: total, percent: Math.round( sent / total * 100 ) } );
+			};
+
+			return new Promise( (resolve, reject) => {
+				if( !total ) {
+					reject( new Errors.InvalidParameterError('Wrong input: the firmware image must be a non empty ArrayBuffer') );
+				} else if( options.crc32 !== undefined && Protocol.crc32(bytes) !== options.crc32 ) {
+					reject( new Errors.InvalidParameterError('Wrong input: the firmware image is corrupted (CRC-32 mismatch)') );
+				} else if( !this.isConnected() ) {
+					reject( new Errors.NotConnectedError('Not connected') );
+				} else {
+					resolve( this._unsupported( 'ota' ) );
+				}
+			})
+			.then( unsupported => {
+				if( unsupported ) {
+					throw unsupported;
+				}
+				// the sensor inputs keep their mode, their PVM is written again after the reboot
+				return this.stop( this._getPorts().filter( portId => this.ports[portId].mode !== INPUT ) );
+			})
+			.then( () => {
+				// no keepalive, sensor or battery reads in the middle of the transfer
+				this._updating = true;
+				this._stopKeepalive();
+				this._stopSensorLoop();
+				// the whole transfer is one task: the writes already queued go first, the next ones wait for it
+				return this.scheduler.add( () => {
+					progress( "begin", 0 );
+					return this._write( UUID_CHARACTERISTIC_OTACONTROL, new Uint8Array([ Protocol.OTA_BEGIN ]) )
+					.then( () => {
+						// one chunk after the other
+						const upload = ( offset ) => {
+							if( offset >= total ) {
+								return Promise.resolve();
+							}
+							let end = Math.min( offset + chunkSize, total );
+							return this._write( UUID_CHARACTERISTIC_OTADATA, bytes.slice( offset, end ) )
+							.then( () => {
+								progress( "upload", end );
+								return upload( end );
+							});
+						};
+						return upload( 0 );
+					})
+					.then( () => {
+						progress( "verify", total );
+						return this._write( UUID_CHARACTERISTIC_OTACONTROL, new Uint8Array([ Protocol.OTA_END ]) )
+						.catch( e => {
+							// the SBrick may reboot before answering
+							if( this.isConnected() ) {
+								throw e;
+							}
+						});
+					});
+				});
+			})
+			.then( () => {
+				progress( "reboot", total );
+				return this._waitDisconnection( T_REBOOT );
+			})
+			.then( () => {
+				progress( "reconnect", total );
+				return this._reconnectTransport( OTA_ATTEMPTS );
+			})
+			.then( () => {
+				return this.getFirmwareVersion();
+			})
+			.then( version => {
+				if( options.version !== undefined && version !== options.version ) {
+					throw new Errors.SBrickError( "Firmware update failed: the SBrick is running version " + version );
+				}
+				this.capabilities = Capabilities.detect( { model: this.model, firmware: version } );
+				return this._endUpdate()
+				.then( () => {
+					progress( "done", total );
+					return version;
+				});
+			})
+			.catch( e => {
+				if( this._updating ) {
+					return this._endUpdate().then( () => this._error(e), () => this._error(e) );
+				}
+				return this._error(e);
+			});
+		}
+
+
 		/**
 		* Send drive command
 		* @param {object} portObj - {portId, direction, power}
@@ -290,16 +761,18 @@ let SBrick = (function() {
 					direction: 	arguments[1],
 					power: 		  arguments[2]
 				};
-				this._log('Calling drive with 3 arguments is deprecated: use 1 object {portId, direction, power} instead.');
+				this._log('Calling drive with 3 arguments is deprecated: use 1 object {portId, direction, power} instead.', WARN);
 			}
 
 			const portId 		= portObj.portId,
 						direction = portObj.direction || CLOCKWISE,
 						power 		= ( portObj.power === undefined ) ? MAX : portObj.power
 
+			this._cancelMotions( [ portId ] );
 			return new Promise( (resolve, reject) => {
 				if( portId !== undefined && direction !== undefined && power !== undefined ) {
-					resolve();
+					// queued now, in order with the other commands of the port
+					resolve( this._drive( portId, direction, power ) );
 				} else {
 					let msg = 'Wrong input: please specify ';
 					if (portId === undefined) { msg += 'portId'; }
@@ -307,37 +780,10 @@ let SBrick = (function() {
 						if (portId === undefined) {	msg += ' and'; }
 						msg += ' power';
 					}
-					reject(msg);
+					reject( new Errors.InvalidParameterError(msg, { command: CMD_DRIVE, portId: portId }) );
 				}
 			} )
-			.then( ()=> {
-				return this._pvm( { portId:portId, mode:OUTPUT } );
-			})
-			.then( () => {
-				let port = this.ports[portId];
-
-				port.power     = Math.min(Math.max(parseInt(Math.abs(power)), MIN), MAX);
-				port.direction = direction ? COUNTERCLOCKWISE : CLOCKWISE;
-
-				if( !port.busy ) {
-					port.busy = true;
-					this.queue.add( () => {
-						port.busy = false;
-						return this.webbluetooth.writeCharacteristicValue(
-							UUID_CHARACTERISTIC_REMOTECONTROL,
-							new Uint8Array([ CMD_DRIVE, PORTS[portId].portId, port.direction, port.power ])
-						) }
-					);
-				}
-			})
-			.then( () => {
-				// all went well, send event and return the settings we just applied
-				let portData = this._getPortData(portId);
-				this._sendPortChangeEvent(portData);
-				// return the new settings to the promise
-				return portData;
-			})
-			.catch( e => { this._error(e) } );
+			.catch( e => this._error(e, { command: CMD_DRIVE, portId: portId }) );
 		}
 
 
@@ -347,55 +793,26 @@ let SBrick = (function() {
 		* @returns {promise returning array} - Returned array: [{portId, direction, power}, {...}, {...}, {...}]
 		*/
 		quickDrive( portObjs ) {
+			let portIds = Array.isArray(portObjs) ? portObjs.map( portObj => portObj.portId === undefined ? parseInt( portObj.port ) : parseInt( portObj.portId ) ) : [];
+			this._cancelMotions( portIds );
 			return new Promise( (resolve, reject) => {
-				if( Array.isArray(portObjs) ) {
-					resolve();
+				if( !Array.isArray(portObjs) ) {
+					reject( new Errors.InvalidParameterError('Wrong input: quickDrive expects array') );
+				} else if( this._unsupported( 'quickDrive' ) ) {
+					reject( this._unsupported( 'quickDrive' ) );
 				} else {
-					reject('Wrong input: quickDrive expects array');
-				}
-			} )
-			.then( ()=> {
-				let array = [];
-				let allPorts = this._getPorts();
-				allPorts.forEach( (portId) => {
-					array.push( {
-						portId: portId,
-						mode: OUTPUT
-					} );
-				});
-				console.log(array);
-				return this._pvm( array );
-			})
-			.then( ()=> {
-				// updating ports status
-				portObjs.forEach( (portObj) => {
-		      let portId = parseInt( portObj.portId );
-		      if (isNaN(portId)) {
-		        // the old version with port instead of portId was used
-		        portId = parseInt( portObj.port );
-		        this._log('object property port is deprecated. use portId instead.');
-		      }
-		      let port       = this.ports[portId];
-		      port.power     = Math.min(Math.max(parseInt(Math.abs(portObj.power)), MIN), MAX);
-		      port.direction = portObj.direction ? COUNTERCLOCKWISE : CLOCKWISE;
-		    });
-				// send command
-				if(this._portsIdle(this._getPorts())) {
-					// set all ports busy
-		      this._setPortsBusy(this._getPorts(), true);
-					this.queue.add( () => {
-						let command = [];
-						this.ports.forEach( (port, index) => {
-								port.busy = false;
-								command.push( parseInt( parseInt(port.power/MAX*MAX_QD).toString(2) + port.direction, 2 ) );
-						});
-						return this.webbluetooth.writeCharacteristicValue(
-							UUID_CHARACTERISTIC_QUICKDRIVE,
-							new Uint8Array( command )
-						);
+					let sensorPort = portObjs.find( portObj => {
+						let port = this.ports[ portObj.portId === undefined ? parseInt( portObj.port ) : parseInt( portObj.portId ) ];
+						return port && port.config.type === SENSOR;
 					});
+					if( sensorPort ) {
+						reject( this._sensorPortError( sensorPort.portId === undefined ? parseInt( sensorPort.port ) : parseInt( sensorPort.portId ) ) );
+					} else {
+						// queued now, in order with the other commands of the ports
+						resolve( this._quickDrive( portObjs ) );
+					}
 				}
-			})
+			} )
 			.then( () => {
 				// all went well, return an array with the channels and the settings we just applied
 				let returnData = [];
@@ -414,7 +831,8 @@ let SBrick = (function() {
 				});
 				return returnData;
 			})
-			.catch( e => { this._error(e) } );
+			// the port is known only if a single one was driven
+			.catch( e => this._error(e, { command: CMD_DRIVE, portId: portIds.length === 1 ? portIds[0] : undefined }) );
 		}
 
 
@@ -424,59 +842,24 @@ let SBrick = (function() {
 		* @returns {promise}
 		*/
 		stop( portIds ) {
+			if( portIds !== null && portIds !== undefined ) {
+				this._cancelMotions( [].concat( portIds ) );
+			}
 			return new Promise( (resolve, reject) => {
 				if( portIds!==null ) {
 					if( !Array.isArray(portIds) ) {
 						portIds = [ portIds ];
 					}
-					resolve();
+					// sensor ports are never shorted, not to lose their measurements
+					let outputs = portIds.filter( portId => this.ports[portId].config.type !== SENSOR );
+					// queued now, in order with the other commands of the ports
+					resolve( this._stop( outputs ) );
 				} else {
-					reject('wrong input');
+					reject( new Errors.InvalidParameterError('wrong input', { command: CMD_BREAK }) );
 				}
 			} )
-			.then( ()=> {
-				let array = [];
-				portIds.forEach( (portId) => {
-					array.push( {
-						portId: portId,
-						mode: BREAK
-					} );
-				});
-				return this._pvm( array );
-			})
-			.then( ()=> {
-				let portsToUpdate = [];
-				// update object values and build the command
-				portIds.forEach( (portId) => {
-					let port = this.ports[portId];
-					port.power = 0;
-					if(!port.busy) {
-						portsToUpdate.push(portId);
-					}
-				});
-				if( portsToUpdate.length ) {
-					this._setPortsBusy(portsToUpdate, true);
-					this.queue.add( () => {
-						this._setPortsBusy(portsToUpdate, false);
-						return this.webbluetooth.writeCharacteristicValue(
-							UUID_CHARACTERISTIC_REMOTECONTROL,
-							new Uint8Array( [ CMD_BREAK ].concat(portsToUpdate) )
-						);
-					});
-				}
-			})
-			.then( () => {
-				// all went well, return an array with the channels and the settings we just applied
-				let returnData = [];
-				portIds.forEach((portId) => {
-					// send event for this port
-					let portData = this._getPortData(portId);
-					this._sendPortChangeEvent(portData);
-					returnData.push(portData);
-				});
-				return returnData;
-			})
-			.catch( e => { this._error(e) } );
+			.then( () => portIds.map( portId => this._getPortData(portId) ) )
+			.catch( e => this._error(e, { command: CMD_BREAK }) );
 		}
 
 
@@ -490,167 +873,1425 @@ let SBrick = (function() {
 
 
 		/**
-		* Get battery percentage
-		* @returns {promise returning number}
+		* Change the power of a port gradually, cancelled by any other command for the port
+		* a change of direction goes through 0
+		* @param {number} portId
+		* @param {number} power - The target power 0-255
+		* @param {object} options - {direction, durationMs, curve, coast}
+		*		direction: {hexadecimal number} The target direction (default: clockwise)
+		*		durationMs: {number} The duration of the ramp (default 1000)
+		*		curve: {string|function} "linear" (default), "ease" or a function mapping the time (0-1) to the progress (0-1)
+		*		coast: {boolean} When ramping to 0, leave the motor free (power 0) instead of braking at the end
+		* @returns {promise returning object|null} - the port data at the end, null if cancelled by another command
 		*/
-		getBattery() {
-			return this._volt()
-			.then( volt => {
-				return parseInt( Math.abs( volt / MAX_VOLT * 100 ) );
-			});
+		rampTo( portId, power, options = {} ) {
+			this._cancelMotions( [ portId ] );
+			const curve = typeof options.curve === 'function' ? options.curve : CURVES[ options.curve || 'linear' ];
+			const durationMs = options.durationMs === undefined ? T_RAMP : options.durationMs;
+			return new Promise( (resolve, reject) => {
+				if( !PORTS[portId] ) {
+					reject( new Errors.InvalidParameterError('Wrong input: unknown port', { command: CMD_DRIVE, portId: portId }) );
+				} else if( typeof power !== 'number' || isNaN(power) ) {
+					reject( new Errors.InvalidParameterError('Wrong input: please specify power', { command: CMD_DRIVE, portId: portId }) );
+				} else if( !curve ) {
+					reject( new Errors.InvalidParameterError('Wrong input: curve must be "linear", "ease" or a function', { command: CMD_DRIVE, portId: portId }) );
+				} else if( typeof durationMs !== 'number' || !( durationMs >= 0 ) ) {
+					reject( new Errors.InvalidParameterError('Wrong input: durationMs must be a positive number', { command: CMD_DRIVE, portId: portId }) );
+				} else {
+					resolve();
+				}
+			} )
+			.then( () => {
+				const motion = this._startMotion( portId );
+				const port = this.ports[portId];
+				// signed powers: negative is counterclockwise
+				const from = port.mode === OUTPUT ? ( port.direction ? -port.power : port.power ) : 0;
+				const target = Math.min( Math.max( Math.abs(power), MIN ), MAX ) * ( options.direction ? -1 : 1 );
+				const start = Date.now();
+
+				const step = () => {
+					let t = durationMs > 0 ? Math.min( ( Date.now() - start ) / durationMs, 1 ) : 1;
+					let value = Math.round( from + ( target - from ) * curve(t) );
+					return this._drive( portId, value < 0 ? COUNTERCLOCKWISE : CLOCKWISE, Math.abs(value), motion )
+					.then( () => {
+						if( motion.cancelled ) {
+							return null;
+						}
+						if( t < 1 ) {
+							return this._motionDelay( motion, T_RAMP_STEP ).then( () => motion.cancelled ? null : step() );
+						}
+						if( target === 0 && !options.coast ) {
+							return this._stop( [ portId ] ).then( portsData => portsData[0] );
+						}
+						return this._getPortData( portId );
+					});
+				};
+				return step()
+				.then( result => {
+					this._endMotion( motion );
+					return result;
+				}, e => {
+					this._endMotion( motion );
+					throw e;
+				});
+			})
+			.catch( e => this._error(e, { command: CMD_DRIVE, portId: portId }) );
 		}
 
 
 		/**
-		* Get sbrick's temperature in degrees Celsius (default) or Fahrenheit
-		* @param {boolean} fahrenheit - If true, temperature is returned in Fahrenheit
-		* @returns {promise returning number}
+		* Drive a port for a while, then stop it, cancelled by any other command for the port
+		* @param {number} portId
+		* @param {number} power - 0-255
+		* @param {number} ms - how long to drive
+		* @param {object} options - {direction, coast}
+		*		direction: {hexadecimal number} The drive direction (default: clockwise)
+		*		coast: {boolean} Leave the motor free (power 0) at the end instead of braking
+		* @returns {promise returning object|null} - the port data once stopped, null if cancelled by another command
 		*/
-		getTemp( fahrenheit = false) {
-			return this._temp()
-			.then( temp => {
-				let result = 0;
-				if( fahrenheit ) {
-					result = temp * 9/5 + 32;
-					result = result; // ' °F';
+		driveFor( portId, power, ms, options = {} ) {
+			this._cancelMotions( [ portId ] );
+			return new Promise( (resolve, reject) => {
+				if( !PORTS[portId] ) {
+					reject( new Errors.InvalidParameterError('Wrong input: unknown port', { command: CMD_DRIVE, portId: portId }) );
+				} else if( typeof ms !== 'number' || !( ms >= 0 ) ) {
+					reject( new Errors.InvalidParameterError('Wrong input: ms must be a positive number', { command: CMD_DRIVE, portId: portId }) );
 				} else {
-					result = temp; // ' °C';
+					resolve();
 				}
-				return result;
-			});
+			} )
+			.then( () => {
+				const motion = this._startMotion( portId );
+				return this._drive( portId, options.direction || CLOCKWISE, power === undefined ? MAX : power, motion )
+				.then( () => this._motionDelay( motion, ms ) )
+				.then( () => {
+					if( motion.cancelled ) {
+						return null;
+					}
+					if( options.coast ) {
+						return this._drive( portId, this.ports[portId].direction, MIN, motion );
+					}
+					return this._stop( [ portId ] ).then( portsData => portsData[0] );
+				})
+				.then( result => {
+					this._endMotion( motion );
+					return result;
+				}, e => {
+					this._endMotion( motion );
+					throw e;
+				});
+			})
+			.catch( e => this._error(e, { command: CMD_DRIVE, portId: portId }) );
 		}
 
+
 		/**
-		* Read sensor data on a specific PORT
-		* @param {hexadecimal} portId - The index of the port in the this.ports array
-		* @param {string} sensorSeries - not implemented yet - in the future it will manage different sensor series (wedo, EV3, NXT, ...)
-		* @returns {promise} - sensor measurement Object (structure depends on the sensor type)
+		* Run a light effect on a port, cancelled by any other command for the port
+		* the port is updated only when the effect changes it, one command at a time, so motors are not delayed
+		* @param {number} portId
+		* @param {string} effect - "brightness", "blink", "strobe", "fade", "breathe", "flicker", "alternate" or any effect registered in SBrick.Effects
+		* @param {object} options - {brightness, direction, stopAfterMs, stepMs} and the options of the effect (see sbrick-effects.js)
+		*		brightness: {number} The power of the light on (0-255, default 255)
+		*		direction: {hexadecimal number} The polarity, to choose the LED when two are connected with opposite polarities (default: clockwise)
+		*		stopAfterMs: {number} Stop the effect and switch the light off after this time (default: endless)
+		*		stepMs: {number} Time between the updates (default 50)
+		* @returns {promise returning object|null} - the port data when the effect is over, null if cancelled by another command
 		*/
-		getSensor( portId, sensorSeries ) {
+		lightEffect( portId, effect, options = {} ) {
+			this._cancelMotions( [ portId ] );
 			return new Promise( (resolve, reject) => {
-				if( portId !== null ) {
-					resolve();
-				} else {
-					reject('wrong input');
-				}
-			}).then( () => {
-				let newPortStatus = { portId: portId, mode:INPUT };
-				// reset the port if is in "break mode" (short circuited) or driving before activate PVM
-				if(this.ports[portId].mode===BREAK || this.ports[portId].power!=0) {
-					return this.drive(portId,CLOCKWISE,0)
-					.then( () => {
-						return this._pvm( newPortStatus );
-					} );
+				if( !PORTS[portId] ) {
+					reject( new Errors.InvalidParameterError('Wrong input: unknown port', { command: CMD_DRIVE, portId: portId }) );
+				} else if( !Effects.get(effect) ) {
+					reject( new Errors.InvalidParameterError('Wrong input: effect must be one of ' + Effects.list().join(', '), { command: CMD_DRIVE, portId: portId }) );
 				} else {
-					return this._pvm( newPortStatus );
+					resolve( Effects.create( effect, options ) );
 				}
-			}).then( () => {
-				let channels = this._getPortChannels(portId);
-				return this._adc([CMD_ADC_VOLT].concat(channels))
-				.then( data => {
-					let arrayData = [];
-					for (let i = 0; i < data.byteLength; i+=2) {
-						arrayData.push( data.getUint16(i, true) );
+			} )
+			.then( pattern => {
+				const motion = this._startMotion( portId );
+				const start = Date.now();
+				const stopAfterMs = options.stopAfterMs;
+
+				const step = () => {
+					let elapsed = Date.now() - start;
+					let level = pattern( elapsed );
+					let over = !!level.done;
+					if( stopAfterMs !== undefined && elapsed >= stopAfterMs && !over ) {
+						// time is up: light off
+						level = { power: MIN, direction: level.direction };
+						over = true;
 					}
-					let sensorData = {
-						type: 'unknown',
-						voltage: arrayData[0] >> 4,
-						ch0_raw: arrayData[1] >> 4,
-						ch1_raw: arrayData[2] >> 4
-					};
-
-					// Sensor Type Management
-					switch(sensorSeries) {
-						case "wedo":
-							let typeId  = Math.round( ( sensorData.ch0_raw / sensorData.voltage ) * 255 );
-							let value = Math.round( ( sensorData.ch1_raw / sensorData.voltage ) * 255 );
-							sensorData.type  = ( typeId >= 48 && typeId <= 50 ) ? "tilt" : "motion";
-							sensorData.value = value;
-							break;
-
-						default:
-							sensorData.value = sensorData.ch1_raw / sensorData.voltage;
+					let port = this.ports[portId];
+					let direction = level.direction ? COUNTERCLOCKWISE : CLOCKWISE;
+					let power = Math.min( Math.max( Math.round(level.power) || MIN, MIN ), MAX );
+					let update = Promise.resolve();
+					if( port.mode !== OUTPUT || port.power !== power || port.direction !== direction ) {
+						update = this._drive( portId, direction, power, motion );
 					}
-					return sensorData;
-				} );
-			});
-		}
+					return update.then( () => {
+						if( motion.cancelled ) {
+							return null;
+						}
+						if( over ) {
+							return this._getPortData( portId );
+						}
+						return this._motionDelay( motion, options.stepMs || T_EFFECT_STEP ).then( () => motion.cancelled ? null : step() );
+					});
+				};
+				return step()
+				.then( result => {
+					this._endMotion( motion );
+					return result;
+				}, e => {
+					this._endMotion( motion );
+					throw e;
+				});
+			})
+			.catch( e => this._error(e, { command: CMD_DRIVE, portId: portId }) );
+		}
+
+
+		/**
+		* Get battery percentage, read on the discharge curve of the battery profile (see configureBattery())
+		* @returns {promise returning number}
+		*/
+		getBattery() {
+			return this._readBattery()
+			.then( battery => battery.percentage )
+			.catch( e => this._error(e, { command: CMD_ADC }) );
+		}
+
+		/**
+		* Read the battery
+		* @returns {promise returning object} - {voltage, smoothed, percentage, state, profile}
+		*		voltage: {number} The voltage read now (V)
+		*		smoothed: {number} The average of the last readings (V), percentage and state are read on it
+		*		state: {string} "ok", "low" or "critical"
+		*/
+		getBatteryStatus() {
+			return this._readBattery()
+			.catch( e => this._error(e, { command: CMD_ADC }) );
+		}
+
+		/**
+		* Configure the battery, only the given settings are changed
+		* @param {object} config - {profile, smoothing, policy, capPower}
+		*		profile: {string} "alkaline" (default), "nimh", "liion", "linear" or any profile registered in SBrick.Battery
+		*		smoothing: {number} Weight of a new reading in the smoothed voltage, from 1 (no smoothing) to 0.01 (default 0.3)
+		*		policy: {string} When the battery gets critical: "none" (default, only the events), "cap" to limit the power of the motors, "stop" to stop all the ports
+		*		capPower: {number} The max power of the motors with the "cap" policy (default 128)
+		* @returns {object} - the whole battery configuration
+		*/
+		configureBattery( config = {} ) {
+			let updated = Object.assign( {}, this.batteryConfig );
+			Object.keys(BATTERY).forEach( key => {
+				if( config[key] !== undefined ) {
+					updated[key] = config[key];
+				}
+			});
+			if( !Battery.get(updated.profile) ) {
+				throw new Errors.InvalidParameterError('Wrong input: profile must be one of ' + Battery.list().join(', '));
+			}
+			if( typeof updated.smoothing !== 'number' || !( updated.smoothing >= 0.01 && updated.smoothing <= 1 ) ) {
+				throw new Errors.InvalidParameterError('Wrong input: smoothing must be a number between 0.01 and 1');
+			}
+			if( POLICIES.indexOf(updated.policy) === -1 ) {
+				throw new Errors.InvalidParameterError('Wrong input: policy must be one of ' + POLICIES.join(', '));
+			}
+			if( !Number.isInteger(updated.capPower) || updated.capPower < MIN || updated.capPower > MAX ) {
+				throw new Errors.InvalidParameterError('Wrong input: capPower must be an integer between ' + MIN + ' and ' + MAX);
+			}
+			if( updated.profile !== this.batteryConfig.profile ) {
+				// the state is read again with the new profile
+				this.battery.state = null;
+			}
+			this.batteryConfig = updated;
+			return this.getBatteryConfig();
+		}
+
+		/**
+		* Get the battery configuration
+		* @returns {object} - {profile, smoothing, policy, capPower}
+		*/
+		getBatteryConfig() {
+			return Object.assign( {}, this.batteryConfig );
+		}
+
+		/**
+		* Read the battery periodically: a "batterylow" and a "batterycritical" event are emitted when it gets low and critical,
+		* then the battery policy is applied (see configureBattery())
+		* @param {object} options - {intervalMs}
+		*		intervalMs: {number} Time between readings (default 10000)
+		* @returns {promise returning function} - call it to stop monitoring
+		*/
+		monitorBattery( options = {} ) {
+			return new Promise( (resolve, reject) => {
+				if( options.intervalMs !== undefined && !( options.intervalMs > 0 ) ) {
+					reject( new Errors.InvalidParameterError('Wrong input: intervalMs must be a number > 0') );
+				} else {
+					resolve();
+				}
+			}).then( () => {
+				return this._readBattery();
+			}).then( () => {
+				this._stopBatteryMonitor();
+				let monitor = { intervalMs: options.intervalMs || T_BATTERY, timer: null };
+				let tick = () => {
+					monitor.timer = setTimeout( () => {
+						let reading = this.isConnected() && !this._updating ? this._readBattery() : Promise.resolve();
+						reading
+						.catch( e => {
+							let error = Errors.fromError( e, { command: CMD_ADC } );
+							this._log( error, ERROR );
+							this._report( error );
+						})
+						.then( () => {
+							if( this._batteryMonitor === monitor ) {
+								tick();
+							}
+						});
+					}, monitor.intervalMs );
+				};
+				this._batteryMonitor = monitor;
+				tick();
+				return () => this._stopBatteryMonitor( monitor );
+			})
+			.catch( e => this._error(e, { command: CMD_ADC }) );
+		}
+
+
+		/**
+		* Get sbrick's temperature in degrees Celsius (default) or Fahrenheit
+		* @param {boolean} fahrenheit - If true, temperature is returned in Fahrenheit
+		* @returns {promise returning number}
+		*/
+		getTemp( fahrenheit = false) {
+			return this._temp()
+			.then( temp => {
+				this._dispatch( 'temperature', { celsius: temp } );
+				let result = 0;
+				if( fahrenheit ) {
+					result = temp * 9/5 + 32; // ' °F';
+				} else {
+					result = temp; // ' °C';
+				}
+				return result;
+			})
+			.catch( e => this._error(e, { command: CMD_ADC }) );
+		}
+
+		/**
+		* Read sensor data on a specific PORT
+		* @param {hexadecimal} portId - The index of the port in the this.ports array
+		* @param {string} sensorSeries - the sensor series ("wedo", ...) or "auto" to detect the sensor among all the registered drivers (see sbrick-sensors.js), raw data if not given
+		* @returns {promise} - sensor measurement Object (structure depends on the sensor type)
+		*/
+		getSensor( portId, sensorSeries ) {
+			return new Promise( (resolve, reject) => {
+				if( portId === null || this.ports[portId] === undefined ) {
+					reject( new Errors.InvalidParameterError('wrong input', { portId: portId }) );
+				} else if( this._unsupported( 'sensor', { portId: portId } ) ) {
+					reject( this._unsupported( 'sensor', { portId: portId } ) );
+				} else {
+					resolve();
+				}
+			}).then( () => {
+				return this._inputMode( portId );
+			}).then( () => {
+				let channels = this._getPortChannels(portId);
+				return this._adc([CMD_ADC_VOLT].concat(channels))
+				.then( values => {
+					let sensorData = this._decodeSensor( values[0], values[1], values[2], sensorSeries );
+					this._dispatch( 'sensor', Object.assign( { portId: portId }, sensorData ) );
+					return sensorData;
+				} );
+			})
+			.catch( e => this._error(e, { command: CMD_ADC, portId: portId }) );
+		}
+
+		/**
+		* Read sensor data continuously on a specific PORT: PVM stays enabled and all the subscribed ports
+		* are read with a single ADC query, the listener is called only when the value changes
+		* @param {hexadecimal} portId - The index of the port in the this.ports array
+		* @param {object} options - {series, intervalMs, threshold, onChange, onError}
+		*		series: {string} The sensor series, as in getSensor()
+		*		intervalMs: {number} Time between readings (default 200, PVM updates 5 times per second)
+		*		threshold: {number} Minimum change of the value to call onChange (default 0: any change)
+		*		onChange: {function} Called with the sensor measurement Object and the previous one
+		*		onError: {function} Called with the SBrickError of a failed reading
+		* @returns {promise returning function} - call it to unsubscribe and restore the previous port mode
+		*/
+		subscribeSensor( portId, options = {} ) {
+			return new Promise( (resolve, reject) => {
+				if( this.ports[portId] === undefined ) {
+					reject( new Errors.InvalidParameterError('wrong input', { portId: portId }) );
+				} else if( typeof options.onChange !== 'function' ) {
+					reject( new Errors.InvalidParameterError('Wrong input: onChange must be a function', { portId: portId }) );
+				} else if( this._unsupported( 'sensor', { portId: portId } ) ) {
+					reject( this._unsupported( 'sensor', { portId: portId } ) );
+				} else {
+					resolve();
+				}
+			}).then( () => {
+				let previous = this.subscriptions[portId];
+				let subscription = {
+					portId:     portId,
+					series:     options.series,
+					intervalMs: Math.max( options.intervalMs || T_SENSOR, 1 ),
+					threshold:  options.threshold || 0,
+					onChange:   options.onChange,
+					onError:    options.onError,
+					mode:       previous ? previous.mode : this.ports[portId].mode,
+					last:       null,
+					lastTime:   0
+				};
+				this.subscriptions[portId] = subscription;
+				return this._inputMode( portId )
+				.then( () => {
+					this._startSensorLoop();
+					return () => this._unsubscribeSensor( subscription );
+				});
+			})
+			.catch( e => this._error(e, { command: CMD_PVM, portId: portId }) );
+		}
+
+		/**
+		* Configure a port once, the settings are applied by every command for the port
+		* @param {number} portId
+		* @param {object} config - {type, inverted, minPower, maxPower, label}, only the given settings are changed
+		*		type: {string} SBrick.MOTOR (default), SBrick.LIGHT, SBrick.SERVO or SBrick.SENSOR (never driven nor stopped)
+		*		inverted: {boolean} The device is mounted backwards: the directions are swapped
+		*		minPower: {number} The power sent for the lowest power (1), e.g. where a motor starts turning (default 0)
+		*		maxPower: {number} The power sent for the highest power (255), e.g. to limit lights (default 255), servos ignore the limits (see calibrateServo())
+		*		label: {string} A name for the device (e.g. "left track")
+		* @returns {object} - the whole configuration of the port
+		*/
+		configurePort( portId, config = {} ) {
+			if( !PORTS[portId] ) {
+				throw new Errors.InvalidParameterError('Wrong input: unknown port', { portId: portId });
+			}
+			let updated = Object.assign( {}, this.ports[portId].config );
+			Object.keys(PORT_CONFIG).forEach( key => {
+				if( config[key] !== undefined ) {
+					updated[key] = config[key];
+				}
+			});
+			if( TYPES.indexOf(updated.type) === -1 ) {
+				throw new Errors.InvalidParameterError('Wrong input: type must be one of ' + TYPES.join(', '), { portId: portId });
+			}
+			if( typeof updated.inverted !== 'boolean' || typeof updated.label !== 'string' ) {
+				throw new Errors.InvalidParameterError('Wrong input: inverted must be a boolean and label a string', { portId: portId });
+			}
+			if( !Number.isInteger(updated.minPower) || !Number.isInteger(updated.maxPower) || updated.minPower < MIN || updated.maxPower > MAX || updated.minPower > updated.maxPower ) {
+				throw new Errors.InvalidParameterError('Wrong input: minPower and maxPower must be integers with ' + MIN + ' <= minPower <= maxPower <= ' + MAX, { portId: portId });
+			}
+			this.ports[portId].config = updated;
+			return this.getPortConfig(portId);
+		}
+
+		/**
+		* Get the configuration of a port
+		* @param {number} portId
+		* @returns {object} - {type, inverted, minPower, maxPower, label}
+		*/
+		getPortConfig( portId ) {
+			if( !PORTS[portId] ) {
+				throw new Errors.InvalidParameterError('Wrong input: unknown port', { portId: portId });
+			}
+			return Object.assign( {}, this.ports[portId].config );
+		}
+
+		/**
+		* Get the configuration of all the ports, ready for JSON.stringify(), to save it for a model
+		* @returns {array} - [ {portId, type, inverted, minPower, maxPower, label}, ... ], servo ports also have their calibration (servo)
+		*/
+		getPortConfigs() {
+			return this._getPorts().map( portId => {
+				let config = Object.assign( { portId: portId }, this.getPortConfig(portId) );
+				if( config.type === SERVO ) {
+					config.servo = this.getServoCalibration(portId);
+				}
+				return config;
+			});
+		}
+
+		/**
+		* Configure several ports, e.g. with a configuration saved by getPortConfigs()
+		* @param {array|string} configs - [ {portId, type, inverted, minPower, maxPower, label}, ... ] or its JSON
+		* @returns {array} - the configuration of all the ports
+		*/
+		configurePorts( configs ) {
+			if( typeof configs === 'string' ) {
+				configs = JSON.parse( configs );
+			}
+			if( !Array.isArray(configs) ) {
+				throw new Errors.InvalidParameterError('Wrong input: configurePorts expects array');
+			}
+			configs.forEach( config => {
+				this.configurePort( config.portId, config );
+				if( config.servo ) {
+					this.calibrateServo( config.portId, config.servo );
+				}
+			});
+			return this.getPortConfigs();
+		}
+
+
+		/**
+		* Move a Power Functions servo motor (the port must be configured as SBrick.SERVO)
+		* @param {number} portId
+		* @param {number|object} position - -7 (full CCW) to 7 (full CW), 0 is the center, or {angle} in degrees
+		* @returns {promise returning object} - the port data, with the position
+		*/
+		setServo( portId, position ) {
+			this._cancelMotions( [ portId ] );
+			return new Promise( (resolve, reject) => {
+				if( !PORTS[portId] ) {
+					reject( new Errors.InvalidParameterError('Wrong input: unknown port', { command: CMD_DRIVE, portId: portId }) );
+				} else if( this.ports[portId].config.type !== SERVO ) {
+					reject( new Errors.InvalidParameterError('Wrong input: port ' + portId + ' is not configured as servo', { command: CMD_DRIVE, portId: portId }) );
+				} else {
+					if( position !== null && typeof position === 'object' ) {
+						position = position.angle / this.ports[portId].servo.maxAngle * SERVO_POSITIONS;
+					}
+					if( typeof position !== 'number' || isNaN(position) ) {
+						reject( new Errors.InvalidParameterError('Wrong input: position must be a number from -' + SERVO_POSITIONS + ' to ' + SERVO_POSITIONS + ' or {angle}', { command: CMD_DRIVE, portId: portId }) );
+					} else {
+						resolve( Math.min( Math.max( Math.round(position), -SERVO_POSITIONS ), SERVO_POSITIONS ) );
+					}
+				}
+			} )
+			.then( position => {
+				let servo = this.ports[portId].servo;
+				let actual = Math.min( Math.max( position + servo.center, -SERVO_POSITIONS ), SERVO_POSITIONS );
+				return this._drive( portId, actual < 0 ? COUNTERCLOCKWISE : CLOCKWISE, servo.steps[ Math.abs(actual) ] );
+			})
+			.catch( e => this._error(e, { command: CMD_DRIVE, portId: portId }) );
+		}
+
+		/**
+		* Calibrate the servo motor of a port, only the given settings are changed
+		* @param {number} portId
+		* @param {object} calibration - {center, steps, maxAngle}
+		*		center: {number} The position (-7 to 7) sent for the position 0, to trim the center (default 0)
+		*		steps: {array} The power (0-255) of the positions 0 to 7, increasing (default [0, 36, 73, 109, 146, 182, 219, 255])
+		*		maxAngle: {number} The angle in degrees of the position 7, used by setServo() with {angle} (default 90)
+		* @returns {object} - the whole calibration of the port
+		*/
+		calibrateServo( portId, calibration = {} ) {
+			if( !PORTS[portId] ) {
+				throw new Errors.InvalidParameterError('Wrong input: unknown port', { portId: portId });
+			}
+			let updated = Object.assign( {}, this.ports[portId].servo, calibration );
+			if( !Number.isInteger(updated.center) || Math.abs(updated.center) > SERVO_POSITIONS ) {
+				throw new Errors.InvalidParameterError('Wrong input: center must be an integer from -' + SERVO_POSITIONS + ' to ' + SERVO_POSITIONS, { portId: portId });
+			}
+			if(
+				!Array.isArray(updated.steps) || updated.steps.length !== SERVO_POSITIONS + 1 ||
+				updated.steps.some( (power, i) => !Number.isInteger(power) || power < MIN || power > MAX || ( i > 0 && power <= updated.steps[i - 1] ) )
+			) {
+				throw new Errors.InvalidParameterError('Wrong input: steps must be ' + ( SERVO_POSITIONS + 1 ) + ' increasing powers from ' + MIN + ' to ' + MAX, { portId: portId });
+			}
+			if( typeof updated.maxAngle !== 'number' || !( updated.maxAngle > 0 ) ) {
+				throw new Errors.InvalidParameterError('Wrong input: maxAngle must be a positive number', { portId: portId });
+			}
+			this.ports[portId].servo = { center: updated.center, steps: updated.steps.slice(), maxAngle: updated.maxAngle };
+			return this.getServoCalibration(portId);
+		}
+
+		/**
+		* Get the servo calibration of a port
+		* @param {number} portId
+		* @returns {object} - {center, steps, maxAngle}
+		*/
+		getServoCalibration( portId ) {
+			if( !PORTS[portId] ) {
+				throw new Errors.InvalidParameterError('Wrong input: unknown port', { portId: portId });
+			}
+			let servo = this.ports[portId].servo;
+			return { center: servo.center, steps: servo.steps.slice(), maxAngle: servo.maxAngle };
+		}
+
+		/**
+		* Get the metrics of the command scheduler
+		* @returns {object} - {depth, maxDepth, requests, writes, merged, latency: {last, average, max}}
+		*		depth: {number} Writes pending now (maxDepth: the most ever pending)
+		*		requests: {number} Commands received, merged: how many of them were merged into another write
+		*		latency: {object} Milliseconds from a command to the end of its write
+		*/
+		getQueueMetrics() {
+			return this.scheduler.metrics();
+		}
+
+		/**
+		* Reset the metrics of the command scheduler
+		*/
+		resetQueueMetrics() {
+			this.scheduler.resetMetrics();
+		}
+
+		/**
+		* Send the log messages to a logger instead of dropping them
+		* @param {object} logger - any object with the methods debug (BLE traffic), info, warn and error, like console,
+		*		called with the message and the context {deviceId, ...}; null to stop logging
+		*/
+		setLogger( logger ) {
+			if( logger !== null && typeof logger !== 'object' ) {
+				throw new Errors.InvalidParameterError('Wrong input: the logger must be an object with debug, info, warn and error methods');
+			}
+			this.logger = logger;
+		}
+
+		/**
+		* Start recording the writes and reads of the Remote Control and Quick Drive characteristics
+		* @param {object} options - {size}
+		*		size: {number} How many entries are kept, the oldest ones are dropped (default 500)
+		* @returns {SBrickCapture} - see sbrick-capture.js
+		*/
+		startCapture( options = {} ) {
+			try {
+				this._capture = new Capture( options );
+			} catch( e ) {
+				throw new Errors.InvalidParameterError('Wrong input: ' + e.message);
+			}
+			return this._capture;
+		}
+
+		/**
+		* Stop recording the traffic
+		* @returns {array} - the entries recorded: [ {time, direction, characteristic, command, bytes, latency, error}, ... ]
+		*/
+		stopCapture() {
+			let capture = this._capture;
+			this._capture = null;
+			return capture ? capture.entries() : [];
+		}
+
+		/**
+		* Export the traffic recorded so far, with the SBrick it comes from
+		* @returns {string} - JSON { version, startedAt, exportedAt, size, dropped, deviceId, name, entries }
+		*/
+		exportCapture() {
+			if( !this._capture ) {
+				throw new Errors.InvalidStateError('No capture in progress, call startCapture() first');
+			}
+			let device = this.transport.device || {};
+			return this._capture.stringify( { deviceId: device.id, name: device.name } );
+		}
+
+
+		/**
+		* Helper function to invert CW in CCW and vice versa
+		* @param {hex number} direction
+		*/
+		invDir( direction ) {
+			return direction ? CLOCKWISE : COUNTERCLOCKWISE;
+		}
+
+
+		// PRIVATE FUNCTIONS
+
+		/**
+		* Read some common Blutooth devices informations about the SBrick
+		* @param {hexadecimal|string} uuid_characteristic
+		* @returns {promise}
+		*/
+		_deviceInfo( uuid_characteristic ) {
+			return new Promise( (resolve, reject) => {
+				if( typeof this.SERVICES[UUID_SERVICE_DEVICEINFORMATION].characteristics[uuid_characteristic] != 'undefined' ) {
+					resolve();
+				} else {
+					reject( new Errors.InvalidParameterError('Wrong input') );
+				}
+			} ).then( () => {
+				return this.transport.readCharacteristicValue( uuid_characteristic )
+				.then(data => {
+					return Protocol.decodeString(data);
+				});
+			})
+			.catch( e => this._error(e) );
+		}
+
+		/**
+		* Send a Remote Control command through the scheduler
+		* @param {hexadecimal number} command - one of the SBrickProtocol.CMD_* constants
+		* @param {object} params - the command parameters (see SBrickProtocol.encode)
+		* @param {boolean} reply - if true, read and decode the reply
+		* @returns {promise returning object} - the typed reply (see SBrickProtocol.decodeReply) or undefined
+		*/
+		_command( command, params = {}, reply = false ) {
+			return this.scheduler.add( () => {
+				return this._write(
+					UUID_CHARACTERISTIC_REMOTECONTROL,
+					Protocol.encode( command, params )
+				).then( () => {
+					if( reply ) {
+						return this._read( UUID_CHARACTERISTIC_REMOTECONTROL, command )
+						.then( data => {
+							return Protocol.decodeReply( command, data, params );
+						});
+					}
+				});
+			});
+		}
+
+		/**
+		* Check a password and its role
+		* @param {string} password
+		* @param {string} role - OWNER or GUEST
+		* @returns {promise returning undefined}
+		*/
+		_checkPassword( password, role ) {
+			return new Promise( (resolve, reject) => {
+				if( ROLES[role] === undefined ) {
+					reject( new Errors.InvalidParameterError('Wrong input: role must be "' + OWNER + '" or "' + GUEST + '"') );
+				} else if( typeof password !== 'string' || password.length > Protocol.PASSWORD_LEN ) {
+					reject( new Errors.InvalidParameterError('Wrong input: password must be a string of max ' + Protocol.PASSWORD_LEN + ' characters') );
+				} else {
+					resolve();
+				}
+			});
+		}
+
+		/**
+		* Wait for the transport to lose the connection (e.g. SBrick rebooting), closing it after a timeout
+		* @param {number} timeout - milliseconds
+		* @returns {promise returning undefined}
+		*/
+		_waitDisconnection( timeout ) {
+			let start = Date.now();
+			const check = () => {
+				if( !this.isConnected() ) {
+					return Promise.resolve();
+				}
+				if( Date.now() - start >= timeout ) {
+					return this.transport.disconnect();
+				}
+				return this._delay(100).then( check );
+			};
+			return check();
+		}
+
+		/**
+		* Connect the transport again to the same SBrick, without showing any popup if the transport
+		* implements the optional reconnect() method
+		* @param {number} attempts
+		* @returns {promise returning undefined}
+		*/
+		_reconnectTransport( attempts = 1 ) {
+			const reconnect = () => {
+				if( typeof this.transport.reconnect === 'function' ) {
+					return this.transport.reconnect();
+				}
+				return this.transport.connect( this._requestOptions, this.SERVICES );
+			};
+			const attempt = ( left ) => {
+				return reconnect()
+				.catch( e => {
+					if( left <= 1 ) {
+						throw e;
+					}
+					this._log( "Reconnection failed, retrying", WARN );
+					return this._delay(T_RECONNECT).then( () => attempt( left - 1 ) );
+				});
+			};
+			return attempt( attempts );
+		}
+
+		/**
+		* Check the firmware version: compatible firmwares start the watchdog management, older ones
+		* are refused (the transport is disconnected) unless allowed
+		* @param {boolean} allowOldFirmware
+		* @returns {promise returning undefined} - rejects with FirmwareNotCompatibleError
+		*/
+		_checkFirmware( allowOldFirmware ) {
+			return this.getFirmwareVersion()
+			.then( version => {
+				this.capabilities = Capabilities.detect( { model: this.model, firmware: version } );
+				if( this.capabilities.compatible ) {
+					return this._initWatchdog();
+				} else if( allowOldFirmware ) {
+					this._log("Firmware not compatible: only updateFirmware() can be used.", WARN);
+				} else {
+					return this.transport.disconnect()
+					.then( () => {
+						throw new Errors.FirmwareNotCompatibleError("Firmware not compatible: please update your SBrick (connect with allowOldFirmware and use updateFirmware).");
+					});
+				}
+			});
+		}
+
+		/**
+		* Resume what updateFirmware() paused: the watchdog management and the keepalive,
+		* the PVM of the sensor inputs (lost by the reboot) and the sensor subscriptions
+		* @returns {promise returning undefined}
+		*/
+		_endUpdate() {
+			this._updating = false;
+			if( !this.isConnected() || !this.capabilities || !this.capabilities.compatible ) {
+				return Promise.resolve();
+			}
+			return this._initWatchdog()
+			.then( () => {
+				if( this.ports.some( port => port.mode === INPUT ) && this.capabilities.pvm ) {
+					return this._writePvm();
+				}
+			})
+			.then( () => {
+				if( Object.keys(this.subscriptions).length ) {
+					this._startSensorLoop();
+				}
+			});
+		}
+
+		/**
+		* Connect the first SBrick already granted that is in range, or open the popup
+		* @param {object} options - see connect()
+		* @returns {promise returning undefined}
+		*/
+		_connectRemembered( options ) {
+			return this.getKnownDevices()
+			.then( devices => {
+				if( options.deviceId !== undefined ) {
+					devices = devices.filter( device => device.id === options.deviceId );
+				}
+				return devices.reduce( (previous, device) => previous.then( connected => {
+					if( connected ) {
+						return true;
+					}
+					return this.transport.connectDevice( device, this.SERVICES )
+					.then( () => true, e => {
+						this._log( "Remembered SBrick " + device.id + " not connected: " + Errors.fromError(e).message, WARN );
+						return false;
+					});
+				}), Promise.resolve( false ) );
+			})
+			.then( connected => {
+				if( connected ) {
+					return;
+				}
+				if( options.chooser === false ) {
+					throw new Errors.NotConnectedError('No remembered SBrick could be connected');
+				}
+				return this.transport.connect( this._requestOptions, this.SERVICES );
+			});
+		}
+
+		/**
+		* Read the model number and find the model: the model number of the SBrick Plus contains "Plus"
+		* @returns {promise returning undefined} - never rejects, the model stays null if it can't be read
+		*/
+		_detectModel() {
+			return this.transport.readCharacteristicValue( UUID_CHARACTERISTIC_MODELNUMBER )
+			.then( data => {
+				this.modelNumber = Protocol.decodeString( data );
+				this.model = /plus/i.test( this.modelNumber ) ? MODEL_PLUS : MODEL_SBRICK;
+			}, e => {
+				this._log( "Model number not available: " + Errors.fromError(e).message, WARN );
+			});
+		}
+
+		/**
+		* Authenticate with the password given to connect()
+		* @param {string} password
+		* @param {string} role
+		* @returns {promise returning undefined}
+		*/
+		_authenticateOnConnection( password, role ) {
+			return this.authenticate( password, role )
+			.catch( e => {
+				// the SBrick has no password: nothing to do
+				if( !( e instanceof Errors.NoAuthenticationNeededError ) ) {
+					throw e;
+				}
+			});
+		}
+
+		/**
+		* Reconnect after a connection loss with an exponential backoff, then restore the SBrick status
+		* events: "reconnecting" before every attempt, "reconnected" or "gaveup" at the end
+		* @returns {promise returning undefined}
+		*/
+		_reconnect() {
+			if( this._reconnection ) {
+				return this._reconnection.promise;
+			}
+			const options = this.autoReconnect;
+			const reconnection = { cancelled: false };
+			// the ports as they were when the connection dropped
+			const ports = this.ports.map( port => Object.assign( {}, port ) );
+
+			const attempt = ( n, delay ) => {
+				this._dispatch( 'reconnecting', { attempt: n, attempts: options.attempts, delay: delay } );
+				return this._delay( delay )
+				.then( () => {
+					if( reconnection.cancelled ) {
+						return;
+					}
+					return this._reconnectTransport( 1 )
+					.then( () => {
+						if( reconnection.cancelled ) {
+							return this.transport.disconnect();
+						}
+						return this._restore( ports, options.restore )
+						.then( () => {
+							this._dispatch( 'reconnected', { attempts: n, restore: options.restore } );
+						});
+					})
+					.catch( e => {
+						let error = Errors.fromError(e);
+						this._log( "Reconnection attempt " + n + " failed: " + error.message, WARN, { error: error } );
+						if( reconnection.cancelled ) {
+							return;
+						}
+						if( n >= options.attempts || error instanceof Errors.FirmwareNotCompatibleError ) {
+							throw error;
+						}
+						let next = () => attempt( n + 1, Math.min( Math.max( delay, 1 ) * options.factor, options.maxDelay ) );
+						if( this.isConnected() ) {
+							// connected but not restored: start again from a clean connection
+							return this.transport.disconnect().then( next );
+						}
+						return next();
+					});
+				});
+			};
+
+			reconnection.promise = attempt( 1, options.delay )
+			.catch( error => {
+				this._stopKeepalive();
+				this._stopSensorLoop();
+				this._resetBattery();
+				this.subscriptions = {};
+				this.role = null;
+				this._resetPorts();
+				this._dispatch( 'gaveup', { attempts: options.attempts, error: error } );
+				this._report( error );
+			})
+			.then( () => {
+				if( this._reconnection === reconnection ) {
+					this._reconnection = null;
+				}
+			});
+			this._reconnection = reconnection;
+			return reconnection.promise;
+		}
+
+		/**
+		* Stop the reconnection in progress, if any
+		* @returns {boolean} - true if the SBrick was reconnecting
+		*/
+		_cancelReconnection() {
+			if( !this._reconnection ) {
+				return false;
+			}
+			this._reconnection.cancelled = true;
+			this._reconnection = null;
+			return true;
+		}
+
+		/**
+		* Restore the status of the SBrick after a reconnection
+		* @param {array} ports - the ports status when the connection was lost
+		* @param {string} restore - RESTORE_STOP or RESTORE_RESUME
+		* @returns {promise returning undefined}
+		*/
+		_restore( ports, restore ) {
+			const options = this._connectOptions;
+			return this._checkFirmware( options.allowOldFirmware )
+			.then( () => {
+				this.role = null;
+				if( options.password !== undefined ) {
+					return this._authenticateOnConnection( options.password, options.role || OWNER );
+				}
+			})
+			.then( () => {
+				// the SBrick might have lost the PVM settings
+				if( this.ports.some( port => port.mode === INPUT ) ) {
+					return this._writePvm();
+				}
+			})
+			.then( () => {
+				let outputs = this._getPorts().filter( portId => ports[portId].mode !== INPUT );
+				if( restore === RESTORE_RESUME ) {
+					let driving = outputs.filter( portId => ports[portId].mode === OUTPUT && ports[portId].power > 0 );
+					return Promise.all( driving.map( portId => this.drive( {
+						portId: portId,
+						direction: ports[portId].direction,
+						power: ports[portId].power
+					} ) ) );
+				}
+				if( outputs.length ) {
+					return this.stop( outputs );
+				}
+			});
+		}
+
+		/**
+		* Forget the values of the ports (the connection is lost) and notify the change
+		*/
+		_resetPorts() {
+			this._cancelMotions( this._getPorts() );
+			this.ports.forEach( (port, portId) => {
+				if( port.mode !== INPUT && port.power !== MIN ) {
+					port.power = MIN;
+					this._sendPortChangeEvent( this._getPortData(portId) );
+				}
+			});
+		}
+
+		/**
+		* Set the watchdog timeout if requested, otherwise read it, and start the keepalive
+		* @returns {promise returning undefined}
+		*/
+		_initWatchdog() {
+			let watchdog = this.watchdogTimeout === undefined ? this.getWatchdogTimeout() : this.setWatchdogTimeout(this.watchdogTimeout);
+			return watchdog
+			.catch( e => {
+				// not fatal, assume the default timeout
+				this._log(e, WARN);
+				this.watchdogTimeout = T_WATCHDOG;
+			})
+			.then( () => {
+				this._startKeepalive();
+			});
+		}
+
+		/**
+		* Start (or restart) the keepalive loop with an interval derived from the watchdog timeout
+		*/
+		_startKeepalive() {
+			this._stopKeepalive();
+			let interval = this.watchdogTimeout ? Math.max( Math.round( this.watchdogTimeout * KA_RATIO ), 50 ) : T_KA;
+			this.keepalive = this._keepalive( interval );
+		}
+
+		/**
+		* Stop the keepalive loop
+		*/
+		_stopKeepalive() {
+			clearInterval( this.keepalive );
+			this.keepalive = null;
+		}
+
+		/**
+		* Keep the ports driving, preventing the SBrick internal watchdog (500 millisec by default) to stop them
+		* nothing is sent if the keepalive is disabled, the watchdog is disabled, no port is driving
+		* or a command has been sent in the last interval (the loop checks twice per interval)
+		* @param {number} interval - milliseconds
+		*/
+		_keepalive( interval ) {
+			return setInterval( () => {
+				if( !this.isConnected() ) {
+					this._log('Connection lost', WARN);
+					this._stopKeepalive();
+					this._dispatch( 'connectionlost' );
+					if( this.autoReconnect ) {
+						this._reconnect();
+					}
+				} else if(
+					this.useKeepalive &&
+					this.watchdogTimeout !== 0 &&
+					this.ports.some( port => port.power > 0 && port.mode === OUTPUT ) &&
+					Date.now() - this._lastWrite >= interval &&
+					this.scheduler.isIdle()
+				) {
+					this.scheduler.add( () => {
+						return this._write(
+							UUID_CHARACTERISTIC_REMOTECONTROL,
+							Protocol.encode( CMD_ADC, { channels: [ CMD_ADC_TEMP ] } )
+						);
+					}, Scheduler.LOW )
+					.catch( e => {
+						let error = Errors.fromError( e, { command: CMD_ADC } );
+						this._log( error, ERROR );
+						this._report( error );
+					} );
+				}
+			}, interval / 2);
+		}
 
 		/**
-		* Helper function to invert CW in CCW and vice versa
-		* @param {hex number} direction
+		* Write a characteristic through the transport, keeping track of the time
+		* @param {string} uuid_characteristic
+		* @param {Uint8Array} value
+		* @returns {promise returning undefined}
 		*/
-		invDir( direction ) {
-			return direction ? CLOCKWISE : COUNTERCLOCKWISE;
+		_write( uuid_characteristic, value ) {
+			this._lastWrite = Date.now();
+			return this._traffic( Capture.WRITE, uuid_characteristic, value, () => this.transport.writeCharacteristicValue( uuid_characteristic, value ) );
 		}
 
-
-		// PRIVATE FUNCTIONS
+		/**
+		* Read a characteristic through the transport
+		* @param {string} uuid_characteristic
+		* @param {hexadecimal number} command - the command whose reply is read
+		* @returns {promise returning DataView}
+		*/
+		_read( uuid_characteristic, command ) {
+			return this._traffic( Capture.READ, uuid_characteristic, null, () => this.transport.readCharacteristicValue( uuid_characteristic ), command );
+		}
 
 		/**
-		* Read some common Blutooth devices informations about the SBrick
-		* @param {hexadecimal|string} uuid_characteristic
+		* Record a write or a read in the capture and log it, if they are enabled
+		* @param {string} direction - Capture.WRITE or Capture.READ
+		* @param {string} uuid_characteristic
+		* @param {Uint8Array} value - the bytes written, null for the reads
+		* @param {function} io - does the write or read, returns a promise
+		* @param {hexadecimal number} command - the command whose reply is read
 		* @returns {promise}
 		*/
-		_deviceInfo( uuid_characteristic ) {
-			return new Promise( (resolve, reject) => {
-				if( typeof this.SERVICES[UUID_SERVICE_DEVICEINFORMATION].characteristics[uuid_characteristic] != 'undefined' ) {
-					resolve();
+		_traffic( direction, uuid_characteristic, value, io, command ) {
+			let characteristic = CAPTURED[uuid_characteristic];
+			if( !characteristic || ( !this._capture && !this._logger() ) ) {
+				return io();
+			}
+			let capture = this._capture;
+			let entry = {
+				time:           Date.now(),
+				direction:      direction,
+				characteristic: characteristic,
+				command:        undefined,
+				bytes:          value ? Protocol.toBytes( value ) : [],
+				latency:        null
+			};
+			let done = ( data, error ) => {
+				entry.latency = Date.now() - entry.time;
+				if( data ) {
+					entry.bytes = Protocol.toBytes( data );
+				}
+				if( error ) {
+					entry.error = Errors.fromError( error ).message;
+				}
+				if( direction === Capture.READ ) {
+					entry.command = Protocol.commandName( command );
+				} else if( characteristic === CAPTURED[UUID_CHARACTERISTIC_QUICKDRIVE] ) {
+					entry.command = 'QUICKDRIVE';
 				} else {
-					reject('Wrong input');
+					entry.command = Protocol.commandName( entry.bytes[0] );
 				}
-			} ).then( () => {
-				return this.webbluetooth.readCharacteristicValue( uuid_characteristic )
-				.then(data => {
-					let str = "";
-					for (let i = 0 ; i < data.byteLength ; i++) {
-						str += String.fromCharCode(data.getUint8(i));
+				if( capture ) {
+					capture.record( entry );
+				}
+				this._log( direction + " " + entry.command + " [" + entry.bytes.join(",") + "] " + entry.latency + "ms", DEBUG, entry );
+			};
+			return io()
+			.then( data => {
+				done( direction === Capture.READ ? data : null );
+				return data;
+			}, e => {
+				done( null, e );
+				throw e;
+			});
+		}
+
+		/**
+		* Read the ADC sensor "variables" where each specific channel values are stored
+		* every PORT has 2 channels so use CHANNEL[0-7] to read sensor data
+		* the remaining 2 channels are for the chip TEMPERATURE (0x08) and battery VOLTAGE (0x09)
+		* @param {array} array_channels - an array of channels CHANNEL[0-7], TEMPERATURE or VOLTAGE
+		* @returns {promise returning array} - voltage measurements [{channel, raw, value}, ...] (see SBrickProtocol.decodeReply)
+		*/
+		_adc( array_channels ) {
+			let params = { channels: Array.isArray(array_channels) ? array_channels : [array_channels] };
+			return this._command( CMD_ADC, params, true )
+			.then( reply => {
+				return reply.values;
+			});
+		}
+
+		/**
+		* Put a port in input mode, enabling PVM on its channels
+		* @param {hexadecimal} portId - The index of the port in the this.ports array
+		* @returns {promise}
+		*/
+		_inputMode( portId ) {
+			let unsupported = this._unsupported( 'pvm', { command: CMD_PVM, portId: portId } );
+			if( unsupported ) {
+				return Promise.reject( unsupported );
+			}
+			let newPortStatus = { portId: portId, mode:INPUT };
+			// reset the port if is in "break mode" (short circuited) or driving before activate PVM:
+			// written as it is, even on the ports configured as sensors that drive() refuses
+			let port = this.ports[portId];
+			if(port.mode===BREAK || port.power!=0) {
+				port.mode      = OUTPUT;
+				port.power     = MIN;
+				port.direction = CLOCKWISE;
+				return this.scheduler.drive( portId )
+				.then( () => {
+					this._sendPortChangeEvent( this._getPortData(portId) );
+					return this._pvm( newPortStatus );
+				} );
+			} else {
+				return this._pvm( newPortStatus );
+			}
+		}
+
+		/**
+		* Build the sensor measurement Object from the ADC values
+		* @param {object} volt - ADC value of the battery voltage
+		* @param {object} ch0 - ADC value of the port channel 0 (sensor type)
+		* @param {object} ch1 - ADC value of the port channel 1 (measure)
+		* @param {string} sensorSeries - see getSensor()
+		* @returns {object}
+		*/
+		_decodeSensor( volt, ch0, ch1, sensorSeries ) {
+			// Sensor Type Management
+			return Sensors.decode( volt, ch0, ch1, sensorSeries );
+		}
+
+		/**
+		* Start the loop reading the subscribed sensors, if not running
+		*/
+		_startSensorLoop() {
+			if( this._sensorLoop ) {
+				return;
+			}
+			let reading = false;
+			let tick = () => {
+				let intervals = Object.keys(this.subscriptions).map( portId => this.subscriptions[portId].intervalMs );
+				if( !intervals.length ) {
+					this._sensorLoop = null;
+					return;
+				}
+				this._sensorLoop = setTimeout( tick, Math.min.apply( null, intervals ) );
+				if( reading || !this.isConnected() || this._updating ) {
+					return;
+				}
+				reading = true;
+				this._readSubscriptions()
+				.then( () => { reading = false; }, () => { reading = false; } );
+			};
+			tick();
+		}
+
+		/**
+		* Stop the loop reading the subscribed sensors
+		*/
+		_stopSensorLoop() {
+			clearTimeout( this._sensorLoop );
+			this._sensorLoop = null;
+		}
+
+		/**
+		* Read all the subscribed sensors due for a reading with one ADC query and notify the changes
+		* @returns {promise}
+		*/
+		_readSubscriptions() {
+			let now = Date.now();
+			let due = Object.keys(this.subscriptions)
+			.map( portId => this.subscriptions[portId] )
+			.filter( subscription => now - subscription.lastTime >= subscription.intervalMs );
+			if( !due.length ) {
+				return Promise.resolve();
+			}
+			let channels = [CMD_ADC_VOLT];
+			due.forEach( subscription => {
+				subscription.lastTime = now;
+				channels = channels.concat( this._getPortChannels(subscription.portId) );
+			});
+			return this._adc( channels )
+			.then( values => {
+				due.forEach( (subscription, i) => {
+					// unsubscribed while reading
+					if( this.subscriptions[subscription.portId] !== subscription ) {
+						return;
 					}
-					return str;
-				})
-				.catch( e => { this._error(e) } );
+					let sensorData = this._decodeSensor( values[0], values[1 + i*2], values[2 + i*2], subscription.series );
+					let last = subscription.last;
+					if( last === null || last.type !== sensorData.type || Math.abs( sensorData.value - last.value ) > subscription.threshold ) {
+						subscription.last = sensorData;
+						this._dispatch( 'sensor', Object.assign( { portId: subscription.portId }, sensorData ) );
+						subscription.onChange( sensorData, last );
+					}
+				});
 			})
-			.catch( e => { this._error(e) } );
+			.catch( e => {
+				let error = Errors.fromError( e, { command: CMD_ADC } );
+				this._log( error, ERROR );
+				this._report( error );
+				due.forEach( subscription => {
+					if( subscription.onError ) {
+						subscription.onError( error );
+					}
+				});
+			});
 		}
 
 		/**
-		* Keep the connection alive, preventing the SBrick internal watchdog (500 millisec by default) to close it
+		* Remove a sensor subscription and restore the port mode it had before
+		* @param {object} subscription
+		* @returns {promise}
 		*/
-		_keepalive() {
-			return setInterval( () => {
-				if( !this.isConnected() ) {
-					this._log('Connection lost');
-					clearInterval( this.keepalive );
-				} else if( this.queue.getQueueLength() === 0 ) {
-					this.queue.add( () => {
-						return this.webbluetooth.writeCharacteristicValue(
-							UUID_CHARACTERISTIC_REMOTECONTROL,
-							new Uint8Array( [ CMD_ADC, CMD_ADC_TEMP ] )
-						);
-					} );
+		_unsubscribeSensor( subscription ) {
+			let portId = subscription.portId;
+			if( this.subscriptions[portId] !== subscription ) {
+				return Promise.resolve();
+			}
+			delete this.subscriptions[portId];
+			if( !Object.keys(this.subscriptions).length ) {
+				this._stopSensorLoop();
+			}
+			if( !this.isConnected() || this.ports[portId].mode !== INPUT || subscription.mode === INPUT ) {
+				return Promise.resolve();
+			}
+			return this._pvm( { portId: portId, mode: subscription.mode } )
+			.catch( e => this._error(e, { command: CMD_PVM, portId: portId }) );
+		}
+
+		/**
+		* Drive some ports together (see quickDrive()): only these ports are switched to output,
+		* the sensor inputs of the other ports keep their PVM
+		* @param {array} portObjs - [{portId, direction, power}, ...]
+		* @returns {promise}
+		*/
+		_quickDrive( portObjs ) {
+			let portIds = [];
+			portObjs.forEach( (portObj) => {
+				let portId = parseInt( portObj.portId );
+				if (isNaN(portId)) {
+					// the old version with port instead of portId was used
+					portId = parseInt( portObj.port );
+					this._log('object property port is deprecated. use portId instead.', WARN);
 				}
-			}, T_KA);
+				portIds.push( portId );
+			});
+			// PVM only lists the ports in input mode: it is written before the drive
+			let pvm = portIds.some( portId => this.ports[portId].mode === INPUT );
+			portObjs.forEach( (portObj, i) => {
+				let port       = this.ports[ portIds[i] ];
+				port.mode      = OUTPUT;
+				port.power     = Math.min(Math.max(parseInt(Math.abs(portObj.power)), MIN), MAX);
+				port.direction = portObj.direction ? COUNTERCLOCKWISE : CLOCKWISE;
+			});
+			// the ports requested together are written with one packet
+			const drive = () => Promise.all( portIds.filter( portId => this.ports[portId].mode === OUTPUT ).map( portId => this.scheduler.drive( portId ) ) );
+			return pvm ? this._writePvm().then( drive ) : drive();
 		}
 
 		/**
-		* Read the ADC sensor "variables" where each specific channel values are stored
-		* every PORT has 2 channels so use CHANNEL[0-7] to read sensor data
-		* the remaining 2 channels are for the chip TEMPERATURE (0x08) and battery VOLTAGE (0x09)
-		* @param {array} array_channels - an array of channels CHANNEL[0-7], TEMPERATURE or VOLTAGE
-		* @returns {promise} - voltage measurement
+		* Break the ports (without cancelling their ramps, see stop())
+		* @param {array} portIds
+		* @returns {promise returning array} - the data of the ports
 		*/
-		_adc( array_channels ) {
-			return this.queue.add( () => {
-				let ports = Array.isArray(array_channels) ? array_channels : [array_channels];
-				return this.webbluetooth.writeCharacteristicValue(
-					UUID_CHARACTERISTIC_REMOTECONTROL,
-					new Uint8Array([CMD_ADC].concat(ports))
-				).then(() => {
-					return this.webbluetooth.readCharacteristicValue(UUID_CHARACTERISTIC_REMOTECONTROL)
-					.then(data => {
-						return data;
-					});
+		_stop( portIds ) {
+			if( !portIds.length ) {
+				return Promise.resolve( [] );
+			}
+			// PVM only lists the ports in input mode
+			let pvm = portIds.some( portId => this.ports[portId].mode === INPUT );
+			portIds.forEach( (portId) => {
+				this.ports[portId].mode  = BREAK;
+				this.ports[portId].power = 0;
+			});
+			// reserved now: it drops the drives requested before it, the ones requested after it are sent after it
+			let brake = this.scheduler.brake( portIds );
+			return ( pvm ? this._writePvm() : Promise.resolve() )
+			.then( () => brake )
+			.then( () => {
+				// all went well, return an array with the channels and the settings we just applied
+				let returnData = [];
+				portIds.forEach((portId) => {
+					// send event for this port
+					let portData = this._getPortData(portId);
+					this._sendPortChangeEvent(portData);
+					returnData.push(portData);
 				});
+				return returnData;
+			});
+		}
+
+		/**
+		* Drive a port (without cancelling its ramps, see drive())
+		* @param {number} portId
+		* @param {hexadecimal number} direction
+		* @param {number} power - 0-255
+		* @param {object} motion - the ramp or timed drive sending the command, nothing is sent once it's cancelled
+		* @returns {promise returning object} - the data of the port
+		*/
+		_drive( portId, direction, power, motion ) {
+			if( this.ports[portId].config.type === SENSOR ) {
+				return Promise.reject( this._sensorPortError(portId) );
+			}
+			if( motion && motion.cancelled ) {
+				return Promise.resolve( this._getPortData(portId) );
+			}
+			let port = this.ports[portId];
+			// PVM only lists the ports in input mode: it is written before the drive
+			let pvm = port.mode === INPUT;
+
+			port.mode      = OUTPUT;
+			port.power     = Math.min(Math.max(parseInt(Math.abs(power)), MIN), MAX);
+			port.direction = direction ? COUNTERCLOCKWISE : CLOCKWISE;
+
+			// merged with the pending drive of the port, if any: only the latest value is sent;
+			// reserved now, so a stop requested after it drops it
+			let drive = pvm
+				? this._writePvm().then( () => port.mode === OUTPUT ? this.scheduler.drive( portId ) : undefined )
+				: this.scheduler.drive( portId );
+			return drive
+			.then( () => {
+				// all went well, send event and return the settings we just applied
+				let portData = this._getPortData(portId);
+				if( !motion || !motion.cancelled ) {
+					this._sendPortChangeEvent(portData);
+				}
+				// return the new settings to the promise
+				return portData;
+			});
+		}
+
+		/**
+		* Register a ramp or timed drive of a port
+		* @param {number} portId
+		* @returns {object} - the motion { portId, cancelled, timer, wake }
+		*/
+		_startMotion( portId ) {
+			let motion = { portId: portId, cancelled: false, timer: null, wake: null };
+			this.motions[portId] = motion;
+			return motion;
+		}
+
+		/**
+		* Forget a finished motion
+		* @param {object} motion
+		*/
+		_endMotion( motion ) {
+			if( this.motions[motion.portId] === motion ) {
+				delete this.motions[motion.portId];
+			}
+		}
+
+		/**
+		* Cancel the ramps and timed drives of some ports
+		* @param {array} portIds
+		*/
+		_cancelMotions( portIds ) {
+			portIds.forEach( portId => {
+				let motion = this.motions[portId];
+				if( motion ) {
+					motion.cancelled = true;
+					clearTimeout( motion.timer );
+					delete this.motions[portId];
+					if( motion.wake ) {
+						motion.wake();
+					}
+				}
+			});
+		}
+
+		/**
+		* Wait for a while, or less if the motion is cancelled
+		* @param {object} motion
+		* @param {number} ms
+		* @returns {promise returning undefined}
+		*/
+		_motionDelay( motion, ms ) {
+			return new Promise( resolve => {
+				motion.wake = resolve;
+				motion.timer = setTimeout( resolve, ms );
 			});
 		}
 
@@ -665,7 +2306,7 @@ let SBrick = (function() {
 				if( portObjs !== null ) {
 					resolve();
 				} else {
-					reject('wrong input');
+					reject( new Errors.InvalidParameterError('wrong input', { command: CMD_PVM }) );
 				}
 			} ).then( ()=> {
 				if( !Array.isArray(portObjs) ) {
@@ -676,46 +2317,58 @@ let SBrick = (function() {
 					let portId = portObj.portId;
 					let mode = portObj.mode;
 					if( this.ports[portId].mode != mode ) {
+						// PVM only lists the ports in input mode
+						if( this.ports[portId].mode === INPUT || mode === INPUT ) {
+							update_pvm = true;
+						}
 						this.ports[portId].mode = mode;
-						update_pvm = true;
 					}
 				});
 				if(update_pvm) {
-					let command = [CMD_PVM];
-					let srt = "";
-					this.ports.forEach( (port, i) => {
-						if(port.mode==INPUT) {
-							let channels = this._getPortChannels(i);
-							command.push(channels[0]);
-							command.push(channels[1]);
-							srt += " PORT"+ i + " (CH" + channels[0] + " CH" + channels[1]+")";
-						}
-					});
-					this.queue.add( () => {
-						return this.webbluetooth.writeCharacteristicValue(
-							UUID_CHARACTERISTIC_REMOTECONTROL,
-							new Uint8Array(command)
-						)
-						.then( () => {
-							this._log( "PVM set" + ( srt=="" ? " OFF" : srt ) );
-						});
-					});
-					// PVM has a delay before start to collect actual data
-					return this._delay(T_PVM);
+					return this._writePvm();
 				}
 				return false;
 			});
 		}
 
+		/**
+		* Send the PVM command for all the ports in input mode
+		* @returns {promise} - undefined
+		*/
+		_writePvm() {
+			let channels = [];
+			let srt = "";
+			this.ports.forEach( (port, i) => {
+				if(port.mode==INPUT) {
+					let portChannels = this._getPortChannels(i);
+					channels.push(portChannels[0]);
+					channels.push(portChannels[1]);
+					srt += " PORT"+ i + " (CH" + portChannels[0] + " CH" + portChannels[1]+")";
+				}
+			});
+			return this.scheduler.add( () => {
+				return this._write(
+					UUID_CHARACTERISTIC_REMOTECONTROL,
+					Protocol.encode( CMD_PVM, { channels: channels } )
+				)
+				.then( () => {
+					this._log( "PVM set" + ( srt=="" ? " OFF" : srt ) );
+				});
+			})
+			.then( () => {
+				// PVM has a delay before start to collect actual data
+				return this._delay(T_PVM);
+			});
+		}
+
 
 		/**
 		* Get the SBrick battery voltage
 		* @returns {number} - voltage in Volts
 		*/
 		_volt() {
-			return this._adc(CMD_ADC_VOLT).then( data => {
-				let volt = data.getInt16( 0, true );
-				return parseFloat( volt * 0.83875 / 2047.0 ); // V;
+			return this._adc(CMD_ADC_VOLT).then( values => {
+				return values[0].volt; // V;
 			} );
 		}
 
@@ -724,12 +2377,105 @@ let SBrick = (function() {
 		* @returns {number} - temperature in Celsius
 		*/
 		_temp() {
-			return this._adc(CMD_ADC_TEMP).then( data => {
-				let temp = data.getInt16( 0, true );
-				return parseFloat(temp / 118.85795 - 160); // °C;
+			return this._adc(CMD_ADC_TEMP).then( values => {
+				return values[0].celsius; // °C;
 			} );
 		}
 
+		/**
+		* Read the battery, smooth the voltage and update its state
+		* @returns {promise returning object} - see getBatteryStatus()
+		*/
+		_readBattery() {
+			return this._volt()
+			.then( volt => {
+				let config = this.batteryConfig;
+				let previous = this.battery;
+				// exponential moving average: the voltage sags when the motors start
+				let smoothed = previous.smoothed === null ? volt : previous.smoothed + config.smoothing * ( volt - previous.smoothed );
+				smoothed = Math.round( smoothed * 1000 ) / 1000;
+				this.battery = {
+					voltage:    volt,
+					smoothed:   smoothed,
+					percentage: Battery.percentage( config.profile, smoothed ),
+					state:      Battery.state( config.profile, smoothed ),
+					profile:    config.profile
+				};
+				this._dispatch( 'battery', Object.assign( {}, this.battery ) );
+				if( this.battery.state !== previous.state ) {
+					this._batteryStateChange( previous.state );
+				}
+				return Object.assign( {}, this.battery );
+			});
+		}
+
+		/**
+		* Emit the events of a new battery state and apply the battery policy
+		* @param {string} previous - the state before the last reading
+		*/
+		_batteryStateChange( previous ) {
+			let state = this.battery.state;
+			if( state === Battery.OK ) {
+				this._powerCap = null;
+			} else if( state === Battery.LOW && previous !== Battery.CRITICAL ) {
+				this._dispatch( 'batterylow', Object.assign( {}, this.battery ) );
+			} else if( state === Battery.CRITICAL ) {
+				this._dispatch( 'batterycritical', Object.assign( {}, this.battery, { policy: this.batteryConfig.policy } ) );
+				this._applyBatteryPolicy()
+				.catch( e => this._log( e, ERROR ) );
+			}
+		}
+
+		/**
+		* Apply the battery policy: limit the power of the motors or stop all the ports
+		* @returns {promise}
+		*/
+		_applyBatteryPolicy() {
+			switch( this.batteryConfig.policy ) {
+				case POLICY_STOP:
+					return this.stopAll();
+				case POLICY_CAP: {
+					this._powerCap = this.batteryConfig.capPower;
+					// send the new power to the motors already driving over the cap
+					let capped = this._getPorts().filter( portId => {
+						let port = this.ports[portId];
+						return port.mode === OUTPUT && port.config.type === MOTOR && port.power > MIN && this._output(portId).power >= this._powerCap;
+					});
+					return Promise.all( capped.map( portId => this._drive( portId, this.ports[portId].direction, this.ports[portId].power ) ) );
+				}
+			}
+			return Promise.resolve();
+		}
+
+		/**
+		* Stop the battery monitoring
+		* @param {object} monitor - stop it only if it is still this one
+		*/
+		_stopBatteryMonitor( monitor ) {
+			if( !this._batteryMonitor || ( monitor && this._batteryMonitor !== monitor ) ) {
+				return;
+			}
+			clearTimeout( this._batteryMonitor.timer );
+			this._batteryMonitor = null;
+		}
+
+		/**
+		* Stop the battery monitoring and forget the readings, the next battery may be another one
+		*/
+		_resetBattery() {
+			this._stopBatteryMonitor();
+			this.battery   = this._batteryDefaults();
+			this._powerCap = null;
+		}
+
+		/**
+		* The battery before any reading
+		* @returns {object} - see getBatteryStatus()
+		*/
+		_batteryDefaults() {
+			return { voltage: null, smoothed: null, percentage: null, state: null, profile: this.batteryConfig.profile };
+		}
+
 		/**
 		* Helper function to get ports Ids
 		* @returns {boolean}
@@ -757,33 +2503,157 @@ let SBrick = (function() {
 					portId:    portId,
 					direction: port.direction,
 					power:     port.power,
-					mode:      port.mode
+					mode:      port.mode,
+					type:      port.config.type,
+					label:     port.config.label,
+					inverted:  port.config.inverted,
+					minPower:  port.config.minPower,
+					maxPower:  port.config.maxPower
 				};
+			if( port.config.type === SERVO ) {
+				data.position = this._servoPosition(portId);
+			}
 			return data;
 		}
 
 		/**
-		* Error management
-		* @param {string} msg - message to print or throw
+		* Get the position of a servo from the power of its port (the nearest calibrated step)
+		* @param {number} portId
+		* @returns {number} - -7 to 7, without the center trim
+		*/
+		_servoPosition(portId) {
+			const port = this.ports[portId],
+				steps = port.servo.steps;
+			let step = 0;
+			steps.forEach( (power, i) => {
+				if( Math.abs( power - port.power ) < Math.abs( steps[step] - port.power ) ) {
+					step = i;
+				}
+			});
+			return ( port.direction ? -step : step ) - port.servo.center;
+		}
+
+		/**
+		* Get the default servo calibration
+		* @returns {object} - {center, steps, maxAngle}
+		*/
+		_servoDefaults() {
+			return { center: 0, steps: SERVO_STEPS.slice(), maxAngle: SERVO_ANGLE };
+		}
+
+		/**
+		* Get what is actually sent to a port: the direction and power asked, with its configuration and the battery policy applied
+		* @param {number} portId
+		* @returns {object} - {portId, direction, power}
+		*/
+		_output(portId) {
+			const port = this.ports[portId],
+				config = port.config;
+			let power = port.power;
+			if( power > MIN && config.type !== SERVO ) {
+				// scale 0-255 into minPower-maxPower, 0 stays 0
+				power = Math.max( Math.round( config.minPower + power * ( config.maxPower - config.minPower ) / MAX ), 1 );
+			}
+			if( this._powerCap !== null && config.type === MOTOR ) {
+				// battery policy
+				power = Math.min( power, this._powerCap );
+			}
+			return {
+				portId:    PORTS[portId].portId,
+				direction: config.inverted ? this.invDir(port.direction) : port.direction,
+				power:     power
+			};
+		}
+
+		/**
+		* Error for the commands needing a feature the connected SBrick doesn't have
+		* @param {string} feature - see getCapabilities()
+		* @param {object} details - {command, portId}
+		* @returns {SBrickError|null} - null if the feature can be used (or the SBrick isn't connected yet)
+		*/
+		_unsupported( feature, details = {} ) {
+			let reason = this.capabilities ? Capabilities.reason( this.capabilities, feature ) : null;
+			return reason ? new Errors.NotSupportedError( reason, details ) : null;
+		}
+
+		/**
+		* Error for the commands driving a sensor port
+		* @param {number} portId
+		* @returns {SBrickError}
+		*/
+		_sensorPortError(portId) {
+			return new Errors.InvalidParameterError('Wrong input: port ' + portId + ' is configured as sensor', { command: CMD_DRIVE, portId: portId });
+		}
+
+		/**
+		* Error management: convert any error to an SBrickError (see sbrick-errors.js), print it in debug mode and throw it
+		* @param {*} e - error or message
+		* @param {object} details - {command, portId} what was going on, none for the transport operations (connection, device information)
+		*/
+		_error( e, details = {} ) {
+			let error = Errors.fromError( e, details );
+			if( error.code === undefined && !( e instanceof Errors.SBrickError ) && !this.isConnected() ) {
+				error = new Errors.NotConnectedError( 'Not connected', Object.assign( {}, details, { cause: e } ) );
+			}
+			this._log( error, ERROR, details );
+			this._report( error );
+			throw error;
+		}
+
+		/**
+		* Notify an error with an "error" event (and a "thermal" one for the thermal protection), only once
+		* @param {SBrickError} error
+		*/
+		_report( error ) {
+			if( reported.has(error) ) {
+				return;
+			}
+			reported.add(error);
+			if( error instanceof Errors.ThermalProtectionError ) {
+				this._dispatch( 'thermal', { portId: error.portId, command: error.command, error: error } );
+			}
+			this._dispatch( 'error', { error: error } );
+		}
+
+		/**
+		* Dispatch an event of this SBrick, adding the deviceId to its detail
+		* @param {string} type - event name
+		* @param {object} detail
 		*/
-		_error( msg ) {
-			if(this._debug) {
-				console.debug(msg);
+		_dispatch( type, detail = {} ) {
+			detail = Object.assign( { deviceId: this.transport.device ? this.transport.device.id : undefined }, detail );
+			let event;
+			if( typeof CustomEvent === 'function' ) {
+				event = new CustomEvent( type, { detail: detail } );
 			} else {
-				throw msg;
+				// Node < 19
+				event = new Event( type );
+				event.detail = detail;
 			}
+			this.dispatchEvent( event );
 		}
 
 		/**
-		* Log
-		* @param {string} msg - message to print
+		* Log a message with the logger (see setLogger()), or in the console with the deprecated _debug switch
+		* @param {string|Error} msg - message to log
+		* @param {string} level - "debug", "info" (default), "warn" or "error"
+		* @param {object} details - the context, the deviceId is always added
 		*/
-		_log( msg ) {
-			if(this._debug) {
-				console.log(msg);
+		_log( msg, level = INFO, details = {} ) {
+			let logger = this._logger();
+			if( logger && typeof logger[level] === 'function' ) {
+				logger[level]( msg, Object.assign( { deviceId: this.transport.device ? this.transport.device.id : undefined }, details ) );
 			}
 		}
 
+		/**
+		* Get the logger in use
+		* @returns {object|null}
+		*/
+		_logger() {
+			return this.logger || ( this._debug ? console : null );
+		}
+
 		/**
 		* Delay promise
 		* @param {number} t - time in milliseconds
@@ -795,41 +2665,67 @@ let SBrick = (function() {
 		}
 
 		/**
-		* Trigger event on body to notify listeners that a port's values have changed
+		* Trigger the portchange event to notify listeners that a port's values have changed
+		* (the "portchange.sbrick" event on body is deprecated: listen to the instance instead)
 		* @param {object} portData - The data ({portId, power, direction}) for the port that was changed
 		* @returns {undefined}
 		*/
 		_sendPortChangeEvent( portData ) {
-			const event = new CustomEvent('portchange.sbrick', {detail: portData});
+			this._dispatch( 'portchange', portData );
+			if( typeof document === 'undefined' || !document.body ) {
+				// no DOM to notify (Node, workers)
+				return;
+			}
+			const event = new CustomEvent('portchange.sbrick', {detail: Object.assign( { deviceId: this.transport.device ? this.transport.device.id : undefined }, portData )});
 			document.body.dispatchEvent(event);
 		}
 
 		/**
-		* Check if ports are busy
-		* @returns {boolean}
+		* Write the current values of some ports (called by the scheduler): with a Quick Drive packet
+		* when it can be used (several ports, all the ports it covers are driving), otherwise with a Drive command
+		* @param {array} portIds
+		* @returns {promise}
 		*/
-		_portsIdle(ports) {
-			let allAreIdle = true;
-			ports.forEach( (port) => {
-				if (this.ports[port].busy) {
-					allAreIdle = false;
-				}
-			});
-			return allAreIdle;
+		_writeDrive( portIds ) {
+			let covered = this._getPorts().slice( 0, Math.max.apply( null, portIds ) + 1 );
+			if( portIds.length > 1 && !this._unsupported( 'quickDrive' ) && covered.every( portId => this.ports[portId].mode === OUTPUT && this.ports[portId].config.type !== SENSOR ) ) {
+				// one byte per port, from the first to the last one written
+				return this._write(
+					UUID_CHARACTERISTIC_QUICKDRIVE,
+					Protocol.encodeQuickDrive( covered.map( portId => this._output(portId) ) )
+				);
+			}
+			return this._write(
+				UUID_CHARACTERISTIC_REMOTECONTROL,
+				Protocol.encode( CMD_DRIVE, { ports: portIds.map( portId => this._output(portId) ) } )
+			);
 		}
 
 		/**
-		* Set all ports to busy
-		* @returns {undefined}
+		* Write the break command of some ports (called by the scheduler)
+		* @param {array} portIds
+		* @returns {promise}
 		*/
-		_setPortsBusy(ports, status) {
-			ports.forEach( (port) => {
-				this.ports[port].busy = status;
-			});
-		};
+		_writeBreak( portIds ) {
+			return this._write(
+				UUID_CHARACTERISTIC_REMOTECONTROL,
+				Protocol.encode( CMD_BREAK, { portIds: portIds } )
+			);
+		}
 
 	}
 
+	// export error classes and sensor drivers registry
+	SBrick.Errors  = Errors;
+	SBrick.Sensors = Sensors;
+	SBrick.Effects = Effects;
+	SBrick.Battery = Battery;
+	SBrick.Capabilities = Capabilities;
+
 	return SBrick;
 
 })();
+
+if( typeof module !== 'undefined' && module.exports ) {
+	module.exports = SBrick;
+}
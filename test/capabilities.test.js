@@ -0,0 +1,30 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const Capabilities = require('../src/sbrick-capabilities.js');
+
+test( 'the sensor inputs need an SBrick Plus', () => {
+	let plus = Capabilities.detect( { model: 'SBrick Plus', firmware: '4.17' } );
+	assert.strictEqual( plus.sensor, true );
+	assert.strictEqual( Capabilities.reason( plus, 'sensor' ), null );
+
+	let sbrick = Capabilities.detect( { model: 'SBrick', firmware: '4.17' } );
+	assert.strictEqual( sbrick.sensor, false );
+	assert.match( Capabilities.reason( sbrick, 'sensor' ), /needs an SBrick Plus, this is an SBrick/ );
+});
+
+test( 'an unknown model has none of the features of the Plus', () => {
+	let unknown = Capabilities.detect( { model: null, firmware: '4.17' } );
+	assert.strictEqual( unknown.sensor, false );
+	assert.strictEqual( unknown.quickDrive, true );
+	assert.strictEqual( unknown.pvm, true );
+	assert.match( Capabilities.reason( unknown, 'sensor' ), /needs an SBrick Plus, the model of this SBrick is unknown/ );
+});
+
+test( 'the firmware versions are compared part by part', () => {
+	assert.ok( Capabilities.compareVersions( '4.2', '4.17' ) < 0 );
+	assert.strictEqual( Capabilities.detect( { model: 'SBrick Plus', firmware: '4.2' } ).sensor, false );
+	assert.strictEqual( Capabilities.detect( { model: 'SBrick Plus', firmware: '4.2' } ).ota, true );
+});
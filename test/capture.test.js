@@ -0,0 +1,37 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const Capture = require('../src/sbrick-capture.js');
+
+function entry( i ) {
+	return { time: i, direction: Capture.WRITE, characteristic: 'remotecontrol', command: 'DRIVE', bytes: [ 0x01, 0, 0, i ], latency: 1 };
+}
+
+test( 'the oldest entries are dropped when the capture is full', () => {
+	let capture = new Capture( { size: 3 } );
+	[ 1, 2, 3, 4, 5 ].forEach( i => capture.record( entry(i) ) );
+	assert.deepStrictEqual( capture.entries().map( e => e.time ), [ 3, 4, 5 ] );
+	assert.strictEqual( capture.dropped, 2 );
+	capture.clear();
+	assert.deepStrictEqual( capture.entries(), [] );
+	assert.strictEqual( capture.dropped, 0 );
+	assert.throws( () => new Capture( { size: 0 } ), TypeError );
+});
+
+test( 'JSON.stringify() serializes the capture once', () => {
+	let capture = new Capture( { size: 2 } );
+	capture.record( entry(1) );
+	let json = JSON.parse( JSON.stringify( capture ) );
+	assert.strictEqual( typeof json, 'object' );
+	assert.strictEqual( json.version, 1 );
+	assert.strictEqual( json.size, 2 );
+	assert.deepStrictEqual( json.entries, [ entry(1) ] );
+
+	let report = JSON.parse( capture.stringify( { deviceId: 'SIMULATOR' } ) );
+	assert.strictEqual( report.deviceId, 'SIMULATOR' );
+	assert.deepStrictEqual( report.entries, [ entry(1) ] );
+	// inside another object too
+	assert.deepStrictEqual( JSON.parse( JSON.stringify( { capture: capture } ) ).capture.entries, [ entry(1) ] );
+});
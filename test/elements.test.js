@@ -0,0 +1,128 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const { Window } = require('happy-dom');
+
+const SBrick    = require('../src/sbrick.js');
+const Simulator = require('../src/sbrick-simulator.js');
+const Elements  = require('../src/sbrick-elements.js');
+
+const wait = ms => new Promise( resolve => setTimeout( resolve, ms ) );
+
+// wait for a condition, checked every 10 milliseconds
+async function until( check, message, timeoutMs = 2000 ) {
+	const start = Date.now();
+	while( !check() ) {
+		if( Date.now() - start > timeoutMs ) {
+			assert.fail( 'Timed out: ' + message );
+		}
+		await wait( 10 );
+	}
+}
+
+// a window with the elements defined, an SBrick on a simulator registered as the default one
+async function mount( html, simulatorOptions = {} ) {
+	const window = new Window();
+	Elements.define( window );
+	const sim = new Simulator( simulatorOptions );
+	const sbrick = new SBrick( 'SBrick', { transport: sim, keepalive: false } );
+	Elements.register( Elements.DEFAULT, sbrick );
+	window.document.body.innerHTML = html;
+	return {
+		window, sim, sbrick,
+		element: selector => window.document.querySelector( selector ),
+		part: ( selector, inner ) => window.document.querySelector( selector ).shadowRoot.querySelector( inner ),
+		close: async () => {
+			if( sbrick.isConnected() ) {
+				await sbrick.disconnect();
+			}
+			window.document.body.innerHTML = '';
+			Elements.unregister( Elements.DEFAULT );
+			await window.happyDOM.close();
+		}
+	};
+}
+
+test( 'define() registers the five elements once per window', async () => {
+	const window = new Window();
+	const classes = Elements.define( window );
+	assert.strictEqual( Elements.define( window ), classes );
+	[ 'sbrick-connect', 'sbrick-port', 'sbrick-battery', 'sbrick-temperature', 'sbrick-sensor' ].forEach( name => {
+		assert.ok( window.customElements.get( name ), name );
+	});
+	await window.happyDOM.close();
+});
+
+test( 'sbrick-connect connects and disconnects the SBrick', async () => {
+	const dom = await mount( '<sbrick-connect></sbrick-connect>' );
+	try {
+		const connect = dom.element( 'sbrick-connect' );
+		assert.strictEqual( dom.part( 'sbrick-connect', 'button' ).disabled, false );
+		dom.part( 'sbrick-connect', 'button' ).click();
+		await until( () => connect.hasAttribute( 'connected' ), 'connected' );
+		assert.ok( dom.sbrick.isConnected() );
+		assert.strictEqual( dom.part( 'sbrick-connect', 'button' ).textContent, 'Disconnect' );
+
+		await connect.toggle();
+		assert.ok( !connect.hasAttribute( 'connected' ) );
+		assert.ok( !dom.sbrick.isConnected() );
+	} finally {
+		await dom.close();
+	}
+});
+
+test( 'sbrick-port drives and stops the port, and follows the other controls', async () => {
+	const dom = await mount( '<sbrick-port port="1" id="first"></sbrick-port><sbrick-port port="1" id="second"></sbrick-port>' );
+	try {
+		await dom.sbrick.connect();
+		const slider = dom.part( '#first', 'input' );
+		assert.strictEqual( slider.disabled, false );
+
+		// slider -> drive
+		slider.value = '-200';
+		slider.dispatchEvent( new dom.window.Event( 'input' ) );
+		await until( () => dom.sim.outputs[1].power === 200, 'port 1 driven' );
+		assert.strictEqual( dom.sim.outputs[1].direction, 1 );
+		// the other element of the same port got the portchange
+		assert.strictEqual( dom.part( '#second', 'input' ).value, '-200' );
+		assert.ok( dom.element( '#second' ).hasAttribute( 'driving' ) );
+
+		// a portchange from another control moves the slider
+		await dom.sbrick.drive( { portId: 1, power: 120 } );
+		assert.strictEqual( slider.value, '120' );
+		assert.strictEqual( dom.part( '#first', 'output' ).textContent, '120' );
+
+		// stop button -> stop
+		dom.part( '#second', 'button' ).click();
+		await until( () => dom.sim.outputs[1].brake, 'port 1 stopped' );
+		assert.strictEqual( slider.value, '0' );
+		assert.ok( !dom.element( '#first' ).hasAttribute( 'driving' ) );
+	} finally {
+		await dom.close();
+	}
+});
+
+test( 'the battery, temperature and sensor readouts follow the SBrick', async () => {
+	const dom = await mount(
+		'<sbrick-battery interval="20"></sbrick-battery>' +
+		'<sbrick-temperature interval="20"></sbrick-temperature>' +
+		'<sbrick-sensor port="2" series="wedo" field="distance" interval="20"></sbrick-sensor>'
+	);
+	try {
+		// nothing read yet: a placeholder, no value
+		assert.strictEqual( dom.part( 'sbrick-battery', '[part=value]' ).textContent, '–' );
+		assert.strictEqual( dom.part( 'sbrick-battery', 'meter' ).getAttribute( 'value' ), null );
+
+		dom.sim.setWeDoMotion( 2, 5 );
+		await dom.sbrick.connect();
+		await until( () => dom.element( 'sbrick-battery' ).hasAttribute( 'state' ), 'battery read' );
+		assert.match( dom.part( 'sbrick-battery', '[part=value]' ).textContent, /^\d+% \d+\.\d V$/ );
+		await until( () => dom.part( 'sbrick-temperature', '[part=value]' ).textContent !== '–', 'temperature read' );
+		assert.match( dom.part( 'sbrick-temperature', '[part=value]' ).textContent, /°C$/ );
+		await until( () => dom.element( 'sbrick-sensor' ).getAttribute( 'type' ) === 'motion', 'sensor read' );
+		assert.ok( !dom.element( 'sbrick-sensor' ).hasAttribute( 'error' ) );
+	} finally {
+		await dom.close();
+	}
+});
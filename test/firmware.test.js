@@ -0,0 +1,48 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const SBrick    = require('../src/sbrick.js');
+const Simulator = require('../src/sbrick-simulator.js');
+const Protocol  = require('../src/sbrick-protocol.js');
+
+const UUID_OTACONTROL = "f7bf3564-fb6d-4e53-88a4-5e37e0326063";
+const UUID_OTADATA    = "984227f3-34fc-4045-a5d0-2c581f81a153";
+
+const wait = ms => new Promise( resolve => setTimeout( resolve, ms ) );
+
+test( 'no background read is sent during a firmware update, and they resume after it', async () => {
+	let sim = new Simulator( { firmware: '4.17', otaFirmware: '4.17' } );
+	// slow writes, so the background reads have the time to get in the way
+	let write = sim.writeCharacteristicValue.bind( sim );
+	sim.writeCharacteristicValue = ( uuid, value ) => wait(2).then( () => write( uuid, value ) );
+	let sbrick = new SBrick( 'SBrick', { transport: sim, keepalive: false } );
+	await sbrick.connect();
+
+	await sbrick.subscribeSensor( 0, { intervalMs: 5, onChange: () => {} } );
+	let stopMonitor = await sbrick.monitorBattery( { intervalMs: 5 } );
+	try {
+		await wait( 30 );
+
+		let image = new Uint8Array( 400 ).map( (byte, i) => i );
+		let version = await sbrick.updateFirmware( image, { version: '4.17' } );
+		assert.strictEqual( version, '4.17' );
+
+		let received = sim.received.map( packet => ( { uuid: packet.uuid, bytes: Array.from( packet.bytes ) } ) );
+		let begin = received.findIndex( packet => packet.uuid === UUID_OTACONTROL && packet.bytes[0] === Protocol.OTA_BEGIN );
+		let end = received.findIndex( packet => packet.uuid === UUID_OTACONTROL && packet.bytes[0] === Protocol.OTA_END );
+		assert.ok( begin !== -1 && end > begin );
+		assert.deepStrictEqual( received.slice( begin + 1, end ).filter( packet => packet.uuid !== UUID_OTADATA ), [] );
+
+		// the PVM of the sensor port is written again and the subscription reads again
+		let after = sim.received.length;
+		await wait( 50 );
+		let adc = sim.received.slice( after ).filter( packet => packet.bytes[0] === Protocol.CMD_ADC );
+		assert.ok( adc.length > 0 );
+		assert.ok( sim.pvmChannels.length > 0 );
+	} finally {
+		stopMonitor();
+		await sbrick.disconnect();
+	}
+});
@@ -0,0 +1,171 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const SBrick    = require('../src/sbrick.js');
+const Simulator = require('../src/sbrick-simulator.js');
+const Fleet     = require('../src/sbrick-fleet.js');
+
+// a fleet of SBricks on simulators, disconnected at the end of the test
+function simulatedFleet( t, simulators ) {
+	let fleet = new Fleet();
+	let sims = {};
+	Object.keys(simulators).forEach( name => {
+		sims[name] = new Simulator( simulators[name] );
+		fleet.add( name, { transport: sims[name], keepalive: false } );
+	});
+	t.after( () => fleet.disconnect() );
+	return { fleet, sims };
+}
+
+// the fleet used by most of the tests
+function trainAndCrane( t ) {
+	return simulatedFleet( t, {
+		train: { id: 'TRAIN-ID', batteryVoltage: 8.4, temperature: 30 },
+		crane: { id: 'CRANE-ID', batteryVoltage: 6.6, temperature: 45 }
+	} );
+}
+
+test( 'add() checks the name and the SBrick', () => {
+	let fleet = new Fleet();
+	let sbrick = new SBrick( 'SBrick', { transport: new Simulator(), keepalive: false } );
+	assert.strictEqual( fleet.add( 'train', sbrick ), sbrick );
+	assert.ok( fleet.add( 'crane', { transport: new Simulator() } ) instanceof SBrick );
+	assert.deepStrictEqual( fleet.names(), [ 'train', 'crane' ] );
+
+	assert.throws( () => fleet.add( 'a', null ), SBrick.Errors.InvalidParameterError );
+	assert.throws( () => fleet.add( 'a', 42 ), SBrick.Errors.InvalidParameterError );
+	assert.throws( () => fleet.add( 'train', {} ), /already in the fleet/ );
+	assert.throws( () => fleet.add( 'train.1', {} ), SBrick.Errors.InvalidParameterError );
+	assert.throws( () => fleet.add( '', {} ), SBrick.Errors.InvalidParameterError );
+});
+
+test( 'resolve() parses "brickName.port"', () => {
+	let fleet = new Fleet();
+	let sbrick = fleet.add( 'train', { transport: new Simulator() } );
+	fleet.add( 'my-crane', { transport: new Simulator() } );
+
+	assert.deepStrictEqual( fleet.resolve( 'train.2' ), { name: 'train', sbrick: sbrick, portId: 2 } );
+	assert.strictEqual( fleet.resolve( 'train.TOPRIGHT' ).portId, sbrick.TOPRIGHT );
+	assert.strictEqual( fleet.resolve( 'train.PORT3' ).portId, 3 );
+	assert.strictEqual( fleet.resolve( 'my-crane.0' ).name, 'my-crane' );
+
+	for( let port of [ 'train', 'train.', 'train.4', 'train.-1', 'train.1.5', 'train.LEFT', 'bus.0', 3, null ] ) {
+		assert.throws( () => fleet.resolve( port ), SBrick.Errors.InvalidParameterError, String( port ) );
+	}
+});
+
+test( 'get() finds an SBrick by name or by device id', async t => {
+	const { fleet } = trainAndCrane( t );
+	assert.strictEqual( fleet.get( 'train' ), fleet.bricks.train.sbrick );
+	assert.strictEqual( fleet.get( 'CRANE-ID' ), undefined, 'no device id before the connection' );
+	await fleet.connect();
+	assert.strictEqual( fleet.get( 'CRANE-ID' ), fleet.bricks.crane.sbrick );
+	assert.strictEqual( fleet.resolve( 'CRANE-ID.1' ).name, 'crane' );
+	assert.strictEqual( fleet.get( 'bus' ), undefined );
+});
+
+test( 'the commands are grouped by SBrick', async t => {
+	const { fleet, sims } = trainAndCrane( t );
+	await fleet.connect();
+	let quickDrives = [];
+	let quickDrive = fleet.bricks.train.sbrick.quickDrive;
+	fleet.bricks.train.sbrick.quickDrive = function( ports ) {
+		quickDrives.push( ports );
+		return quickDrive.call( this, ports );
+	};
+
+	let results = await fleet.quickDrive( [
+		{ port: 'train.0', direction: 0, power: 255 },
+		{ port: 'crane.TOPLEFT', direction: 1, power: 200 },
+		{ port: 'train.3', direction: 1, power: 131 }
+	] );
+	assert.deepStrictEqual( Object.keys(results).sort(), [ 'crane', 'train' ] );
+	assert.ok( Object.keys(results).every( name => results[name].status === 'fulfilled' ) );
+	assert.deepStrictEqual( quickDrives, [ [ { portId: 0, direction: 0, power: 255 }, { portId: 3, direction: 1, power: 131 } ] ] );
+	assert.deepStrictEqual( [ sims.train.outputs[0].power, sims.train.outputs[3].power, sims.crane.outputs[0].power ], [ 255, 131, 200 ] );
+
+	let port = await fleet.drive( { port: 'crane.1', power: 150 } );
+	assert.strictEqual( port.power, 150 );
+	assert.strictEqual( sims.crane.outputs[1].power, 150 );
+
+	results = await fleet.stop( [ 'train.0', 'crane.1' ] );
+	assert.ok( Object.keys(results).every( name => results[name].status === 'fulfilled' ) );
+	assert.deepStrictEqual( [ sims.train.outputs[0].power, sims.train.outputs[3].power, sims.crane.outputs[1].power ], [ 0, 131, 0 ] );
+
+	await assert.rejects( fleet.quickDrive( { port: 'train.0' } ), SBrick.Errors.InvalidParameterError );
+	await assert.rejects( fleet.quickDrive( [ { port: 'bus.0', power: 10 } ] ), SBrick.Errors.InvalidParameterError );
+	await assert.rejects( fleet.drive( null ), SBrick.Errors.InvalidParameterError );
+});
+
+test( 'stopAll() stops every connected SBrick, a failure doesn\'t stop the others', async t => {
+	const { fleet, sims } = simulatedFleet( t, { train: {}, crane: {}, bus: {} } );
+	await fleet.connect( [ 'train', 'crane' ] );
+	await fleet.quickDrive( [ { port: 'train.0', power: 200 }, { port: 'crane.2', power: 200 } ] );
+	fleet.bricks.crane.sbrick.stopAll = () => Promise.reject( new Error( 'GATT Error' ) );
+
+	let results = await fleet.stopAll();
+	assert.deepStrictEqual( Object.keys(results).sort(), [ 'crane', 'train' ], 'only the connected ones' );
+	assert.strictEqual( results.train.status, 'fulfilled' );
+	assert.strictEqual( results.crane.status, 'rejected' );
+	assert.match( results.crane.reason.message, /GATT Error/ );
+	assert.strictEqual( sims.train.outputs[0].power, 0 );
+	delete fleet.bricks.crane.sbrick.stopAll;
+});
+
+test( 'the battery and the temperature summaries', async t => {
+	const { fleet } = simulatedFleet( t, {
+		train: { batteryVoltage: 8.4, temperature: 30 },
+		crane: { batteryVoltage: 6.6, temperature: 45 },
+		bus:   {}
+	} );
+	await fleet.connect( [ 'train', 'crane' ] );
+
+	let battery = await fleet.getBatterySummary();
+	assert.deepStrictEqual( Object.keys(battery.bricks).sort(), [ 'crane', 'train' ] );
+	assert.ok( battery.bricks.train > battery.bricks.crane );
+	assert.strictEqual( battery.min, battery.bricks.crane );
+	assert.strictEqual( battery.max, battery.bricks.train );
+	assert.strictEqual( battery.average, ( battery.bricks.train + battery.bricks.crane ) / 2 );
+	assert.strictEqual( battery.lowest, 'crane' );
+
+	fleet.bricks.crane.sbrick.getTemp = () => Promise.reject( new Error( 'GATT Error' ) );
+	let temperature = await fleet.getTemperatureSummary();
+	assert.strictEqual( temperature.bricks.crane, null, 'a failed reading is null' );
+	assert.ok( Math.abs( temperature.bricks.train - 30 ) < 0.5 );
+	assert.strictEqual( temperature.min, temperature.max );
+	assert.strictEqual( temperature.average, temperature.bricks.train );
+	assert.strictEqual( temperature.hottest, 'train' );
+	assert.ok( Math.abs( ( await fleet.getTemperatureSummary( true ) ).max - 86 ) < 1 );
+});
+
+test( 'getHealth() follows the connections, the readings and the errors', async t => {
+	const { fleet, sims } = trainAndCrane( t );
+	assert.deepStrictEqual( fleet.getHealth().train, {
+		status: 'disconnected', deviceId: undefined, errors: 0, lastError: null, battery: null, temperature: null, thermal: false, lastSeen: null
+	} );
+	await fleet.connect();
+	await fleet.getTemperatureSummary();
+
+	sims.crane.thermalProtection = true;
+	await assert.rejects( fleet.drive( { port: 'crane.0', power: 100 } ) );
+	let lost = new Promise( resolve => fleet.get( 'train' ).addEventListener( 'connectionlost', resolve ) );
+	sims.train.dropConnection( 1000 );
+	await lost;
+
+	let health = fleet.getHealth();
+	assert.strictEqual( health.train.status, 'lost' );
+	assert.strictEqual( health.train.deviceId, 'TRAIN-ID' );
+	assert.ok( Math.abs( health.train.temperature - 30 ) < 0.5 );
+	assert.ok( health.train.lastSeen > 0 );
+	assert.strictEqual( health.crane.status, 'connected' );
+	assert.strictEqual( health.crane.errors, 1 );
+	assert.strictEqual( health.crane.thermal, true );
+	assert.ok( health.crane.lastError instanceof Error );
+
+	await fleet.disconnect( 'crane' );
+	assert.strictEqual( fleet.getHealth().crane.status, 'disconnected' );
+	fleet.remove( 'crane' );
+	assert.deepStrictEqual( Object.keys( fleet.getHealth() ), [ 'train' ] );
+});
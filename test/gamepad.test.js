@@ -0,0 +1,129 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const GamepadController = require('../src/sbrick-gamepad.js');
+
+// SBrick stand-in recording the commands
+function fakeSBrick() {
+	return {
+		calls: [],
+		isConnected() { return true; },
+		quickDrive( ports ) { this.calls.push( [ 'quickDrive', ports ] ); return Promise.resolve( ports ); },
+		stop( portId ) { this.calls.push( [ 'stop', portId ] ); return Promise.resolve(); },
+		stopAll() { this.calls.push( [ 'stopAll' ] ); return Promise.resolve(); }
+	};
+}
+
+// Gamepad source returning the snapshot in pad
+function fakeSource( pad ) {
+	return { getGamepads: () => [ pad ] };
+}
+
+function gamepad( axes, pressed = [] ) {
+	let buttons = [];
+	for( let i = 0; i < 8; i++ ) {
+		buttons.push( { pressed: pressed.indexOf(i) !== -1 } );
+	}
+	return { connected: true, axes: axes, buttons: buttons };
+}
+
+function quickDrives( sbrick ) {
+	return sbrick.calls.filter( call => call[0] === 'quickDrive' ).map( call => call[1] );
+}
+
+test( 'the dead zone keeps the port stopped', async () => {
+	let sbrick = fakeSBrick();
+	let pad = gamepad( [ 0, 0.05 ] );
+	let controller = new GamepadController( sbrick, { source: fakeSource(pad), mapping: { axes: [ { axis: 1, portId: 0, deadZone: 0.1 } ] } } );
+	await controller.poll();
+	assert.deepStrictEqual( quickDrives(sbrick), [ [ { portId: 0, direction: 0, power: 0 } ] ] );
+	pad.axes[1] = 0.55; // half way between the dead zone and the end
+	await controller.poll();
+	assert.deepStrictEqual( quickDrives(sbrick)[1], [ { portId: 0, direction: 0, power: 128 } ] );
+});
+
+test( 'curves shape the axis and invert swaps the direction', async () => {
+	let sbrick = fakeSBrick();
+	let pad = gamepad( [ 0.5, 0.5, -1 ] );
+	let controller = new GamepadController( sbrick, { source: fakeSource(pad), mapping: { axes: [
+		{ axis: 0, portId: 0, deadZone: 0, curve: 'linear' },
+		{ axis: 1, portId: 1, deadZone: 0, curve: 'quadratic' },
+		{ axis: 2, portId: 2, deadZone: 0, curve: 'cubic', invert: true }
+	] } } );
+	await controller.poll();
+	assert.deepStrictEqual( quickDrives(sbrick), [ [
+		{ portId: 0, direction: 0, power: 128 },
+		{ portId: 1, direction: 0, power: 64 },
+		{ portId: 2, direction: 0, power: 255 }
+	] ] );
+	assert.strictEqual( controller._axisValue( { deadZone: 0, curve: 'expo', expo: 0.5, invert: false }, 0.5 ), 0.5 * 0.5 + 0.5 * 0.125 );
+});
+
+test( 'a toggle button switches its port on and off at every press', async () => {
+	let sbrick = fakeSBrick();
+	let pad = gamepad( [] );
+	let controller = new GamepadController( sbrick, { source: fakeSource(pad), mapping: { buttons: [ { button: 3, action: 'toggle', portId: 2, power: 200 } ] } } );
+	await controller.poll();
+	pad.buttons[3].pressed = true;
+	await controller.poll();
+	await controller.poll(); // still held: no change
+	pad.buttons[3].pressed = false;
+	await controller.poll(); // released: still on
+	pad.buttons[3].pressed = true;
+	await controller.poll();
+	assert.deepStrictEqual( quickDrives(sbrick), [
+		[ { portId: 2, direction: 0, power: 0 } ],
+		[ { portId: 2, direction: 0, power: 200 } ],
+		[ { portId: 2, direction: 0, power: 0 } ]
+	] );
+});
+
+test( 'the tank preset drives a port for each stick and stops all with button 0', async () => {
+	let sbrick = fakeSBrick();
+	let pad = gamepad( [ 0, -1, 0, 1 ] );
+	let controller = new GamepadController( sbrick, { source: fakeSource(pad) } );
+	await controller.poll();
+	assert.deepStrictEqual( quickDrives(sbrick), [ [ { portId: 0, direction: 0, power: 255 }, { portId: 1, direction: 1, power: 255 } ] ] );
+	pad.buttons[0].pressed = true;
+	await controller.poll();
+	assert.deepStrictEqual( sbrick.calls[1], [ 'stopAll' ] );
+	assert.strictEqual( quickDrives(sbrick).length, 1 ); // latched at 0 until the sticks are released
+});
+
+test( 'the car preset is loaded by name', () => {
+	let controller = new GamepadController( fakeSBrick(), { source: fakeSource( gamepad([]) ), mapping: 'car' } );
+	assert.deepStrictEqual( controller.getMapping().axes.map( axis => [ axis.axis, axis.portId, axis.curve ] ), [ [ 1, 0, 'expo' ], [ 2, 1, 'linear' ] ] );
+});
+
+test( 'every port changed in a frame is sent with a single quickDrive', async () => {
+	let sbrick = fakeSBrick();
+	let pad = gamepad( [ 1, 1, 1, 1 ] );
+	let controller = new GamepadController( sbrick, { source: fakeSource(pad), mapping: { axes: [
+		{ axis: 0, portId: 0 }, { axis: 1, portId: 1 }, { axis: 2, portId: 2 }, { axis: 3, portId: 3 }
+	] } } );
+	await controller.poll();
+	assert.strictEqual( quickDrives(sbrick).length, 1 );
+	assert.strictEqual( quickDrives(sbrick)[0].length, 4 );
+	await controller.poll(); // nothing changed: nothing sent
+	assert.strictEqual( quickDrives(sbrick).length, 1 );
+	pad.axes[0] = 0;
+	pad.axes[2] = 0;
+	await controller.poll();
+	assert.deepStrictEqual( quickDrives(sbrick)[1].map( port => port.portId ), [ 0, 2 ] );
+});
+
+test( 'saved presets belong to their controller and the built-in ones are read only', () => {
+	let first = new GamepadController( fakeSBrick(), { source: fakeSource( gamepad([]) ), mapping: { axes: [ { axis: 0, portId: 3 } ] } } );
+	let second = new GamepadController( fakeSBrick(), { source: fakeSource( gamepad([]) ) } );
+	first.savePreset( 'crane' );
+	assert.throws( () => first.savePreset( 'tank' ), /built-in preset/ );
+	assert.throws( () => second.loadPreset( 'crane' ), /unknown preset/ );
+	second.loadPreset( 'tank' );
+	assert.strictEqual( second.getMapping().axes[0].portId, 0 );
+	assert.ok( Object.isFrozen( GamepadController.PRESETS.tank ) );
+	let third = new GamepadController( fakeSBrick(), { source: fakeSource( gamepad([]) ), presets: first.getPresets() } );
+	third.loadPreset( 'crane' );
+	assert.strictEqual( third.getMapping().axes[0].portId, 3 );
+});
@@ -0,0 +1,162 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const Protocol = require('../src/sbrick-protocol.js');
+
+// every command: the params, the packet, and the params decoded from it when they differ
+const PACKETS = [
+	[ 'CMD_BREAK',                  { portIds: [ 0, 2 ] }, [ 0x00, 0, 2 ] ],
+	[ 'CMD_DRIVE',                  { ports: [ { portId: 1, direction: 1, power: 200 }, { portId: 3, direction: 0, power: 0 } ] }, [ 0x01, 1, 1, 200, 3, 0, 0 ] ],
+	[ 'CMD_RESET',                  {}, [ 0x02 ] ],
+	[ 'CMD_GET_CHANNEL_STATUS_OLD', {}, [ 0x03 ] ],
+	[ 'CMD_AUTHENTICATE',           { user: Protocol.OWNER, password: 'secret' }, [ 0x04, 0, 115, 101, 99, 114, 101, 116, 0, 0 ],
+		{ user: 0, password: [ 115, 101, 99, 114, 101, 116, 0, 0 ] } ],
+	[ 'CMD_IS_AUTHENTICATED',       { user: Protocol.GUEST }, [ 0x05, 1 ] ],
+	[ 'CMD_GET_USER_ID',            {}, [ 0x06 ] ],
+	[ 'CMD_SET_PASSWORD',           { user: Protocol.GUEST, password: [ 1, 2, 3 ] }, [ 0x07, 1, 1, 2, 3, 0, 0, 0, 0, 0 ],
+		{ user: 1, password: [ 1, 2, 3, 0, 0, 0, 0, 0 ] } ],
+	[ 'CMD_SET_AUTH_TIMEOUT',       { timeout: 2500 }, [ 0x08, 25 ] ],
+	[ 'CMD_GET_AUTH_TIMEOUT',       {}, [ 0x09 ] ],
+	[ 'CMD_GET_BRICK_ID',           {}, [ 0x0A ] ],
+	[ 'CMD_QUICKDRIVE_SETUP',       { channels: [ 0, 1, 2, 3 ] }, [ 0x0B, 0, 1, 2, 3 ] ],
+	[ 'CMD_READ_QUICKDRIVE_SETUP',  {}, [ 0x0C ] ],
+	[ 'CMD_SET_WATCHDOG',           { timeout: 500 }, [ 0x0D, 5 ] ],
+	[ 'CMD_GET_WATCHDOG',           {}, [ 0x0E ] ],
+	[ 'CMD_ADC',                    { channels: [ Protocol.CHANNEL_VOLT, Protocol.CHANNEL_TEMP ] }, [ 0x0F, 8, 9 ] ],
+	[ 'CMD_SEND_EVENT',             { eventId: 3 }, [ 0x10, 3 ] ],
+	[ 'CMD_ERASE_USER_FLASH',       {}, [ 0x11 ] ],
+	[ 'CMD_REBOOT',                 {}, [ 0x12 ] ],
+	[ 'CMD_BREAK_PWM',              { ports: [ { portId: 2, power: 128 } ] }, [ 0x13, 2, 128 ] ],
+	[ 'CMD_SET_THERMAL_LIMIT',      { celsius: 40 }, [ 0x14, 0xDC, 0x5C ], { celsius: 23772 / 118.85795 - 160 } ],
+	[ 'CMD_GET_THERMAL_LIMIT',      {}, [ 0x15 ] ],
+	[ 'CMD_WRITE_PROGRAM',          { offset: 0x0102, bytes: [ 9, 8 ] }, [ 0x16, 0x02, 0x01, 9, 8 ] ],
+	[ 'CMD_READ_PROGRAM',           { offset: 16, length: 4 }, [ 0x17, 16, 0, 4 ] ],
+	[ 'CMD_SAVE_PROGRAM',           {}, [ 0x18 ] ],
+	[ 'CMD_START_PROGRAM',          {}, [ 0x19 ] ],
+	[ 'CMD_STOP_PROGRAM',           {}, [ 0x1A ] ],
+	[ 'CMD_SET_PWM_COUNTER',        { value: 1000 }, [ 0x1B, 0xE8, 0x03 ] ],
+	[ 'CMD_GET_PWM_COUNTER',        {}, [ 0x1C ] ],
+	[ 'CMD_SAVE_PWM_COUNTER',       {}, [ 0x1D ] ],
+	[ 'CMD_GET_CHANNEL_STATUS',     {}, [ 0x1E ] ],
+	[ 'CMD_IS_GUEST_PASSWORD_SET',  {}, [ 0x1F ] ],
+	[ 'CMD_SET_CONNECTION_PARAMS',  { minInterval: 8, maxInterval: 16, latency: 0, timeout: 400 }, [ 0x20, 8, 0, 16, 0, 0, 0, 0x90, 0x01 ] ],
+	[ 'CMD_GET_CONNECTION_PARAMS',  {}, [ 0x21 ] ],
+	[ 'CMD_SET_RELEASE_ON_RESET',   { release: true }, [ 0x22, 1 ] ],
+	[ 'CMD_GET_RELEASE_ON_RESET',   {}, [ 0x23 ] ],
+	[ 'CMD_GET_POWER_CYCLES',       {}, [ 0x24 ] ],
+	[ 'CMD_GET_UPTIME',             {}, [ 0x25 ] ],
+	[ 'CMD_SET_DEVICE_NAME',        { name: 'Crane' }, [ 0x26, 67, 114, 97, 110, 101 ] ],
+	[ 'CMD_GET_DEVICE_NAME',        {}, [ 0x27 ] ],
+	[ 'CMD_SET_TX_POWER',           { dbm: -6 }, [ 0x28, 0xFA ] ],
+	[ 'CMD_GET_TX_POWER',           {}, [ 0x29 ] ],
+	[ 'CMD_SET_PWM_FREQUENCY',      { hz: 2000 }, [ 0x2A, 0xD0, 0x07 ] ],
+	[ 'CMD_GET_PWM_FREQUENCY',      {}, [ 0x2B ] ],
+	[ 'CMD_PVM',                    { channels: [ 0, 1 ] }, [ 0x2C, 0, 1 ] ],
+	[ 'CMD_PVM_VALUES',             { values: [ { channel: 0x08, value: 0x7A3 } ] }, [ 0x2D, 0x38, 0x7A ],
+		{ values: [ { channel: 0x08, raw: 0x7A38, value: 0x7A3, volt: Protocol.rawToVolt(0x7A38) } ] } ]
+];
+
+// every command with a reply: the bytes read and the reply decoded from them
+const REPLIES = [
+	[ 'CMD_GET_CHANNEL_STATUS_OLD', [ 0x05, 0x02 ], { type: 'channelStatus', ports: [
+		{ portId: 0, brake: true,  direction: 0 }, { portId: 1, brake: false, direction: 1 },
+		{ portId: 2, brake: true,  direction: 0 }, { portId: 3, brake: false, direction: 0 }
+	] } ],
+	[ 'CMD_IS_AUTHENTICATED',      [ 0x01 ], { type: 'authenticated', authenticated: true } ],
+	[ 'CMD_GET_USER_ID',           [ 0x01 ], { type: 'user', user: 1 } ],
+	[ 'CMD_GET_AUTH_TIMEOUT',      [ 30 ], { type: 'authTimeout', timeout: 3000 } ],
+	[ 'CMD_GET_BRICK_ID',          [ 0x00, 0x07, 0x80, 0xD0, 0x3A, 0xF2 ], { type: 'brickId', brickId: '00:07:80:D0:3A:F2' } ],
+	[ 'CMD_READ_QUICKDRIVE_SETUP', [ 0, 1, 2, 3 ], { type: 'quickDriveSetup', channels: [ 0, 1, 2, 3 ] } ],
+	[ 'CMD_GET_WATCHDOG',          [ 5 ], { type: 'watchdog', timeout: 500 } ],
+	[ 'CMD_GET_THERMAL_LIMIT',     [ 0xDC, 0x5C ], { type: 'thermalLimit', celsius: 23772 / 118.85795 - 160 } ],
+	[ 'CMD_READ_PROGRAM',          [ 1, 2 ], { type: 'program', bytes: [ 1, 2 ] } ],
+	[ 'CMD_GET_PWM_COUNTER',       [ 0xE8, 0x03 ], { type: 'pwmCounter', value: 1000 } ],
+	[ 'CMD_GET_CHANNEL_STATUS',    [ 0x08, 0x01, 10, 20, 30, 40 ], { type: 'channelStatus', ports: [
+		{ portId: 0, brake: false, direction: 1, power: 10 }, { portId: 1, brake: false, direction: 0, power: 20 },
+		{ portId: 2, brake: false, direction: 0, power: 30 }, { portId: 3, brake: true,  direction: 0, power: 40 }
+	] } ],
+	[ 'CMD_IS_GUEST_PASSWORD_SET', [ 0x00 ], { type: 'guestPassword', set: false } ],
+	[ 'CMD_GET_CONNECTION_PARAMS', [ 8, 0, 16, 0, 0, 0, 0x90, 0x01 ], { type: 'connectionParams', minInterval: 8, maxInterval: 16, latency: 0, timeout: 400 } ],
+	[ 'CMD_GET_RELEASE_ON_RESET',  [ 0x01 ], { type: 'releaseOnReset', release: true } ],
+	[ 'CMD_GET_POWER_CYCLES',      [ 0x10, 0x27, 0, 0 ], { type: 'powerCycles', count: 10000 } ],
+	[ 'CMD_GET_UPTIME',            [ 100, 0, 0, 0 ], { type: 'uptime', uptime: 10000 } ],
+	[ 'CMD_GET_DEVICE_NAME',       [ 83, 66, 0, 0 ], { type: 'deviceName', name: 'SB' } ],
+	[ 'CMD_GET_TX_POWER',          [ 0xFA ], { type: 'txPower', dbm: -6 } ],
+	[ 'CMD_GET_PWM_FREQUENCY',     [ 0xD0, 0x07 ], { type: 'pwmFrequency', hz: 2000 } ],
+	[ 'CMD_PVM_VALUES',            [ 0x38, 0x7A, 0x12, 0x34 ], { type: 'pvm', values: [
+		{ channel: 0x08, raw: 0x7A38, value: 0x7A3, volt: Protocol.rawToVolt(0x7A38) },
+		{ channel: 0x02, raw: 0x3412, value: 0x341 }
+	] } ]
+];
+
+test( 'every command is in the tables', () => {
+	let commands = Object.keys(Protocol).filter( key => key.indexOf('CMD_') === 0 );
+	assert.deepStrictEqual( PACKETS.map( packet => packet[0] ).sort(), commands.sort() );
+	commands.forEach( key => assert.strictEqual( Protocol.commandName( Protocol[key] ), key.slice(4), key ) );
+	assert.strictEqual( Protocol.commandName( 0xFF ), undefined );
+});
+
+test( 'every command is encoded and decoded', () => {
+	PACKETS.forEach( ([ key, params, bytes, decoded ]) => {
+		let packet = Protocol.encode( Protocol[key], params );
+		assert.ok( packet instanceof Uint8Array, key );
+		assert.deepStrictEqual( Array.from(packet), bytes, key );
+		assert.deepStrictEqual( Protocol.decode( packet ), { command: Protocol[key], name: key.slice(4), params: decoded || params }, key );
+	});
+});
+
+test( 'the replies are decoded', () => {
+	REPLIES.forEach( ([ key, bytes, reply ]) => {
+		assert.deepStrictEqual( Protocol.decodeReply( Protocol[key], new Uint8Array(bytes) ), reply, key );
+	});
+	// ADC measures take their channel from the query
+	assert.deepStrictEqual( Protocol.decodeReply( Protocol.CMD_ADC, [ 0x38, 0x7A ], { channels: [ Protocol.CHANNEL_VOLT ] } ),
+		{ type: 'adc', values: [ { channel: 0x08, raw: 0x7A38, value: 0x7A3, volt: Protocol.rawToVolt(0x7A38) } ] } );
+	// from a DataView, as read from the characteristic
+	assert.deepStrictEqual( Protocol.decodeReply( Protocol.CMD_GET_WATCHDOG, new DataView( new Uint8Array([ 0, 7 ]).buffer, 1 ) ), { type: 'watchdog', timeout: 700 } );
+	assert.deepStrictEqual( Protocol.decodeReply( Protocol.CMD_DRIVE, [ 1, 2 ] ), { type: 'raw', bytes: [ 1, 2 ] } );
+});
+
+test( 'unknown commands', () => {
+	assert.throws( () => Protocol.encode( 0xFF ), /Unknown command 0xff/ );
+	assert.deepStrictEqual( Protocol.decode( [ 0xFF, 1, 2 ] ), { command: 0xFF, name: undefined, params: { bytes: [ 1, 2 ] } } );
+});
+
+test( 'Quick Drive packets', () => {
+	let packet = Protocol.encodeQuickDrive( [ { direction: 1, power: 255 }, { direction: 0, power: 0 }, { direction: 0, power: 128 } ] );
+	assert.deepStrictEqual( Array.from(packet), [ 0xFF, 0x00, 126 ] );
+	assert.deepStrictEqual( Protocol.decodeQuickDrive( packet ), [
+		{ portId: 0, direction: 1, power: 255 },
+		{ portId: 1, direction: 0, power: 0 },
+		{ portId: 2, direction: 0, power: 126 }
+	] );
+});
+
+test( 'the error codes', () => {
+	const ERRORS = [
+		[ 0x80, 'ERROR_LENGTH',  'Invalid command length' ],
+		[ 0x81, 'ERROR_PARAM',   'Invalid parameter' ],
+		[ 0x82, 'ERROR_COMMAND', 'No such command' ],
+		[ 0x83, 'ERROR_NOAUTH',  'No authentication needed' ],
+		[ 0x84, 'ERROR_AUTH',    'Authentication error' ],
+		[ 0x85, 'ERROR_DOAUTH',  'Authentication needed' ],
+		[ 0x86, 'ERROR_AUTHOR',  'Authorization error' ],
+		[ 0x87, 'ERROR_THERMAL', 'Thermal protection is active' ],
+		[ 0x88, 'ERROR_STATE',   'The system is in a state where the command does not make sense' ]
+	];
+	ERRORS.forEach( ([ code, name, message ]) => {
+		assert.strictEqual( Protocol[name], code );
+		assert.deepStrictEqual( Protocol.decodeError( code ), { type: 'error', code: code, name: name, message: message } );
+	});
+	assert.strictEqual( Protocol.decodeError( 0x00 ), null );
+	assert.strictEqual( Protocol.decodeError( 0x89 ), null );
+});
+
+test( 'the conversions', () => {
+	assert.strictEqual( Protocol.voltToRaw( Protocol.rawToVolt( 0x7A38 ) ), 0x7A38 );
+	assert.strictEqual( Protocol.celsiusToRaw( Protocol.rawToCelsius( 23772 ) ), 23772 );
+	assert.strictEqual( Protocol.crc32( new Uint8Array( [ 0x31, 0x32, 0x33, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39 ] ) ), 0xCBF43926 );
+	assert.strictEqual( Protocol.decodeString( [ 65, 66, 0, 67 ] ), 'AB' );
+});
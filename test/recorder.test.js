@@ -0,0 +1,140 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const SBrick    = require('../src/sbrick.js');
+const Simulator = require('../src/sbrick-simulator.js');
+const Recorder  = require('../src/sbrick-recorder.js');
+
+const wait = ms => new Promise( resolve => setTimeout( resolve, ms ) );
+
+// a connected SBrick on a simulator, disconnected at the end of the test
+async function connected( t ) {
+	let sim = new Simulator();
+	let sbrick = new SBrick( 'SBrick', { transport: sim, keepalive: false } );
+	await sbrick.connect();
+	t.after( () => sbrick.isConnected() ? sbrick.disconnect() : undefined );
+	return { sim, sbrick };
+}
+
+// SBrick stand-in recording the commands with their time
+function fakeSBrick() {
+	let start = Date.now();
+	let log = ( command, args ) => { sbrick.calls.push( { t: Date.now() - start, command: command, args: args } ); return Promise.resolve(); };
+	let sbrick = {
+		calls: [],
+		isConnected: () => true,
+		drive: port => log( 'drive', port ),
+		quickDrive: ports => log( 'quickDrive', ports ),
+		stop: portIds => log( 'stop', portIds ),
+		stopAll: () => log( 'stopAll' )
+	};
+	return sbrick;
+}
+
+function recording( commands, duration ) {
+	return { version: 1, source: 'api', startedAt: new Date().toISOString(), duration: duration, commands: commands };
+}
+
+test( 'the api source records the calls to drive, quickDrive and stop', async t => {
+	const { sbrick } = await connected( t );
+	let recorder = new Recorder( sbrick, { source: 'api' } );
+	recorder.start();
+	await sbrick.drive( { portId: 0, direction: sbrick.CW, power: 100 } );
+	await sbrick.quickDrive( [ { portId: 1, direction: sbrick.CCW, power: 50 } ] );
+	await sbrick.stop( 0 );
+	await sbrick.rampTo( 2, 10, { durationMs: 0 } ); // not one of the three methods
+	let result = recorder.stop();
+	assert.ok( !recorder.isRecording() );
+	assert.deepStrictEqual( result.commands.map( command => [ command.command, command.args ] ), [
+		[ 'drive', { portId: 0, direction: 0, power: 100 } ],
+		[ 'quickDrive', [ { portId: 1, direction: 1, power: 50 } ] ],
+		[ 'stop', [ 0 ] ]
+	] );
+	// the methods of the class are back
+	assert.ok( !Object.prototype.hasOwnProperty.call( sbrick, 'drive' ) );
+
+	// JSON.stringify() serializes the recording once
+	assert.deepStrictEqual( JSON.parse( JSON.stringify( recorder ) ), result );
+	assert.deepStrictEqual( JSON.parse( recorder.stringify() ), result );
+});
+
+test( 'the portchange source records every change of the ports', async t => {
+	const { sbrick } = await connected( t );
+	let recorder = new Recorder( sbrick );
+	recorder.start();
+	await sbrick.drive( { portId: 0, power: 100 } );
+	await sbrick.rampTo( 1, 200, { durationMs: 0 } );
+	await sbrick.stop( 0 );
+	let commands = recorder.stop().commands.map( command => [ command.command, command.args ] );
+	assert.deepStrictEqual( commands, [
+		[ 'drive', { portId: 0, direction: 0, power: 100 } ],
+		[ 'drive', { portId: 1, direction: 0, power: 200 } ],
+		[ 'stop', [ 0 ] ]
+	] );
+	assert.throws( () => new Recorder( sbrick, { source: 'other' } ), SBrick.Errors.InvalidParameterError );
+});
+
+test( 'the replay follows the speed and the loops', async () => {
+	let sbrick = fakeSBrick();
+	let replay = Recorder.replay( sbrick, recording( [
+		{ t: 0,  command: 'drive', args: { portId: 0, direction: 0, power: 100 } },
+		{ t: 80, command: 'stop',  args: [ 0 ] }
+	], 100 ), { speed: 2, loop: 2 } );
+	let result = await replay.promise;
+	assert.deepStrictEqual( result, { completed: true, loops: 2 } );
+	let calls = sbrick.calls.map( call => call.command );
+	assert.deepStrictEqual( calls, [ 'drive', 'stop', 'drive', 'stop', 'stopAll' ] );
+	// twice as fast: the stop 40 ms after the drive, the second loop 50 ms after the first one
+	let times = sbrick.calls.map( call => call.t );
+	assert.ok( times[1] >= 35 && times[1] < 75, 'stop at ' + times[1] );
+	assert.ok( times[2] >= 45 && times[2] < 90, 'second loop at ' + times[2] );
+
+	assert.throws( () => Recorder.replay( sbrick, recording( [ { t: 0, command: 'reboot', args: [] } ] ) ), /not a recording/ );
+	assert.throws( () => Recorder.replay( sbrick, recording( [] ), { speed: 0 } ), /speed/ );
+});
+
+test( 'pause stops the ports, resume drives them again as they were', async () => {
+	let sbrick = fakeSBrick();
+	let replay = Recorder.replay( sbrick, JSON.stringify( recording( [
+		{ t: 0,  command: 'drive',      args: { portId: 0, direction: 1, power: 150 } },
+		{ t: 0,  command: 'quickDrive', args: [ { portId: 1, direction: 0, power: 80 }, { portId: 2, direction: 0, power: 0 } ] },
+		{ t: 60, command: 'stop',       args: [ 0, 1 ] }
+	], 60 ) ) );
+	await wait( 20 );
+	await replay.pause();
+	assert.ok( replay.isPaused() );
+	let paused = replay.position();
+	assert.strictEqual( sbrick.calls[ sbrick.calls.length - 1 ].command, 'stopAll' );
+
+	// nothing is replayed while paused
+	await wait( 80 );
+	assert.strictEqual( sbrick.calls.filter( call => call.command === 'stop' ).length, 0 );
+	assert.strictEqual( replay.position(), paused );
+
+	await replay.resume();
+	assert.deepStrictEqual( sbrick.calls[ sbrick.calls.length - 1 ].args, [
+		{ portId: 0, direction: 1, power: 150 },
+		{ portId: 1, direction: 0, power: 80 }
+	] );
+	assert.deepStrictEqual( await replay.promise, { completed: true, loops: 1 } );
+	assert.deepStrictEqual( sbrick.calls.slice( -2 ).map( call => call.command ), [ 'stop', 'stopAll' ] );
+});
+
+test( 'every port is stopped when the replay ends or is cancelled', async t => {
+	const { sim, sbrick } = await connected( t );
+	let driving = recording( [
+		{ t: 0, command: 'quickDrive', args: [ { portId: 0, direction: 0, power: 200 }, { portId: 1, direction: 1, power: 200 } ] },
+		{ t: 0, command: 'drive',      args: { portId: 3, direction: 0, power: 120 } }
+	], 30 );
+
+	assert.deepStrictEqual( await Recorder.replay( sbrick, driving ).promise, { completed: true, loops: 1 } );
+	assert.ok( sim.outputs.every( output => output.power === 0 ), JSON.stringify( sim.outputs ) );
+
+	let replay = Recorder.replay( sbrick, driving, { loop: true } );
+	await wait( 20 );
+	assert.ok( sim.outputs[0].power > 0 );
+	assert.deepStrictEqual( await replay.cancel(), { completed: false, loops: 0 } );
+	assert.ok( sim.outputs.every( output => output.power === 0 ), JSON.stringify( sim.outputs ) );
+});
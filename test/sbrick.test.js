@@ -0,0 +1,80 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const SBrick    = require('../src/sbrick.js');
+const Simulator = require('../src/sbrick-simulator.js');
+
+const wait = ms => new Promise( resolve => setTimeout( resolve, ms ) );
+
+// a connected SBrick on a simulator, disconnected at the end of the test
+async function connected( t, simulatorOptions = {} ) {
+	let sim = new Simulator( simulatorOptions );
+	let sbrick = new SBrick( 'SBrick', { transport: sim, keepalive: false } );
+	await sbrick.connect();
+	t.after( () => sbrick.isConnected() ? sbrick.disconnect() : undefined );
+	return { sim, sbrick };
+}
+
+test( 'quickDrive() leaves the sensor subscriptions of the other ports alone', async t => {
+	const { sim, sbrick } = await connected( t );
+	sim.setWeDoMotion( 2, 5 );
+	let readings = [];
+	await sbrick.subscribeSensor( 2, { series: 'wedo', intervalMs: 10, onChange: reading => readings.push( reading ) } );
+	assert.deepStrictEqual( sim.pvmChannels, [ 4, 5 ] );
+
+	await sbrick.quickDrive( [ { portId: 0, direction: sbrick.CW, power: 100 } ] );
+	assert.strictEqual( sim.outputs[0].power, 100 );
+	assert.strictEqual( sbrick.ports[2].mode, 'input' );
+	assert.deepStrictEqual( sim.pvmChannels, [ 4, 5 ] );
+
+	readings = [];
+	sim.setWeDoMotion( 2, 9 );
+	await wait( 50 );
+	assert.ok( readings.length > 0 );
+	assert.strictEqual( readings[ readings.length - 1 ].type, 'motion' );
+});
+
+test( 'a port configured as sensor can be read after it was driven and stopped', async t => {
+	const { sim, sbrick } = await connected( t );
+	sim.setWeDoMotion( 2, 5 );
+	await sbrick.drive( { portId: 2, power: 200 } );
+	await sbrick.stop( 2 );
+	sbrick.configurePort( 2, { type: sbrick.SENSOR } );
+
+	let reading = await sbrick.getSensor( 2, 'wedo' );
+	assert.strictEqual( reading.type, 'motion' );
+	assert.strictEqual( sbrick.ports[2].mode, 'input' );
+	assert.deepStrictEqual( sim.outputs[2], { direction: 0, power: 0, brake: false } );
+});
+
+test( 'the watchdog timeout is 0 or 100-25500 milliseconds', async t => {
+	const { sim, sbrick } = await connected( t );
+	for( let timeout of [ 1, 49, 99, 25501, -100, '500', NaN ] ) {
+		await assert.rejects( sbrick.setWatchdogTimeout( timeout ), SBrick.Errors.InvalidParameterError, String( timeout ) );
+	}
+	assert.strictEqual( sim.watchdogTimeout, 500, 'nothing was sent' );
+
+	assert.strictEqual( await sbrick.setWatchdogTimeout( 149 ), 100 );
+	assert.strictEqual( await sbrick.getWatchdogTimeout(), 100 );
+	assert.strictEqual( await sbrick.setWatchdogTimeout( 0 ), 0 );
+	assert.strictEqual( await sbrick.getWatchdogTimeout(), 0 );
+});
+
+test( 'the errors of quickDrive() carry the command and the port', async t => {
+	const { sim, sbrick } = await connected( t );
+	sim.thermalProtection = true;
+	await assert.rejects( sbrick.quickDrive( [ { portId: 1, direction: sbrick.CW, power: 100 } ] ), error => {
+		assert.ok( error instanceof SBrick.Errors.ThermalProtectionError );
+		assert.strictEqual( error.commandName, 'DRIVE' );
+		assert.strictEqual( error.portId, 1 );
+		return true;
+	});
+	await assert.rejects( sbrick.quickDrive( [ { portId: 0, power: 100 }, { portId: 1, power: 100 } ] ), error => {
+		assert.strictEqual( error.commandName, 'DRIVE' );
+		assert.strictEqual( error.portId, undefined );
+		return true;
+	});
+	sim.thermalProtection = false;
+});
@@ -0,0 +1,150 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const Scheduler = require('../src/sbrick-scheduler.js');
+const SBrick    = require('../src/sbrick.js');
+const Simulator = require('../src/sbrick-simulator.js');
+
+// writer recording the writes, each one takes a tick
+function fakeWriter() {
+	return {
+		writes: [],
+		drive( portIds ) { this.writes.push( [ 'drive', portIds ] ); return new Promise( resolve => setTimeout( resolve, 1 ) ); },
+		brake( portIds ) { this.writes.push( [ 'brake', portIds ] ); return new Promise( resolve => setTimeout( resolve, 1 ) ); }
+	};
+}
+
+test( 'a drive requested after a brake is written after it', async () => {
+	let writer = fakeWriter();
+	let scheduler = new Scheduler( writer );
+	await Promise.all( [ scheduler.brake( [ 0 ] ), scheduler.drive( 0 ) ] );
+	assert.deepStrictEqual( writer.writes, [ [ 'brake', [ 0 ] ], [ 'drive', [ 0 ] ] ] );
+});
+
+test( 'a drive requested before a brake is dropped by it', async () => {
+	let writer = fakeWriter();
+	let scheduler = new Scheduler( writer );
+	await Promise.all( [ scheduler.drive( 0 ), scheduler.drive( 1 ), scheduler.brake( [ 0 ] ) ] );
+	assert.deepStrictEqual( writer.writes, [ [ 'brake', [ 0 ] ], [ 'drive', [ 1 ] ] ] );
+});
+
+test( 'the drives of a port are merged, the latest value is written once', async () => {
+	let writer = fakeWriter();
+	let scheduler = new Scheduler( writer );
+	// the first write goes at once, the next ones wait for it and are merged
+	let first = scheduler.drive( 0 );
+	await Promise.resolve();
+	let merged = [ scheduler.drive( 0 ), scheduler.drive( 0 ), scheduler.drive( 0 ) ];
+	assert.strictEqual( scheduler.size(), 1 );
+	await Promise.all( [ first ].concat( merged ) );
+	assert.deepStrictEqual( writer.writes, [ [ 'drive', [ 0 ] ], [ 'drive', [ 0 ] ] ] );
+	assert.strictEqual( scheduler.metrics().merged, 2 );
+});
+
+test( 'the drives waiting together are written at once, by port', async () => {
+	let writer = fakeWriter();
+	let scheduler = new Scheduler( writer );
+	await Promise.all( [ scheduler.drive( 2 ), scheduler.drive( 0 ), scheduler.drive( 1 ) ] );
+	assert.deepStrictEqual( writer.writes, [ [ 'drive', [ 0, 1, 2 ] ] ] );
+});
+
+test( 'the brakes jump the queue', async () => {
+	let writer = fakeWriter();
+	let scheduler = new Scheduler( writer );
+	let done = [];
+	let task = name => () => { writer.writes.push( [ 'task', name ] ); return Promise.resolve( name ); };
+	await Promise.all( [
+		scheduler.add( task( 'read' ) ).then( name => done.push( name ) ),
+		scheduler.drive( 1 ),
+		scheduler.brake( [ 2 ] ),
+		scheduler.brake( [ 3 ] )
+	] );
+	// the brakes of the same tick are merged in one write
+	assert.deepStrictEqual( writer.writes, [ [ 'brake', [ 2, 3 ] ], [ 'task', 'read' ], [ 'drive', [ 1 ] ] ] );
+	assert.deepStrictEqual( done, [ 'read' ] );
+});
+
+test( 'the low priority tasks (keepalive) wait until nothing else is pending', async () => {
+	let writer = fakeWriter();
+	let scheduler = new Scheduler( writer );
+	let task = name => () => { writer.writes.push( [ 'task', name ] ); return Promise.resolve(); };
+	await Promise.all( [
+		scheduler.add( task( 'keepalive' ), Scheduler.LOW ),
+		scheduler.add( task( 'adc' ) ),
+		scheduler.drive( 0 ),
+		scheduler.add( task( 'pvm' ) )
+	] );
+	assert.deepStrictEqual( writer.writes, [ [ 'task', 'adc' ], [ 'drive', [ 0 ] ], [ 'task', 'pvm' ], [ 'task', 'keepalive' ] ] );
+	assert.ok( scheduler.isIdle() );
+});
+
+test( 'a failed write rejects its requests only', async () => {
+	let scheduler = new Scheduler( {
+		drive: () => Promise.reject( new Error( 'GATT Error' ) ),
+		brake: () => Promise.resolve()
+	} );
+	await assert.rejects( scheduler.drive( 0 ), /GATT Error/ );
+	await scheduler.brake( [ 0 ] );
+	assert.strictEqual( await scheduler.add( () => Promise.resolve( 42 ) ), 42 );
+});
+
+test( 'the metrics count the requests, the writes, the depth and the latency', async () => {
+	let writer = fakeWriter();
+	let scheduler = new Scheduler( writer );
+	let pending = [ scheduler.drive( 0 ), scheduler.drive( 0 ), scheduler.drive( 1 ), scheduler.add( () => new Promise( resolve => setTimeout( resolve, 20 ) ) ) ];
+	assert.strictEqual( scheduler.metrics().depth, 3 );
+	await Promise.all( pending );
+	let metrics = scheduler.metrics();
+	assert.strictEqual( metrics.depth, 0 );
+	assert.strictEqual( metrics.maxDepth, 3 );
+	assert.strictEqual( metrics.requests, 4 );
+	assert.strictEqual( metrics.writes, 2 );
+	assert.strictEqual( metrics.merged, 1 );
+	assert.ok( metrics.latency.max >= 20 );
+	assert.ok( metrics.latency.last >= 20 );
+	assert.ok( metrics.latency.average > 0 && metrics.latency.average <= metrics.latency.max );
+	scheduler.resetMetrics();
+	assert.deepStrictEqual( scheduler.metrics(), { depth: 0, maxDepth: 0, requests: 0, writes: 0, merged: 0, latency: { last: 0, average: 0, max: 0 } } );
+});
+
+test( 'the ports driven together are sent in one Quick Drive packet', async () => {
+	let sim = new Simulator();
+	let sbrick = new SBrick( 'SBrick', { transport: sim, keepalive: false } );
+	await sbrick.connect();
+	try {
+		let before = sim.received.length;
+		await Promise.all( [ sbrick.drive( { portId: 0, power: 255 } ), sbrick.drive( { portId: 1, direction: sbrick.CCW, power: 255 } ) ] );
+		let packets = sim.received.slice( before );
+		assert.strictEqual( packets.length, 1 );
+		assert.strictEqual( packets[0].uuid, "489a6ae0-c1ab-4c9c-bdb2-11d373c1b7fb" );
+		assert.deepStrictEqual( Array.from( packets[0].bytes ), [ 0xFE, 0xFF ] );
+		assert.deepStrictEqual( sim.outputs.slice( 0, 2 ), [ { direction: 0, power: 255, brake: false }, { direction: 1, power: 255, brake: false } ] );
+	} finally {
+		await sbrick.disconnect();
+	}
+});
+
+test( 'stop() then drive() drives the port, drive() then stop() leaves it stopped', async () => {
+	let sim = new Simulator();
+	let sbrick = new SBrick( 'SBrick', { transport: sim, keepalive: false } );
+	await sbrick.connect();
+	try {
+		await sbrick.drive( { portId: 0, power: 100 } );
+
+		sbrick.stop( 0 );
+		let driven = await sbrick.drive( { portId: 0, power: 200 } );
+		assert.strictEqual( driven.power, 200 );
+		assert.strictEqual( driven.mode, 'output' );
+		assert.deepStrictEqual( sim.outputs[0], { direction: 0, power: 200, brake: false } );
+
+		sbrick.drive( { portId: 0, power: 150 } );
+		let stopped = await sbrick.stop( 0 );
+		assert.strictEqual( stopped[0].power, 0 );
+		assert.strictEqual( stopped[0].mode, 'break' );
+		assert.deepStrictEqual( sim.outputs[0], { direction: 0, power: 0, brake: true } );
+	} finally {
+		await sbrick.disconnect();
+	}
+});
@@ -0,0 +1,191 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const SBrick    = require('../src/sbrick.js');
+const Simulator = require('../src/sbrick-simulator.js');
+const Fleet     = require('../src/sbrick-fleet.js');
+const Sequence  = require('../src/sbrick-sequence.js');
+
+const Errors = SBrick.Errors;
+
+const wait = ms => new Promise( resolve => setTimeout( resolve, ms ) );
+
+// a connected SBrick on a simulator, disconnected at the end of the test
+async function connected( t ) {
+	let sim = new Simulator();
+	let sbrick = new SBrick( 'SBrick', { transport: sim, keepalive: false } );
+	await sbrick.connect();
+	t.after( () => sbrick.isConnected() ? sbrick.disconnect() : undefined );
+	return { sim, sbrick };
+}
+
+// the steps run, with their running time
+function steps( sequence ) {
+	let run = [];
+	sequence.addEventListener( 'step', e => run.push( e.detail ) );
+	return run;
+}
+
+const stopped = sim => sim.outputs.every( output => output.power === 0 );
+
+test( 'validate() compiles the steps and reports where a step is wrong', () => {
+	let sbrick = new SBrick( 'SBrick', { transport: new Simulator() } );
+	let compiled = Sequence.validate( '[ { "port": "TOPLEFT", "power": 100 }, { "stop": [ 1, "PORT3" ] }, { "at": 10, "wait": 5 } ]', sbrick );
+	assert.deepStrictEqual( compiled.map( step => step.kind ), [ 'port', 'stop', 'wait' ] );
+	assert.strictEqual( compiled[0].portId, sbrick.TOPLEFT );
+	assert.strictEqual( compiled[0].direction, sbrick.CW );
+	assert.deepStrictEqual( compiled[1].ports.map( port => port.portId ), [ 1, 3 ] );
+	assert.strictEqual( compiled[2].at, 10 );
+
+	const wrong = ( timeline, message ) => assert.throws( () => Sequence.validate( timeline, sbrick ), error => {
+		assert.ok( error instanceof Errors.InvalidParameterError );
+		assert.match( error.message, message );
+		return true;
+	});
+	wrong( '[ { "port": 0', /not valid JSON/ );
+	wrong( [], /steps must be a non empty array/ );
+	wrong( [ 42 ], /steps\.0 must be an object/ );
+	wrong( [ {} ], /steps\.0 has no action/ );
+	wrong( [ { wait: 1, stop: 'all' } ], /steps\.0 has more than one action \(stop, wait\)/ );
+	wrong( [ { wait: 1, at: -1 } ], /at must be/ );
+	wrong( [ { port: 4, power: 10 } ], /unknown port "4"/ );
+	wrong( [ { port: 0, power: 256 } ], /power must be an integer/ );
+	wrong( [ { port: 0, power: 10, direction: 2 } ], /direction must be/ );
+	wrong( [ { wait: -5 } ], /wait must be/ );
+	wrong( [ { parallel: [] } ], /parallel must be/ );
+	wrong( [ { parallel: [ [ { wait: 1 } ], [ { wait: 'x' } ] ] } ], /steps\.0\.parallel\.1\.0 wait must be/ );
+	wrong( [ { repeat: 0, steps: [ { wait: 1 } ] } ], /repeat must be/ );
+	wrong( [ { repeat: 2, steps: [] } ], /steps\.0\.steps must be a non empty array/ );
+	wrong( [ { until: 'now' } ], /until must be/ );
+	wrong( [ { until: { port: 0, series: 'wedo' } } ], /needs above, below or equals/ );
+	wrong( [ { until: () => true, pollMs: 0 } ], /pollMs must be/ );
+	wrong( [ { until: () => true, timeoutMs: -1 } ], /timeoutMs must be/ );
+	assert.throws( () => Sequence.validate( [ { wait: 1 } ], {} ), /runs on an SBrick or an SBrickFleet/ );
+
+	// with a fleet the ports are "brickName.port"
+	let fleet = new Fleet();
+	fleet.add( 'train', sbrick );
+	assert.strictEqual( Sequence.validate( [ { port: 'train.2', power: 10 } ], fleet )[0].sbrick, sbrick );
+	assert.throws( () => Sequence.validate( [ { port: 'bus.2', power: 10 } ], fleet ), /steps\.0 no SBrick named "bus"/ );
+});
+
+test( 'the steps run at their time, parallel lanes together, repeat again', async t => {
+	const { sbrick } = await connected( t );
+	let sequence = new Sequence( sbrick, [
+		{ port: 0, power: 200 },
+		{ at: 60, parallel: [
+			[ { port: 1, power: 100 }, { at: 40, stop: 1 } ],
+			{ repeat: 3, steps: [ { port: 2, power: 150 }, { wait: 10 }, { stop: 2 } ] }
+		] },
+		{ stop: 'all' }
+	] );
+	let run = steps( sequence );
+	let result = await sequence.start();
+	assert.strictEqual( result.completed, true );
+
+	assert.deepStrictEqual( run.map( step => step.path ), [
+		'steps.0', 'steps.1',
+		'steps.1.parallel.0.0', 'steps.1.parallel.1',
+		'steps.1.parallel.1.steps.0', 'steps.1.parallel.1.steps.1', 'steps.1.parallel.1.steps.2',
+		'steps.1.parallel.1.steps.0', 'steps.1.parallel.1.steps.1', 'steps.1.parallel.1.steps.2',
+		'steps.1.parallel.1.steps.0', 'steps.1.parallel.1.steps.1', 'steps.1.parallel.1.steps.2',
+		'steps.1.parallel.0.1',
+		'steps.2'
+	] );
+	// the timers may fire a few ms early
+	let at = path => run.find( step => step.path === path ).elapsed;
+	assert.ok( at( 'steps.1' ) >= 55 && at( 'steps.1' ) < 120, 'steps.1 at ' + at( 'steps.1' ) );
+	assert.ok( at( 'steps.1.parallel.0.1' ) - at( 'steps.1' ) >= 35, 'the lane "at" counts from its start' );
+	assert.ok( result.elapsed >= 95 );
+	await assert.rejects( sequence.start(), Errors.InvalidStateError, 'a sequence runs once' );
+});
+
+test( 'until waits for the condition, or fails with a TimeoutError', async t => {
+	const { sim, sbrick } = await connected( t );
+	sim.setWeDoMotion( 3, 5 );
+	sbrick.configurePort( 3, { type: sbrick.SENSOR } );
+	setTimeout( () => sim.setWeDoMotion( 3, 200 ), 50 );
+	let checks = 0;
+	let result = await new Sequence( sbrick, [
+		{ until: () => ++checks === 3, pollMs: 10 },
+		{ until: { port: 3, series: 'wedo', field: 'value', above: 150 }, pollMs: 10, timeoutMs: 1000 }
+	] ).start();
+	assert.strictEqual( result.completed, true );
+	assert.strictEqual( checks, 3 );
+
+	let sequence = new Sequence( sbrick, [ { port: 0, power: 200 }, { until: () => false, pollMs: 10, timeoutMs: 50 } ] );
+	let errors = [];
+	sequence.addEventListener( 'error', e => errors.push( e.detail.error ) );
+	await assert.rejects( sequence.start(), error => {
+		assert.ok( error instanceof Errors.TimeoutError );
+		assert.match( error.message, /Condition not met in 50ms at steps\.1/ );
+		return true;
+	});
+	assert.strictEqual( errors.length, 1 );
+	assert.ok( stopped( sim ), 'the ports are stopped when the sequence fails' );
+});
+
+test( 'pause stops the ports and the clock, resume drives the ports again', async t => {
+	const { sim, sbrick } = await connected( t );
+	let sequence = new Sequence( sbrick, [
+		{ port: 0, power: 255 },
+		{ port: 1, power: 129, direction: sbrick.CCW },
+		{ port: 2, power: 80 },
+		{ stop: 2 },
+		{ wait: 80 },
+		{ stop: 'all' }
+	] );
+	let promise = sequence.start();
+	await wait( 30 );
+	await sequence.pause();
+	assert.ok( sequence.isPaused() && sequence.isRunning() );
+	assert.ok( stopped( sim ) );
+	let elapsed = sequence.elapsed();
+	await wait( 100 );
+	assert.strictEqual( sequence.elapsed(), elapsed, 'the clock stops while paused' );
+	assert.ok( stopped( sim ), 'nothing runs while paused' );
+
+	// resume() sends the ports with Quick Drive, the powers are kept as they are encoded in it
+	await sequence.resume();
+	assert.strictEqual( sequence.isPaused(), false );
+	assert.deepStrictEqual( sim.outputs.slice( 0, 3 ), [
+		{ direction: 0, power: 255, brake: false },
+		{ direction: 1, power: 129, brake: false },
+		{ direction: 0, power: 0, brake: true }
+	] );
+	let result = await promise;
+	assert.strictEqual( result.completed, true );
+	assert.ok( result.elapsed >= 75 && result.elapsed < elapsed + 100, 'the pause is not counted: ' + result.elapsed );
+});
+
+test( 'every port is stopped when the sequence ends or is stopped', async t => {
+	const { sim, sbrick } = await connected( t );
+	// the last step leaves the ports driving
+	let result = await new Sequence( sbrick, [ { parallel: [ { port: 0, power: 200 }, { port: 3, power: 100 } ] } ] ).start();
+	assert.strictEqual( result.completed, true );
+	assert.ok( stopped( sim ), JSON.stringify( sim.outputs ) );
+
+	let sequence = new Sequence( sbrick, [ { port: 1, power: 200 }, { repeat: true, steps: [ { port: 2, power: 100 }, { wait: 10 } ] } ] );
+	let run = steps( sequence );
+	let ended = [];
+	sequence.addEventListener( 'end', e => ended.push( e.detail ) );
+	sequence.start();
+	await wait( 40 );
+	assert.strictEqual( sim.outputs[1].power, 200 );
+	result = await sequence.stop();
+	assert.strictEqual( result.completed, false );
+	assert.deepStrictEqual( ended, [ result ] );
+	assert.ok( stopped( sim ), JSON.stringify( sim.outputs ) );
+	let count = run.length;
+	await wait( 30 );
+	assert.strictEqual( run.length, count, 'no step runs after stop()' );
+	assert.strictEqual( sequence.isRunning(), false );
+
+	// a failed drive ends the sequence too
+	sim.thermalProtection = true;
+	await assert.rejects( new Sequence( sbrick, [ { port: 0, power: 200 }, { wait: 1000 } ] ).start(), Errors.ThermalProtectionError );
+	sim.thermalProtection = false;
+	assert.ok( stopped( sim ) );
+});
@@ -0,0 +1,146 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const Simulator = require('../src/sbrick-simulator.js');
+const Protocol  = require('../src/sbrick-protocol.js');
+
+const UUID_REMOTECONTROL = "02b8cbcc-0e25-4bda-8790-a15f53e6010f";
+const UUID_QUICKDRIVE    = "489a6ae0-c1ab-4c9c-bdb2-11d373c1b7fb";
+
+const wait = ms => new Promise( resolve => setTimeout( resolve, ms ) );
+
+// a connected simulator
+async function simulator( options ) {
+	let sim = new Simulator( options );
+	await sim.connect();
+	return sim;
+}
+
+// write a command, resolve with its return code (0 if it succeeded)
+function command( sim, cmd, params ) {
+	return sim.writeCharacteristicValue( UUID_REMOTECONTROL, Protocol.encode( cmd, params ) )
+	.then( () => 0, error => error.code );
+}
+
+// write a command, then read and decode its reply
+async function query( sim, cmd, params ) {
+	assert.strictEqual( await command( sim, cmd, params ), 0 );
+	return Protocol.decodeReply( cmd, await sim.readCharacteristicValue( UUID_REMOTECONTROL ), params );
+}
+
+test( 'drive, break and Quick Drive set the outputs', async () => {
+	let sim = await simulator();
+	assert.strictEqual( await command( sim, Protocol.CMD_DRIVE, { ports: [ { portId: 1, direction: 1, power: 200 }, { portId: 3, direction: 0, power: 50 } ] } ), 0 );
+	assert.deepStrictEqual( sim.outputs[1], { direction: 1, power: 200, brake: false } );
+	assert.deepStrictEqual( sim.outputs[3], { direction: 0, power: 50, brake: false } );
+
+	assert.strictEqual( await command( sim, Protocol.CMD_BREAK, { portIds: [ 1 ] } ), 0 );
+	assert.deepStrictEqual( sim.outputs[1], { direction: 1, power: 0, brake: true } );
+
+	await sim.writeCharacteristicValue( UUID_QUICKDRIVE, Protocol.encodeQuickDrive( [ { direction: 1, power: 255 }, { direction: 0, power: 0 } ] ) );
+	assert.deepStrictEqual( sim.outputs[0], { direction: 1, power: 255, brake: false } );
+	assert.deepStrictEqual( sim.outputs[1], { direction: 0, power: 0, brake: false } );
+	assert.deepStrictEqual( sim.received.map( packet => packet.uuid ), [ UUID_REMOTECONTROL, UUID_REMOTECONTROL, UUID_QUICKDRIVE ] );
+	await sim.disconnect();
+});
+
+test( 'ADC reads the battery, the temperature and the PVM channels', async () => {
+	let sim = await simulator( { batteryVoltage: 7.2, temperature: 40 } );
+	sim.setWeDoMotion( 2, 100 );
+	let reply = await query( sim, Protocol.CMD_ADC, { channels: [ Protocol.CHANNEL_VOLT, Protocol.CHANNEL_TEMP, 5 ] } );
+	assert.strictEqual( reply.type, 'adc' );
+	assert.ok( Math.abs( reply.values[0].volt - 7.2 ) < 0.01 );
+	assert.ok( Math.abs( reply.values[1].celsius - 40 ) < 0.2 );
+	assert.strictEqual( reply.values[2].raw, 0, 'no PVM on the channel yet' );
+
+	assert.strictEqual( await command( sim, Protocol.CMD_PVM, { channels: [ 4, 5 ] } ), 0 );
+	assert.deepStrictEqual( sim.pvmChannels, [ 4, 5 ] );
+	reply = await query( sim, Protocol.CMD_ADC, { channels: [ 5 ] } );
+	assert.ok( Math.abs( reply.values[0].raw / Protocol.voltToRaw( 7.2 ) - 100 / 255 ) < 0.01 );
+	await sim.disconnect();
+});
+
+test( 'the watchdog stops the outputs', async () => {
+	let sim = await simulator();
+	assert.strictEqual( await command( sim, Protocol.CMD_SET_WATCHDOG, { timeout: 100 } ), 0 );
+	assert.deepStrictEqual( await query( sim, Protocol.CMD_GET_WATCHDOG ), { type: 'watchdog', timeout: 100 } );
+	await command( sim, Protocol.CMD_DRIVE, { ports: [ { portId: 0, direction: 0, power: 200 } ] } );
+	await wait( 150 );
+	assert.strictEqual( sim.outputs[0].power, 0 );
+	assert.strictEqual( sim.watchdogCount, 1 );
+	await sim.disconnect();
+});
+
+test( 'the error codes', async () => {
+	let sim = await simulator();
+	// bad parameters
+	assert.strictEqual( await command( sim, Protocol.CMD_DRIVE, { ports: [ { portId: 4, direction: 0, power: 100 } ] } ), Protocol.ERROR_PARAM );
+	assert.strictEqual( await command( sim, Protocol.CMD_BREAK, { portIds: [ 7 ] } ), Protocol.ERROR_PARAM );
+	assert.strictEqual( await command( sim, Protocol.CMD_ADC, { channels: [ 0x0A ] } ), Protocol.ERROR_PARAM );
+	assert.strictEqual( await command( sim, Protocol.CMD_PVM, { channels: [ 8 ] } ), Protocol.ERROR_PARAM );
+	// lengths
+	assert.strictEqual( await command( sim, Protocol.CMD_ADC, { channels: [] } ), Protocol.ERROR_LENGTH );
+	assert.strictEqual( await sim.writeCharacteristicValue( UUID_REMOTECONTROL, new Uint8Array( [ Protocol.CMD_DRIVE, 0, 0 ] ) ).catch( e => e.code ), Protocol.ERROR_LENGTH );
+	assert.strictEqual( await sim.writeCharacteristicValue( UUID_QUICKDRIVE, new Uint8Array( 5 ) ).catch( e => e.code ), Protocol.ERROR_LENGTH );
+	// commands the simulator doesn't know
+	assert.strictEqual( await command( sim, Protocol.CMD_REBOOT ), Protocol.ERROR_COMMAND );
+	// thermal protection
+	sim.thermalProtection = true;
+	assert.strictEqual( await command( sim, Protocol.CMD_DRIVE, { ports: [ { portId: 0, direction: 0, power: 100 } ] } ), Protocol.ERROR_THERMAL );
+	assert.strictEqual( await sim.writeCharacteristicValue( UUID_QUICKDRIVE, Protocol.encodeQuickDrive( [ { direction: 0, power: 100 } ] ) ).catch( e => e.code ), Protocol.ERROR_THERMAL );
+	assert.strictEqual( sim.outputs[0].power, 0 );
+	// the GATT error carries the code in its message too
+	await assert.rejects( sim.writeCharacteristicValue( UUID_REMOTECONTROL, Protocol.encode( Protocol.CMD_DRIVE, { ports: [ { portId: 0, direction: 0, power: 1 } ] } ) ), /GATT Error: 0x87/ );
+	await sim.disconnect();
+	await assert.rejects( sim.writeCharacteristicValue( UUID_REMOTECONTROL, Protocol.encode( Protocol.CMD_BREAK, { portIds: [ 0 ] } ) ) );
+});
+
+test( 'a password protected SBrick needs an authentication', async () => {
+	let sim = await simulator( { ownerPassword: 'owner', guestPassword: 'guest' } );
+	assert.strictEqual( await command( sim, Protocol.CMD_DRIVE, { ports: [ { portId: 0, direction: 0, power: 100 } ] } ), Protocol.ERROR_DOAUTH );
+	assert.strictEqual( await command( sim, Protocol.CMD_AUTHENTICATE, { user: Protocol.GUEST, password: 'wrong' } ), Protocol.ERROR_AUTH );
+	assert.strictEqual( await command( sim, Protocol.CMD_AUTHENTICATE, { user: Protocol.GUEST, password: 'guest' } ), 0 );
+	assert.deepStrictEqual( await query( sim, Protocol.CMD_GET_USER_ID ), { type: 'user', user: Protocol.GUEST } );
+	assert.strictEqual( await command( sim, Protocol.CMD_DRIVE, { ports: [ { portId: 0, direction: 0, power: 100 } ] } ), 0 );
+	// only the owner changes the passwords
+	assert.strictEqual( await command( sim, Protocol.CMD_SET_PASSWORD, { user: Protocol.GUEST, password: 'other' } ), Protocol.ERROR_AUTHOR );
+	await sim.disconnect();
+
+	let open = await simulator();
+	assert.strictEqual( await command( open, Protocol.CMD_AUTHENTICATE, { user: Protocol.OWNER, password: 'owner' } ), Protocol.ERROR_NOAUTH );
+	await open.disconnect();
+});
+
+test( 'an SBrick reads no sensor, an SBrick Plus does', async () => {
+	let plus = await simulator();
+	let sbrick = await simulator( { plus: false, firmware: '4.2' } );
+	const model = async sim => String.fromCharCode.apply( null, new Uint8Array( ( await sim.readCharacteristicValue( 'model_number_string' ) ).buffer ) );
+	assert.strictEqual( await model( plus ), 'SBrick Plus' );
+	assert.strictEqual( await model( sbrick ), 'SBrick' );
+	assert.strictEqual( String.fromCharCode.apply( null, new Uint8Array( ( await sbrick.readCharacteristicValue( 'firmware_revision_string' ) ).buffer ) ), '4.2' );
+
+	for( let sim of [ plus, sbrick ] ) {
+		sim.setWeDoTilt( 0, 200 );
+		await command( sim, Protocol.CMD_PVM, { channels: [ 0, 1 ] } );
+	}
+	assert.ok( ( await query( plus, Protocol.CMD_ADC, { channels: [ 0, 1 ] } ) ).values.every( value => value.raw > 0 ) );
+	assert.ok( ( await query( sbrick, Protocol.CMD_ADC, { channels: [ 0, 1 ] } ) ).values.every( value => value.raw === 0 ) );
+	await plus.disconnect();
+	await sbrick.disconnect();
+});
+
+test( 'a dropped connection stops the outputs and refuses to connect for a while', async () => {
+	let sim = await simulator();
+	await command( sim, Protocol.CMD_DRIVE, { ports: [ { portId: 2, direction: 0, power: 100 } ] } );
+	sim.dropConnection( 50 );
+	assert.strictEqual( sim.isConnected(), false );
+	assert.strictEqual( sim.outputs[2].power, 0 );
+	await assert.rejects( sim.connect() );
+	await wait( 60 );
+	await sim.reconnect();
+	assert.strictEqual( sim.isConnected(), true );
+	assert.deepStrictEqual( await sim.getDevices(), [ { id: 'SIMULATOR', name: 'SBrick' } ] );
+	await sim.disconnect();
+});